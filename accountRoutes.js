@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const passport = require('passport');
+const requireAuth = require('./requireAuth');
+const { PROVIDERS, SCOPES, migrateLegacyIdentity, unlinkIdentity, formatIdentity } = require('./identities');
+const { logger } = require('./logger');
+
+// Sign-in providers linked to the logged-in account.
+// Linking goes through the provider's normal OAuth flow; the callback adds the identity to the
+// current user (see verifyProfile in identities.js) and redirects back to the frontend profile page.
+
+router.use('/account', requireAuth);
+
+const checkProvider = (req, res) => {
+  if (PROVIDERS.includes(req.params.provider)) return true;
+  res.status(400).json({ error: `Provider must be one of: ${PROVIDERS.join(', ')}` });
+  return false;
+};
+
+const loadUser = async (req) => {
+  const User = mongoose.model('User');
+  return User.findById(req.user._id);
+};
+
+// READ - Providers linked to the account
+router.get('/account/identities', async (req, res) => {
+  try {
+    const user = await loadUser(req);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+    migrateLegacyIdentity(user);
+    res.json(user.identities.map(formatIdentity));
+  } catch (err) {
+    logger.error('Error fetching identities', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Starts the OAuth flow that links another provider to the account
+router.get('/account/identities/:provider/link', (req, res, next) => {
+  if (!checkProvider(req, res)) return;
+  req.session.linkProvider = req.params.provider;
+  req.session.save((err) => {
+    if (err) return next(err);
+    passport.authenticate(req.params.provider, { scope: SCOPES[req.params.provider] })(req, res, next);
+  });
+});
+
+// DELETE - Unlink a provider; the last remaining provider can't be removed
+router.delete('/account/identities/:provider', async (req, res) => {
+  try {
+    if (!checkProvider(req, res)) return;
+    const user = await loadUser(req);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const result = await unlinkIdentity(user, req.params.provider);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json(result.user.identities.map(formatIdentity));
+  } catch (err) {
+    logger.error('Error unlinking identity', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+const Schema = mongoose.Schema;
+
+// Append-only activity log for project and task mutations.
+// Each entry records who did what and when, with a field-level before/after diff.
+
+const PROJECT_FIELDS = ['name', 'description', 'startDate', 'endDate', 'members', 'deletedAt'];
+const TASK_FIELDS = ['project', 'name', 'description', 'duration', 'startDate', 'endDate', 'dependsOn', 'status', 'position', 'recurrence', 'parent', 'labels', 'deletedAt'];
+
+const changeSchema = new Schema({
+  field: { type: String, required: true },
+  before: Schema.Types.Mixed,
+  after: Schema.Types.Mixed
+}, { _id: false });
+
+const activitySchema = new Schema({
+  project: { type: Schema.Types.ObjectId, ref: 'Project', required: true },
+  task: { type: Schema.Types.ObjectId, ref: 'Task' },
+  entityType: { type: String, enum: ['project', 'task'], required: true },
+  action: { type: String, enum: ['create', 'update', 'delete', 'restore'], required: true },
+  actor: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  changes: [changeSchema],
+  meta: Schema.Types.Mixed
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+activitySchema.index({ project: 1, createdAt: -1, _id: -1 });
+activitySchema.index({ task: 1, createdAt: -1, _id: -1 });
+
+// Entries are never changed or removed once written
+const rejectChange = function rejectChange() {
+  throw new Error('Activity entries are append-only');
+};
+activitySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+activitySchema.pre('save', function preventEdits() {
+  if (!this.isNew) rejectChange();
+});
+
+const Activity = mongoose.model('Activity', activitySchema);
+
+// Converts a stored value into a plain JSON-friendly form for comparison and storage
+const plain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (Array.isArray(value)) return value.map(plain);
+  if (typeof value === 'object') {
+    const source = typeof value.toObject === 'function' ? value.toObject() : value;
+    // Memberships are compared by who has which role, not by invite bookkeeping
+    if (source.user !== undefined && source.role !== undefined) {
+      return { user: plain(source.user && source.user._id ? source.user._id : source.user), role: source.role, status: source.status };
+    }
+    return Object.fromEntries(Object.entries(source).map(([key, entry]) => [key, plain(entry)]));
+  }
+  return value;
+};
+
+// Lists the fields whose value differs between two versions of a document
+const diff = (before, after, fields) => fields.reduce((changes, field) => {
+  const from = plain(before ? before[field] : undefined);
+  const to = plain(after ? after[field] : undefined);
+  if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, before: from, after: to });
+  return changes;
+}, []);
+
+const fieldsFor = (entityType) => (entityType === 'project' ? PROJECT_FIELDS : TASK_FIELDS);
+
+// Builds an activity entry; before is null for creates
+const buildEntry = ({ entityType, action, before = null, after = null, actor, meta }) => {
+  const doc = after || before;
+  return {
+    project: entityType === 'project' ? doc._id : doc.project,
+    task: entityType === 'task' ? doc._id : undefined,
+    entityType,
+    action,
+    actor: actor._id || actor,
+    changes: diff(before, after, fieldsFor(entityType)),
+    meta
+  };
+};
+
+// Writes activity entries. A logging failure is reported but never undoes the change it describes.
+const recordActivity = async (entries, { session } = {}) => {
+  // Updates that changed none of the tracked fields are not worth an entry
+  const list = (Array.isArray(entries) ? entries : [entries])
+    .map(buildEntry)
+    .filter((entry) => entry.action !== 'update' || entry.changes.length);
+  if (!list.length) return;
+  if (session) {
+    await Activity.insertMany(list, { session });
+    return;
+  }
+  try {
+    await Activity.insertMany(list);
+  } catch (err) {
+    logger.error('Error recording activity', { err });
+  }
+};
+
+module.exports = { Activity, diff, buildEntry, recordActivity };
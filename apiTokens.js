@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+const Schema = mongoose.Schema;
+
+// Personal access tokens for scripts, CLIs and CI jobs.
+// A token is a signed JWT naming its user and token record; only a hash of it is stored, so it
+// can be shown once on creation and revoked later by deleting the record. Clients send it as
+// Authorization: Bearer <token> and are treated like a logged-in user for the /api routes.
+
+const TOKEN_SCOPES = ['read', 'write'];
+
+// Longest lifetime a token can be given, and the lifetime of tokens created without one
+const MAX_TOKEN_DAYS = 365;
+
+// Methods a read-only token may use
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const apiTokenSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true },
+  scope: { type: String, enum: TOKEN_SCOPES, required: true },
+  tokenHash: { type: String, required: true, unique: true, select: false },
+  // Last characters of the token so users can tell their tokens apart
+  hint: String,
+  expiresAt: Date,
+  lastUsedAt: Date
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const tokenSecret = () => process.env.API_TOKEN_SECRET || process.env.SESSION_SECRET;
+
+const allowsMethod = (scope, method) => scope === 'write' || READ_METHODS.includes(method);
+
+// Creates a token for a user. Returns { apiToken, token }; the raw token is never stored.
+const createToken = async (userId, { name, scope = 'read', expiresInDays }) => {
+  const secret = tokenSecret();
+  if (!secret) throw new Error('API_TOKEN_SECRET is not configured');
+
+  const id = new mongoose.Types.ObjectId();
+  const token = jwt.sign({ scope }, secret, {
+    subject: String(userId),
+    jwtid: String(id),
+    algorithm: 'HS256',
+    expiresIn: `${expiresInDays || MAX_TOKEN_DAYS}d`
+  });
+
+  const apiToken = await ApiToken.create({
+    _id: id,
+    user: userId,
+    name,
+    scope,
+    tokenHash: hashToken(token),
+    hint: token.slice(-6),
+    expiresAt: new Date(jwt.decode(token).exp * 1000)
+  });
+  return { apiToken, token };
+};
+
+// Resolves a bearer token to { user, apiToken }, or null when it is invalid, expired or revoked
+const authenticateToken = async (token) => {
+  const secret = tokenSecret();
+  if (!secret) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, secret, { algorithms: ['HS256'] });
+  } catch (err) {
+    return null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(payload.jti)) return null;
+
+  const apiToken = await ApiToken.findOne({ _id: payload.jti, tokenHash: hashToken(token) });
+  if (!apiToken || String(apiToken.user) !== payload.sub) return null;
+
+  const User = mongoose.model('User');
+  const user = await User.findById(apiToken.user);
+  if (!user) return null;
+
+  ApiToken.updateOne({ _id: apiToken._id }, { lastUsedAt: new Date() })
+    .catch((err) => logger.error('Error updating token usage', { err }));
+  return { user, apiToken };
+};
+
+// Authenticates requests carrying Authorization: Bearer alongside the session.
+// A valid token sets req.user (so requireAuth passes) and req.authInfo with the token's scope.
+const bearerAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (typeof header !== 'string' || !/^Bearer\s/i.test(header)) return next();
+
+  try {
+    const result = await authenticateToken(header.replace(/^Bearer\s+/i, '').trim());
+    if (!result) return res.status(401).json({ error: 'Invalid or expired API token' });
+    if (!allowsMethod(result.apiToken.scope, req.method)) {
+      return res.status(403).json({ error: 'This API token is read-only' });
+    }
+
+    req.user = result.user;
+    req.authInfo = { tokenId: result.apiToken._id, scope: result.apiToken.scope };
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Token management stays with browser sessions so a leaked token can't mint or revoke others
+const requireSession = (req, res, next) => {
+  if (req.authInfo && req.authInfo.tokenId) {
+    return res.status(403).json({ error: 'API tokens cannot be used to manage tokens' });
+  }
+  next();
+};
+
+// Shape returned by the API; the token itself is only included on creation
+const formatToken = (apiToken) => ({
+  _id: apiToken._id,
+  name: apiToken.name,
+  scope: apiToken.scope,
+  hint: apiToken.hint,
+  createdAt: apiToken.createdAt,
+  expiresAt: apiToken.expiresAt || null,
+  lastUsedAt: apiToken.lastUsedAt || null
+});
+
+module.exports = {
+  ApiToken,
+  TOKEN_SCOPES,
+  MAX_TOKEN_DAYS,
+  allowsMethod,
+  createToken,
+  authenticateToken,
+  bearerAuth,
+  requireSession,
+  formatToken
+};
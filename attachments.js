@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const busboy = require('busboy');
+const { getStorage } = require('./storage');
+
+const Schema = mongoose.Schema;
+
+// Files attached to projects and tasks.
+// Uploads are multipart/form-data with the file in a field named "file". They are streamed straight
+// to the storage backend, never held in memory, and stopped once they pass ATTACHMENT_MAX_BYTES
+// (default 10 MB). ATTACHMENT_TYPES is a comma-separated list of allowed MIME types, where
+// "image/*" allows a whole family; it defaults to common images, documents and archives.
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_TYPES = [
+  'image/*',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/json',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+const attachmentSchema = new Schema({
+  project: { type: Schema.Types.ObjectId, ref: 'Project', required: true },
+  task: { type: Schema.Types.ObjectId, ref: 'Task', default: null },  // null for files on the project itself
+  filename: { type: String, required: true },
+  contentType: { type: String, required: true },
+  size: { type: Number, required: true },
+  storageKey: { type: String, required: true, select: false },
+  uploadedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+attachmentSchema.index({ project: 1, task: 1, createdAt: -1, _id: -1 });
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+const maxBytes = () => {
+  const bytes = Number(process.env.ATTACHMENT_MAX_BYTES);
+  return Number.isFinite(bytes) && bytes > 0 ? bytes : DEFAULT_MAX_BYTES;
+};
+
+const allowedTypes = () => (process.env.ATTACHMENT_TYPES
+  ? process.env.ATTACHMENT_TYPES.split(',').map((type) => type.trim().toLowerCase()).filter(Boolean)
+  : DEFAULT_TYPES);
+
+// Whether a MIME type is on the allow list
+const typeAllowed = (contentType, types = allowedTypes()) => {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (!type) return false;
+  return types.some((allowed) => (allowed.endsWith('/*')
+    ? type.startsWith(allowed.slice(0, -1))
+    : type === allowed));
+};
+
+// Strips directories and control characters from an uploaded file name
+const cleanFilename = (name) => {
+  const base = String(name || '').split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  return base.slice(0, 255) || 'file';
+};
+
+// Content-Disposition header for a download, with an ASCII fallback and the UTF-8 name (RFC 6266)
+const contentDisposition = (filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Streams the file in a multipart request to storage under key.
+// Resolves { file: { filename, contentType, size } }, or { status, error } to send back;
+// anything stored for a rejected upload is removed again.
+const receiveUpload = (req, key, { limit = maxBytes(), types = allowedTypes(), storage = getStorage() } = {}) => new Promise((resolve) => {
+  let parser;
+  try {
+    parser = busboy({ headers: req.headers, limits: { files: 1, fileSize: limit } });
+  } catch (err) {
+    return resolve({ status: 400, error: 'Upload must be multipart/form-data' });
+  }
+
+  let upload = null;
+  let failed = null;
+
+  parser.on('file', (field, stream, info) => {
+    if (field !== 'file' || upload) {
+      stream.resume();
+      return;
+    }
+    if (!typeAllowed(info.mimeType, types)) {
+      failed = { status: 415, error: `File type ${info.mimeType || 'unknown'} is not allowed` };
+      stream.resume();
+      return;
+    }
+
+    upload = storage.save(key, stream).then(async ({ size }) => {
+      if (stream.truncated) {
+        await storage.remove(key);
+        return { status: 413, error: `File is larger than the ${limit} byte limit` };
+      }
+      return { file: { filename: cleanFilename(info.filename), contentType: info.mimeType, size } };
+    });
+  });
+
+  parser.on('error', () => {
+    failed = failed || { status: 400, error: 'Malformed multipart upload' };
+  });
+
+  parser.on('close', async () => {
+    if (!upload) return resolve(failed || { status: 400, error: 'No file uploaded; send it in a field named "file"' });
+    try {
+      const result = await upload;
+      if (failed && result.file) await storage.remove(key);
+      resolve(failed || result);
+    } catch (err) {
+      await storage.remove(key).catch(() => {});
+      resolve({ status: 500, error: err.message });
+    }
+  });
+
+  req.pipe(parser);
+});
+
+// Deletes matching attachments along with their stored files. Returns how many were removed.
+const removeAttachments = async (filter, storage = getStorage()) => {
+  const attachments = await Attachment.find(filter).select('+storageKey');
+  for (const attachment of attachments) {
+    await storage.remove(attachment.storageKey);
+  }
+  const { deletedCount } = await Attachment.deleteMany({ _id: { $in: attachments.map((attachment) => attachment._id) } });
+  return deletedCount;
+};
+
+module.exports = {
+  Attachment,
+  maxBytes,
+  allowedTypes,
+  typeAllowed,
+  cleanFilename,
+  contentDisposition,
+  receiveUpload,
+  removeAttachments
+};
@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const requireAuth = require('./requireAuth');
+const { roleFor, can, accessFilter } = require('./projectAccess');
+const { buildCalendar } = require('./icalendar');
+const { logger } = require('./logger');
+
+// iCalendar feeds of projects and tasks.
+// Calendar clients can't send session cookies, so feeds are read with a secret per-user token
+// passed as ?token=. Only a hash of the token is stored; creating a new one revokes the old one.
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const feedUrl = (path, token) => `${process.env.BASE_URL || ''}/api${path}?token=${token}`;
+
+// Resolves the feed owner from ?token=, or sends a 401
+const authenticateFeed = async (req, res) => {
+  const { token } = req.query;
+  if (typeof token !== 'string' || !token) {
+    res.status(401).json({ error: 'Calendar token is required' });
+    return null;
+  }
+  const User = mongoose.model('User');
+  const user = await User.findOne({ calendarTokenHash: hashToken(token) });
+  if (!user) {
+    res.status(401).json({ error: 'Invalid calendar token' });
+    return null;
+  }
+  return user;
+};
+
+const sendCalendar = (res, filename, calendar) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(calendar);
+};
+
+// CREATE - Generate a new calendar token, revoking any previous one. The token is only shown here.
+router.post('/calendar/token', requireAuth, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const User = mongoose.model('User');
+    await User.updateOne({ _id: req.user._id }, { calendarTokenHash: hashToken(token), calendarTokenCreatedAt: new Date() });
+    res.status(201).json({ token, url: feedUrl('/calendar.ics', token) });
+  } catch (err) {
+    logger.error('Error creating calendar token', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE - Revoke the calendar token so existing subscriptions stop working
+router.delete('/calendar/token', requireAuth, async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    await User.updateOne({ _id: req.user._id }, { $unset: { calendarTokenHash: 1, calendarTokenCreatedAt: 1 } });
+    res.json({ message: 'Calendar token revoked successfully' });
+  } catch (err) {
+    logger.error('Error revoking calendar token', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// READ - Feed of every project and task the token's user can access
+router.get('/calendar.ics', async (req, res) => {
+  try {
+    const user = await authenticateFeed(req, res);
+    if (!user) return;
+
+    const Project = mongoose.model('Project');
+    const Task = mongoose.model('Task');
+    const projects = await Project.find(accessFilter(user._id));
+    const tasks = await Task.find({ project: { $in: projects.map((project) => project._id) } });
+
+    sendCalendar(res, 'projects.ics', buildCalendar({ name: 'Projects and Tasks', projects, tasks }));
+  } catch (err) {
+    logger.error('Error building calendar feed', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// READ - Feed of a single project and its tasks
+router.get('/projects/:id/calendar.ics', async (req, res) => {
+  try {
+    const user = await authenticateFeed(req, res);
+    if (!user) return;
+
+    const Project = mongoose.model('Project');
+    const Task = mongoose.model('Task');
+    const project = mongoose.Types.ObjectId.isValid(req.params.id) ? await Project.findById(req.params.id) : null;
+    if (!can(roleFor(project, user._id), 'project:read')) {
+      return res.status(404).json({ error: 'Project not found or you do not have access to this project' });
+    }
+    const tasks = await Task.find({ project: project._id });
+
+    sendCalendar(res, `project-${project._id}.ics`, buildCalendar({ name: project.name, projects: [project], tasks }));
+  } catch (err) {
+    logger.error('Error building project calendar feed', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
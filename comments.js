@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// Comments on tasks and the @mentions in them.
+// Threads are one level deep: a reply always hangs off a top-level comment.
+// Mentions are written as @[Display Name](userId), the markup mention pickers produce, or as
+// @email. Only the project's owner and active members can be mentioned; everyone else is ignored.
+
+const mentionSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  readAt: { type: Date, default: null }
+}, { _id: false });
+
+const commentSchema = new Schema({
+  task: { type: Schema.Types.ObjectId, ref: 'Task', required: true },
+  project: { type: Schema.Types.ObjectId, ref: 'Project', required: true },
+  author: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  parent: { type: Schema.Types.ObjectId, ref: 'Comment' },  // Top-level comment this one replies to
+  body: { type: String, default: '' },
+  mentions: [mentionSchema],
+  editedAt: Date,
+  // A deleted comment with replies keeps its place in the thread with its body removed
+  deletedAt: Date
+}, { timestamps: true });
+
+commentSchema.index({ task: 1, createdAt: 1, _id: 1 });
+commentSchema.index({ 'mentions.user': 1, createdAt: -1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+const MENTION_PATTERN = /@\[[^\]]+\]\(([a-f\d]{24})\)|@([^\s@()]+@[^\s@()]+\.[a-z]{2,})/gi;
+
+// Pulls mentioned user ids and emails out of a comment body
+const parseMentions = (text) => {
+  const ids = new Set();
+  const emails = new Set();
+  for (const [, id, email] of String(text || '').matchAll(MENTION_PATTERN)) {
+    if (id) ids.add(id.toLowerCase());
+    if (email) emails.add(email.toLowerCase());
+  }
+  return { ids: [...ids], emails: [...emails] };
+};
+
+// Project members mentioned in the text, as user ids. The author is never notified of their own mention.
+const resolveMentions = async (project, text, authorId) => {
+  const { ids, emails } = parseMentions(text);
+  const memberIds = [project.owner, ...(project.members || [])
+    .filter((member) => member.status === 'active')
+    .map((member) => member.user)]
+    .map(String)
+    .filter((id) => id !== String(authorId));
+
+  const mentioned = new Set(ids.filter((id) => memberIds.includes(id)));
+  if (emails.length) {
+    const User = mongoose.model('User');
+    const users = await User.find({ _id: { $in: memberIds }, email: { $in: emails } }, '_id')
+      .collation({ locale: 'en', strength: 2 });
+    users.forEach((user) => mentioned.add(String(user._id)));
+  }
+  return [...mentioned].map((id) => new mongoose.Types.ObjectId(id));
+};
+
+// Mention entries for an edited comment - users still mentioned keep their read state
+const mergeMentions = (existing, userIds) => userIds.map((user) => {
+  const previous = (existing || []).find((mention) => String(mention.user) === String(user));
+  return { user, readAt: previous ? previous.readAt : null };
+});
+
+module.exports = { Comment, parseMentions, resolveMentions, mergeMentions };
@@ -0,0 +1,80 @@
+// Startup configuration checks.
+// The server refuses to start while any required variable is missing or a setting is malformed,
+// and reports every problem at once instead of failing on the first one used.
+
+const { LEVELS } = require('./logger');
+const { loadTransitions } = require('./taskWorkflow');
+
+// Needed to run at all
+const REQUIRED = ['MONGODB_URI', 'SESSION_SECRET', 'BASE_URL', 'FRONTEND_URL'];
+
+// Client id and secret of each sign-in provider. A provider is enabled when its id is set, so
+// each pair is set together or not at all, and at least one provider is needed to sign in.
+const OAUTH = [
+  ['GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET'],
+  ['KEY_GITHUB_CLIENT_ID', 'KEY_GITHUB_CLIENT_SECRET'],
+  ['LINKEDIN_CLIENT_ID', 'LINKEDIN_CLIENT_SECRET']
+];
+
+// Optional settings that must be non-negative numbers when set
+const NUMBERS = [
+  'PORT',
+  'SHUTDOWN_TIMEOUT_MS',
+  'HEALTH_CHECK_TIMEOUT_MS',
+  'TRASH_RETENTION_DAYS',
+  'TRASH_PURGE_INTERVAL_MINUTES',
+  'RECURRENCE_HORIZON_DAYS',
+  'RECURRENCE_INTERVAL_MINUTES',
+  'NOTIFICATION_INTERVAL_MINUTES',
+  'SUBTASK_MAX_DEPTH',
+  'ATTACHMENT_MAX_BYTES',
+  'SMTP_PORT',
+  'RATE_LIMIT_AUTH_MAX',
+  'RATE_LIMIT_READ_MAX',
+  'RATE_LIMIT_WRITE_MAX'
+];
+
+const isSet = (env, name) => typeof env[name] === 'string' && env[name].trim() !== '';
+
+// Why the TASK_STATUS_TRANSITIONS map can't be used, or null when it can
+const transitionsProblem = (raw) => {
+  try {
+    loadTransitions(raw);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+// Lists the problems with the environment; empty when it is usable
+const configProblems = (env = process.env) => {
+  const missing = REQUIRED.filter((name) => !isSet(env, name));
+  const halfSet = OAUTH.filter((pair) => pair.filter((name) => isSet(env, name)).length === 1);
+  const noProvider = !OAUTH.some((pair) => pair.every((name) => isSet(env, name)));
+  const invalid = NUMBERS.filter((name) => isSet(env, name) && !(Number(env[name]) >= 0));
+  const logLevel = isSet(env, 'LOG_LEVEL') && !(env.LOG_LEVEL.toLowerCase() in LEVELS);
+  const transitions = transitionsProblem(env.TASK_STATUS_TRANSITIONS);
+
+  return [
+    ...(missing.length ? [`Missing required environment variables: ${missing.join(', ')}`] : []),
+    ...halfSet.map(([id, secret]) => `${id} and ${secret} must be set together`),
+    ...(noProvider && !halfSet.length
+      ? [`At least one sign-in provider must be configured: ${OAUTH.map((pair) => pair.join('/')).join(', ')}`]
+      : []),
+    ...invalid.map((name) => `${name} must be a non-negative number (got "${env[name]}")`),
+    ...(logLevel ? [`LOG_LEVEL must be one of ${Object.keys(LEVELS).join(', ')} (got "${env.LOG_LEVEL}")`] : []),
+    ...(transitions ? [transitions] : [])
+  ];
+};
+
+// Throws one error describing every problem with the environment
+const validateConfig = (env = process.env) => {
+  const problems = configProblems(env);
+  if (problems.length) {
+    const err = new Error(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+    err.problems = problems;
+    throw err;
+  }
+};
+
+module.exports = { REQUIRED, OAUTH, configProblems, validateConfig };
@@ -0,0 +1,66 @@
+// Small RFC 4180 CSV reader/writer - quoted fields, escaped quotes and line breaks inside quotes.
+
+const needsQuoting = /[",\r\n]/;
+
+const formatField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return needsQuoting.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Turns an array of rows (arrays of values) into CSV text
+const stringify = (rows) => rows.map((row) => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+
+// Parses CSV text into an array of rows (arrays of strings). Throws on an unterminated quote.
+const parse = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+  const input = text.replace(/^\uFEFF/, '');
+
+  while (i < input.length) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i += 1;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+    } else {
+      field += char;
+    }
+    i += 1;
+  }
+
+  if (inQuotes) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Blank lines carry no data
+  return rows.filter((r) => r.length > 1 || r[0] !== '');
+};
+
+module.exports = { stringify, parse };
@@ -0,0 +1,98 @@
+const express = require('express');
+const mongoose = require('mongoose');
+
+// Liveness and readiness probes.
+// GET /health/live only says the process is up and serving requests.
+// GET /health/ready checks what requests depend on and answers 503 when any of it is unavailable,
+// with the outcome of every check:
+//   mongodb      - the connection is open and answers a ping
+//   sessionStore - the session store can be read
+//   migrations   - the indexes declared on every model have been built. Schema changes ship as
+//                  indexes that Mongoose builds when it connects, so a build still running or
+//                  one that failed (e.g. duplicates under a new unique index) means the database
+//                  is not yet in the shape the code expects.
+// Each check gives up after HEALTH_CHECK_TIMEOUT_MS (default 2000).
+
+const DEFAULT_CHECK_TIMEOUT_MS = 2000;
+
+const checkTimeout = () => {
+  const ms = Number(process.env.HEALTH_CHECK_TIMEOUT_MS);
+  return Number.isFinite(ms) && ms > 0 ? ms : DEFAULT_CHECK_TIMEOUT_MS;
+};
+
+// Rejects when the promise has not settled in time
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const checkMongo = async () => {
+  if (mongoose.connection.readyState !== 1) {
+    throw new Error(`MongoDB connection is ${mongoose.STATES[mongoose.connection.readyState]}`);
+  }
+  await mongoose.connection.db.admin().ping();
+};
+
+const checkSessionStore = (store) => new Promise((resolve, reject) => {
+  if (!store) return reject(new Error('No session store configured'));
+  // Any id will do: a missing session is a successful read
+  store.get('health-check', (err) => (err ? reject(err) : resolve()));
+});
+
+const checkMigrations = async () => {
+  // Builds wait for the connection, so there is nothing to report until it is open
+  if (mongoose.connection.readyState !== 1) throw new Error('Waiting for the MongoDB connection');
+  const models = Object.values(mongoose.models);
+  const results = await Promise.allSettled(models.map((model) => model.init()));
+  const failed = models.filter((model, i) => results[i].status === 'rejected').map((model) => model.modelName);
+  if (failed.length) throw new Error(`Index builds failed for ${failed.join(', ')}`);
+};
+
+// Runs every check in parallel: { ready, checks: { name: { status, durationMs, error? } } }
+const runChecks = async ({ sessionStore }) => {
+  const ms = checkTimeout();
+  const checks = {
+    mongodb: () => withTimeout(checkMongo(), ms, 'MongoDB ping timed out'),
+    sessionStore: () => withTimeout(checkSessionStore(sessionStore), ms, 'Session store timed out'),
+    migrations: () => withTimeout(checkMigrations(), ms, 'Index builds are still running')
+  };
+
+  const results = await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+    const started = Date.now();
+    try {
+      await check();
+      return [name, { status: 'ok', durationMs: Date.now() - started }];
+    } catch (err) {
+      return [name, { status: 'fail', durationMs: Date.now() - started, error: err.message }];
+    }
+  }));
+
+  return {
+    ready: results.every(([, result]) => result.status === 'ok'),
+    checks: Object.fromEntries(results)
+  };
+};
+
+// Router for the probes; sessionStore is the store the app's sessions use
+const createHealthRouter = ({ sessionStore }) => {
+  const router = express.Router();
+
+  const live = (req, res) => {
+    res.status(200).json({ status: 'ok', uptime: process.uptime() });
+  };
+  router.get('/health/live', live);
+  // Kept for monitors set up before the probes were split
+  router.get('/health', live);
+
+  router.get('/health/ready', async (req, res) => {
+    const { ready, checks } = await runChecks({ sessionStore });
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', checks });
+  });
+
+  return router;
+};
+
+module.exports = { runChecks, createHealthRouter };
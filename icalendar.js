@@ -0,0 +1,91 @@
+// Minimal RFC 5545 iCalendar writer for project and task feeds.
+// One VEVENT per project and per task, each with a UID that stays the same across refreshes
+// so calendar clients update events in place instead of duplicating them.
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+// Escapes TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Folds a content line at 75 octets without splitting multi-byte characters (section 3.1)
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf8');
+    // Continuation lines start with a space, which counts toward their length
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+// UTC DATE-TIME form, e.g. 20250131T090000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const uidHost = () => {
+  try {
+    return new URL(process.env.BASE_URL).hostname;
+  } catch (err) {
+    return 'myapp-back';
+  }
+};
+
+// Builds the VEVENT lines for an item, or an empty list when it has no dates to place it on
+const eventLines = (item, kind, summary) => {
+  const start = item.startDate || item.endDate;
+  if (!start) return [];
+  const end = item.endDate && item.endDate >= start ? item.endDate : start;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${kind}-${item._id}@${uidHost()}`,
+    `DTSTAMP:${formatDate(item.updatedAt || item.createdAt || Date.now())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+  if (item.description) lines.push(`DESCRIPTION:${escapeText(item.description)}`);
+  if (item.createdAt) lines.push(`CREATED:${formatDate(item.createdAt)}`);
+  if (item.updatedAt) lines.push(`LAST-MODIFIED:${formatDate(item.updatedAt)}`);
+  lines.push(`CATEGORIES:${kind === 'project' ? 'Project' : 'Task'}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Renders a VCALENDAR with one event per project and task
+const buildCalendar = ({ name, projects, tasks }) => {
+  const projectNames = new Map(projects.map((project) => [String(project._id), project.name]));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//myapp-back//Projects and Tasks//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...projects.flatMap((project) => eventLines(project, 'project', `Project: ${project.name}`)),
+    ...tasks.flatMap((task) => {
+      const projectName = projectNames.get(String(task.project));
+      return eventLines(task, 'task', projectName ? `${task.name} (${projectName})` : task.name);
+    }),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+module.exports = { escapeText, foldLine, formatDate, buildCalendar };
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+const Schema = mongoose.Schema;
+
+// Social login identities.
+// A user can sign in with several providers; each one is stored as an identity on the same
+// User document. A new provider is only attached to an existing account automatically when
+// both sides report the same verified email address, otherwise a separate account is created
+// and the user can link it explicitly while logged in.
+
+const PROVIDERS = ['google', 'github', 'linkedin'];
+
+const SCOPES = {
+  google: ['profile', 'email'],
+  github: ['user:email'],
+  linkedin: ['openid', 'profile', 'email']
+};
+
+const identitySchema = new Schema({
+  provider: { type: String, enum: PROVIDERS, required: true },
+  providerId: { type: String, required: true },
+  email: String,
+  emailVerified: { type: Boolean, default: false },
+  linkedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Picks the best email from a passport profile and whether the provider vouches for it
+const profileEmail = (provider, profile) => {
+  const emails = profile.emails || [];
+  const isVerified = (entry) => entry.verified === true || entry.verified === 'true';
+  const entry = emails.find((candidate) => candidate.primary && isVerified(candidate))
+    || emails.find(isVerified)
+    || emails[0];
+  if (!entry || !entry.value) return { email: null, emailVerified: false };
+  return { email: entry.value.trim().toLowerCase(), emailVerified: isVerified(entry) };
+};
+
+const identityFromProfile = (provider, profile) => ({
+  provider,
+  providerId: String(profile.id),
+  ...profileEmail(provider, profile),
+  linkedAt: new Date()
+});
+
+// Accounts created before identities existed only have socialId/platform; move them across.
+// The migrated email is not trusted for matching until the provider confirms it on the next login.
+const migrateLegacyIdentity = (user) => {
+  if (!user.identities) user.identities = [];
+  if (!user.identities.length && user.socialId && PROVIDERS.includes(user.platform)) {
+    user.identities.push({
+      provider: user.platform,
+      providerId: String(user.socialId),
+      email: user.email ? user.email.toLowerCase() : undefined,
+      emailVerified: false,
+      linkedAt: user.createdAt
+    });
+    user.socialId = undefined;
+  }
+  return user;
+};
+
+const identityFilter = (provider, providerId) => ({
+  $or: [
+    { identities: { $elemMatch: { provider, providerId: String(providerId) } } },
+    { socialId: String(providerId), platform: provider }
+  ]
+});
+
+// Finds the account for a login, attaching the identity to a verified-email match or creating a new user
+const signIn = async (provider, profile) => {
+  const User = mongoose.model('User');
+  const identity = identityFromProfile(provider, profile);
+
+  let user = await User.findOne(identityFilter(provider, identity.providerId));
+  if (!user && identity.emailVerified) {
+    // Never merge into an account that already has a different login from the same provider
+    user = await User.findOne({
+      identities: { $elemMatch: { email: identity.email, emailVerified: true } },
+      'identities.provider': { $ne: provider }
+    });
+  }
+
+  if (!user) {
+    user = new User({
+      name: profile.displayName,
+      email: identity.email,
+      profilePicture: profile.photos?.[0]?.value || '',
+      identities: [identity]
+    });
+  } else {
+    migrateLegacyIdentity(user);
+    const existing = user.identities.find((entry) => entry.provider === provider && entry.providerId === identity.providerId);
+    if (existing) {
+      existing.email = identity.email;
+      existing.emailVerified = identity.emailVerified;
+    } else if (!user.identities.some((entry) => entry.provider === provider)) {
+      user.identities.push(identity);
+    }
+  }
+  user.platform = provider;
+  user.lastLogin = new Date();
+  await user.save();
+  return user;
+};
+
+// Attaches a provider identity to the logged-in user.
+// Returns { user } or { status, error } like the route authorization helpers.
+const linkIdentity = async (user, provider, profile) => {
+  const User = mongoose.model('User');
+  const identity = identityFromProfile(provider, profile);
+
+  const owner = await User.findOne(identityFilter(provider, identity.providerId));
+  if (owner && !owner._id.equals(user._id)) {
+    return { status: 409, error: 'This account is already linked to another user' };
+  }
+
+  migrateLegacyIdentity(user);
+  const current = user.identities.find((entry) => entry.provider === provider);
+  if (current && current.providerId !== identity.providerId) {
+    return { status: 409, error: `A different ${provider} account is already linked` };
+  }
+  if (current) {
+    current.email = identity.email;
+    current.emailVerified = identity.emailVerified;
+  } else {
+    user.identities.push(identity);
+  }
+  await user.save();
+  return { user };
+};
+
+// Removes a provider identity, keeping at least one way to sign in
+const unlinkIdentity = async (user, provider) => {
+  migrateLegacyIdentity(user);
+  const index = user.identities.findIndex((entry) => entry.provider === provider);
+  if (index === -1) return { status: 404, error: 'Provider is not linked' };
+  if (user.identities.length === 1) {
+    return { status: 409, error: 'Cannot unlink the only sign-in provider' };
+  }
+
+  user.identities.splice(index, 1);
+  await user.save();
+  return { user };
+};
+
+// Passport verify callback (used with passReqToCallback). While a link started from
+// /api/account/identities/:provider/link is in progress, the identity is added to the
+// logged-in user instead of signing in; the outcome is passed on as auth info (req.authInfo) for the
+// callback route. It can't go in the session: logging in regenerates the session and drops it.
+const verifyProfile = (provider) => async (req, accessToken, refreshToken, profile, done) => {
+  try {
+    if (req.user && req.session?.linkProvider === provider) {
+      delete req.session.linkProvider;
+      const result = await linkIdentity(req.user, provider, profile);
+      const linkResult = result.error ? { provider, status: result.status, error: result.error } : { provider };
+      return done(null, req.user, { linkResult });
+    }
+    return done(null, await signIn(provider, profile));
+  } catch (err) {
+    logger.error('Error saving user', { provider, err });
+    return done(err, null);
+  }
+};
+
+// Shape returned by the API; provider ids stay server-side
+const formatIdentity = (identity) => ({
+  provider: identity.provider,
+  email: identity.email || null,
+  emailVerified: !!identity.emailVerified,
+  linkedAt: identity.linkedAt
+});
+
+module.exports = {
+  PROVIDERS,
+  SCOPES,
+  identitySchema,
+  profileEmail,
+  identityFromProfile,
+  migrateLegacyIdentity,
+  signIn,
+  linkIdentity,
+  unlinkIdentity,
+  verifyProfile,
+  formatIdentity
+};
@@ -12,47 +12,57 @@ require('dotenv').config();
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 //dependency for github oauth
 const GitHubStrategy = require('passport-github2').Strategy;
+//linkedin sign-in over OpenID Connect
+const { LinkedInStrategy } = require('./linkedin');
+const { SCOPES, identitySchema, verifyProfile } = require('./identities');
+const { preferencesSchema, startNotifications } = require('./notifications');
+const { bearerAuth } = require('./apiTokens');
+const { startTrashPurge } = require('./trashPurge');
+const { startRecurrence } = require('./recurrence');
+const { closeAll } = require('./realtime');
+const { validateConfig } = require('./config');
+const { closeServer, handleSignals } = require('./lifecycle');
+const { logger, requestLogger } = require('./logger');
+const { requestMetrics, metricsHandler } = require('./metrics');
+const { createHealthRouter } = require('./health');
+const { createMongoStore, rateLimit, apiBudget } = require('./rateLimit');
+const { IMPORT_BODY_LIMIT } = require('./projectTransfer');
+const { sendValidationError } = require('./validation');
+
+// The app is built by createApp() and nothing connects or listens when this file is required,
+// so tests can create as many apps as they like against their own database.
+// Running the file directly (npm start) goes through start(): the configuration is checked, the
+// server only listens once MongoDB is connected, and SIGTERM/SIGINT shut it down gracefully.
 
-const app = express();
-app.use(express.json());
-
-// proxy setting for Render.com
-app.set('trust proxy', 1);
-
-// Middleware
-app.use(bodyParser.json());
-app.use(
-  cors({
-    origin: process.env.FRONTEND_URL,
-    credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization']
-  })
-);
-
-// MongoDB Connection
-mongoose
-  .connect(process.env.MONGODB_URI, {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
-  })
-  .then(() => console.log('Connected to MongoDB Atlas'))
-  .catch((err) => console.error('Failed to connect to MongoDB Atlas:', err));
-
-mongoose.connection.on('connected', () => {
-  console.log('MongoDB connection established successfully');
+// User schema for MongoDB Atlas
+const userSchema = new mongoose.Schema({
+  // Legacy single-provider id; moved into identities on the user's next login
+  socialId: String,
+  name: String,
+  email: String,
+  // Provider used for the most recent login
+  platform: String,
+  identities: [identitySchema],
+  profilePicture: String,
+  createdAt: { type: Date, default: Date.now },
+  lastLogin: Date,
+  // Hash of the secret token used by calendar clients to read the iCalendar feed
+  calendarTokenHash: { type: String, index: true, select: false },
+  calendarTokenCreatedAt: Date,
+  notificationPreferences: { type: preferencesSchema, default: () => ({}) }
 });
 
-mongoose.connection.on('error', (err) => {
-  console.error('MongoDB connection error:', err);
+// A provider account can belong to only one user
+userSchema.index({ 'identities.provider': 1, 'identities.providerId': 1 }, {
+  unique: true,
+  partialFilterExpression: { 'identities.providerId': { $exists: true } }
 });
+userSchema.index({ 'identities.email': 1 });
 
-mongoose.connection.on('disconnected', () => {
-  console.log('MongoDB connection disconnected');
-});
+const User = mongoose.model('User', userSchema);
 
 // Creates session store using existing MongoDB connection
-const sessionStore = MongoStore.create({
+const createSessionStore = () => MongoStore.create({
   client: mongoose.connection.getClient(),
   collectionName: 'sessions',
   ttl: 24 * 60 * 60,
@@ -60,294 +70,373 @@ const sessionStore = MongoStore.create({
   touchAfter: 24 * 3600
 });
 
-// Session store event listeners
-sessionStore.on('create', (sessionId) => {
-  console.log('Session created:', sessionId);
-});
-
-sessionStore.on('touch', (sessionId) => {
-  console.log('Session touched:', sessionId);
-});
+// Registers the OAuth strategies and session serialization, once per process.
+// A provider is only registered when its client id is configured.
+let passportConfigured = false;
+const configurePassport = () => {
+  if (passportConfigured) return;
+  passportConfigured = true;
+
+  // Google OAuth 2.0 Strategy
+  if (process.env.GOOGLE_CLIENT_ID) {
+    passport.use(
+      new GoogleStrategy(
+        {
+          clientID: process.env.GOOGLE_CLIENT_ID,
+          clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+          callbackURL: `${process.env.BASE_URL}/auth/google/callback`,
+          proxy: true,
+          passReqToCallback: true
+        },
+        verifyProfile('google')
+      )
+    );
+  }
 
-sessionStore.on('update', (sessionId) => {
-  console.log('Session updated:', sessionId);
-});
+  // GitHub Oauth 2.0 Strategy
+  if (process.env.KEY_GITHUB_CLIENT_ID) {
+    passport.use(
+      new GitHubStrategy(
+        {
+          clientID: process.env.KEY_GITHUB_CLIENT_ID,
+          clientSecret: process.env.KEY_GITHUB_CLIENT_SECRET,
+          callbackURL: `${process.env.BASE_URL}/auth/github/callback`,
+          scope: SCOPES.github,
+          // Keeps the verified flag on each address so accounts are only matched by verified email
+          allRawEmails: true,
+          passReqToCallback: true
+        },
+        verifyProfile('github')
+      )
+    );
+  }
 
-sessionStore.on('set', (sessionId) => {
-  console.log('Session set:', sessionId);
-});
+  // LinkedIn OAuth 2.0 Strategy
+  if (process.env.LINKEDIN_CLIENT_ID) {
+    passport.use(
+      new LinkedInStrategy(
+        {
+          clientID: process.env.LINKEDIN_CLIENT_ID,
+          clientSecret: process.env.LINKEDIN_CLIENT_SECRET,
+          callbackURL: process.env.LINKEDIN_REDIRECT_URI || `${process.env.BASE_URL}/auth/linkedin/callback`,
+          scope: SCOPES.linkedin,
+          // LinkedIn requires the state parameter; it is kept in the session under linkedInState
+          state: true,
+          sessionKey: 'linkedInState',
+          proxy: true,
+          passReqToCallback: true
+        },
+        verifyProfile('linkedin')
+      )
+    );
+  }
 
-sessionStore.on('destroy', (sessionId) => {
-  console.log('Session destroyed:', sessionId);
-});
+  // Serialize and deserialize user
+  passport.serializeUser((user, done) => {
+    done(null, user.id);
+  });
 
-// Session configuration
-app.use(
-  session({
-    secret: process.env.SESSION_SECRET,
-    resave: true,
-    saveUninitialized: true,
-    proxy: true,
-    store: sessionStore,
-    name: 'sessionId',
-    cookie: { 
-      secure: true,
-      sameSite: 'none',
-      maxAge: 24 * 60 * 60 * 1000,
-      // domain: process.env.COOKIE_DOMAIN,
-      // path: '/'
+  passport.deserializeUser(async (id, done) => {
+    try {
+      const user = await User.findById(id);
+      done(null, user);
+    } catch (err) {
+      logger.error('Deserialize error', { userId: id, err });
+      done(err, null);
     }
-  })
-);
-
-app.use(passport.initialize());
-app.use(passport.session());
-
-// Enhanced session debugging middleware
-app.use((req, res, next) => {
-  console.log('Session Debug:', {
-    sessionID: req.sessionID,
-    hasSession: !!req.session,
-    isAuthenticated: req.isAuthenticated?.(),
-    user: req.user,
-    cookie: req.session?.cookie,
-    store: req.session?.store?.constructor.name,
-    linkedInState: req.session?.linkedInState
   });
-  next();
-});
+};
+
+// Saves the session after a successful OAuth callback and sends the user back to the frontend.
+// Callbacks that finish linking a provider (see accountRoutes.js) report the outcome in the query string.
+const finishAuth = (provider) => (req, res) => {
+  const { linkResult } = req.authInfo || {};
+  logger.info('Authentication successful', { provider, userId: req.user?._id });
 
-// Test session route
-app.get('/test-session', (req, res) => {
-  req.session.testData = 'test';
   req.session.save((err) => {
     if (err) {
-      console.error('Session save error:', err);
-      return res.status(500).json({ error: 'Session save failed' });
+      logger.error('Session save error', { err });
+      return res.redirect(`${process.env.FRONTEND_URL}?error=session_error`);
     }
-    res.json({ 
-      sessionID: req.sessionID,
-      sessionData: req.session,
-      store: req.session.store?.constructor.name
+    if (!linkResult) return res.redirect(`${process.env.FRONTEND_URL}/profile`);
+    const outcome = linkResult.error
+      ? `linkError=${encodeURIComponent(linkResult.error)}&linkStatus=${linkResult.status}`
+      : `linked=${linkResult.provider}`;
+    res.redirect(`${process.env.FRONTEND_URL}/profile?${outcome}`);
+  });
+};
+
+// Builds the Express app.
+// Options:
+//   sessionStore - express-session store (defaults to connect-mongo on the mongoose connection)
+//   authenticate - extra middleware run right after passport, e.g. the fake sign-in used by tests
+//   rateLimitStore - where request counts are kept (defaults to MongoDB, shared by every instance)
+const createApp = ({ sessionStore = createSessionStore(), authenticate, rateLimitStore = createMongoStore() } = {}) => {
+  configurePassport();
+
+  const app = express();
+  // Correlation id and access log for every request, ahead of everything else
+  app.use(requestLogger);
+  app.use(requestMetrics);
+  // Liveness and readiness probes, and Prometheus metrics; ahead of the session middleware so
+  // probes and scrapes don't create sessions
+  app.use(createHealthRouter({ sessionStore }));
+  app.get('/metrics', metricsHandler);
+  // Project imports are allowed a larger JSON body than everything else
+  app.post('/api/projects/import', express.json({ limit: IMPORT_BODY_LIMIT }));
+  app.use(express.json());
+
+  // proxy setting for Render.com
+  app.set('trust proxy', 1);
+
+  // Middleware
+  app.use(bodyParser.json());
+  app.use(
+    cors({
+      origin: process.env.FRONTEND_URL,
+      credentials: true,
+      methods: ['GET', 'POST', 'PUT', 'DELETE'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+      exposedHeaders: ['X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+    })
+  );
+
+  // Sign-in throttling by IP, ahead of the session so rejected requests don't create sessions
+  app.use(['/auth', '/test-session', '/logout'], rateLimit('auth', rateLimitStore));
+
+  // Session configuration
+  app.use(
+    session({
+      secret: process.env.SESSION_SECRET,
+      resave: true,
+      saveUninitialized: true,
+      proxy: true,
+      store: sessionStore,
+      name: 'sessionId',
+      cookie: {
+        secure: true,
+        sameSite: 'none',
+        maxAge: 24 * 60 * 60 * 1000,
+        // domain: process.env.COOKIE_DOMAIN,
+        // path: '/'
+      }
+    })
+  );
+
+  app.use(passport.initialize());
+  app.use(passport.session());
+  if (authenticate) app.use(authenticate);
+  // Personal access tokens (Authorization: Bearer) authenticate API calls alongside the session
+  app.use('/api', bearerAuth);
+  // Read and write budgets per user, or per IP for anonymous calls such as calendar feeds
+  app.use('/api', rateLimit(apiBudget, rateLimitStore));
+
+  // Test session route
+  app.get('/test-session', (req, res) => {
+    req.session.testData = 'test';
+    req.session.save((err) => {
+      if (err) {
+        logger.error('Session save error', { err });
+        return res.status(500).json({ error: 'Session save failed' });
+      }
+      res.json({
+        sessionID: req.sessionID,
+        sessionData: req.session,
+        store: req.session.store?.constructor.name
+      });
     });
   });
-});
-
-// User schema for MongoDB Atlas
-const userSchema = new mongoose.Schema({
-  socialId: String,
-  name: String,
-  email: String,
-  platform: String,
-  profilePicture: String,
-  createdAt: { type: Date, default: Date.now },
-  lastLogin: Date
-});
 
-const User = mongoose.model('User', userSchema);
+  // Routes
+
+  // Google Routes
+  app.get(
+    '/auth/google',
+    passport.authenticate('google', { scope: SCOPES.google })
+  );
+
+  app.get(
+    '/auth/google/callback',
+    passport.authenticate('google', {
+      failureRedirect: '/',
+      failureMessage: true
+    }),
+    finishAuth('Google')
+  );
+
+  // GitHub Routes
+  app.get(
+    '/auth/github',
+    passport.authenticate('github', { scope: SCOPES.github })
+  );
+
+  app.get(
+    '/auth/github/callback',
+    passport.authenticate('github', {
+      failureRedirect: '/',
+      failureMessage: true
+    }),
+    finishAuth('GitHub')
+  );
+
+  // LinkedIn Routes
+  app.get(
+    '/auth/linkedin',
+    passport.authenticate('linkedin', { scope: SCOPES.linkedin })
+  );
+
+  app.get(
+    '/auth/linkedin/callback',
+    passport.authenticate('linkedin', {
+      failureRedirect: '/',
+      failureMessage: true
+    }),
+    finishAuth('LinkedIn')
+  );
+
+  app.get('/profile', (req, res) => {
+    if (!req.isAuthenticated()) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    res.json({
+      name: req.user.name,
+      email: req.user.email,
+      profilePicture: req.user.profilePicture,
+      platform: req.user.platform,
+      providers: (req.user.identities || []).map((identity) => identity.provider),
+      lastLogin: req.user.lastLogin
+    });
+  });
 
-// Google OAuth 2.0 Strategy
-passport.use(
-  new GoogleStrategy(
-    {
-      clientID: process.env.GOOGLE_CLIENT_ID,
-      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-      callbackURL: `${process.env.BASE_URL}/auth/google/callback`,
-      proxy: true
-    },
-    async (accessToken, refreshToken, profile, done) => {
-      try {
-        console.log('Google profile:', profile);
-        let user = await User.findOne({ socialId: profile.id });
-        if (!user) {
-          user = new User({
-            socialId: profile.id,
-            name: profile.displayName,
-            email: profile.emails[0].value,
-            platform: 'google',
-            profilePicture: profile.photos[0]?.value || '',
-            lastLogin: new Date()
-          });
-        } else {
-          user.lastLogin = new Date();
-        }
-        await user.save();
-        return done(null, user);
-      } catch (err) {
-        console.error('Error saving user:', err);
-        return done(err, null);
+  app.get('/logout', (req, res) => {
+    req.logout((err) => {
+      if (err) {
+        logger.error('Error during logout', { err });
+        return res.status(500).json({ error: 'Logout error' });
       }
-    }
-  )
-);
-
-// GitHub Oauth 2.0 Strategy
-passport.use(
-  new GitHubStrategy(
-    {
-      clientID: process.env.KEY_GITHUB_CLIENT_ID,
-      clientSecret: process.env.KEY_GITHUB_CLIENT_SECRET,
-      callbackURL: `${process.env.BASE_URL}/auth/github/callback`,
-      scope: ['user:email']
-    },
-    async (accessToken, refreshToken, profile, done) => {
-      try {
-        console.log('GitHub profile:', profile);
-        let user = await User.findOne({ socialId: profile.id });
-        if (!user) {
-          user = new User({
-            socialId: profile.id,
-            name: profile.displayName,
-            email: profile.emails[0].value,
-            platform: 'github',
-            profilePicture: profile.photos[0]?.value || '',
-            lastLogin: new Date()
-          });
-        } else {
-          user.lastLogin = new Date();
+      req.session.destroy((destroyErr) => {
+        if (destroyErr) {
+          logger.error('Error destroying session', { err: destroyErr });
+          return res.status(500).json({ error: 'Session destroy error' });
         }
-        await user.save();
-        return done(null, user);
-      } catch (err) {
-        console.error('Error saving user:', err);
-        return done(err, null);
-      }
+        res.clearCookie('sessionId', {
+          path: '/',
+          domain: process.env.COOKIE_DOMAIN,
+          secure: true,
+          sameSite: 'none'
+        });
+        res.status(200).json({ message: 'Logged out successfully' });
+      });
+    });
+  });
+  //API routes
+  // Calendar feeds authenticate with their own token, so they are mounted ahead of the session-only routes
+  const calendarRouter = require('./calendarRoutes');
+  const accountRouter = require('./accountRoutes');
+  const tokenRouter = require('./tokenRoutes');
+  const notificationRouter = require('./notificationRoutes');
+  const labelRouter = require('./labelRoutes');
+  const viewRouter = require('./viewRoutes');
+  const projectTaskRouter = require('./projectTaskRoutes');
+  const { router: realtimeRouter } = require('./realtime');
+  app.use('/api', calendarRouter);
+  app.use('/api', accountRouter);
+  app.use('/api', tokenRouter);
+  app.use('/api', notificationRouter);
+  app.use('/api', labelRouter);
+  app.use('/api', viewRouter);
+  app.use('/api', realtimeRouter);
+  app.use('/api', projectTaskRouter);
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    // Body parser errors are the client's: malformed JSON gets the usual validation error shape
+    if (err.type === 'entity.parse.failed') {
+      return sendValidationError(res, { body: 'Request body must be valid JSON' });
+    }
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Request body must be at most ${err.limit} bytes` });
     }
-  )
-);
+    const status = err.status || err.statusCode;
+    if (status >= 400 && status < 500) {
+      return res.status(status).json({ error: err.expose ? err.message : 'Bad request' });
+    }
+    logger.error('Unhandled error', { err });
+    res.status(500).json({
+      error: 'Something went wrong!',
+      message: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  });
 
-// Serialize and deserialize user
-passport.serializeUser((user, done) => {
-  console.log('Serializing user:', user);
-  done(null, user.id);
-});
+  return app;
+};
 
-passport.deserializeUser(async (id, done) => {
-  try {
-    const user = await User.findById(id);
-    console.log('Deserialized user:', user);
-    done(null, user);
-  } catch (err) {
-    console.error('Deserialize error:', err);
-    done(err, null);
-  }
-});
+// MongoDB Connection - resolves once connected, rejects if the database can't be reached.
+// MONGODB_URI must point at a replica set (Atlas clusters are; a local mongod needs --replSet):
+// project import writes in a transaction, which a standalone server doesn't support.
+const connectDatabase = async () => {
+  mongoose.connection.on('connected', () => {
+    logger.info('MongoDB connection established');
+  });
 
-// Routes
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'healthy' });
-});
+  mongoose.connection.on('error', (err) => {
+    logger.error('MongoDB connection error', { err });
+  });
 
-// Google Routes
-app.get(
-  '/auth/google',
-  passport.authenticate('google', { scope: ['profile', 'email'] })
-);
-
-app.get(
-  '/auth/google/callback',
-  passport.authenticate('google', { 
-    failureRedirect: '/',
-    failureMessage: true 
-  }),
-  (req, res) => {
-    console.log('Google authentication successful');
-    console.log('Session after auth:', req.session);
-    console.log('User after auth:', req.user);
-    
-    req.session.save((err) => {
-      if (err) {
-        console.error('Session save error:', err);
-        return res.redirect(`${process.env.FRONTEND_URL}?error=session_error`);
-      }
-      res.redirect(`${process.env.FRONTEND_URL}/profile`);
-    });
-  }
-);
-
-// GitHub Routes
-app.get(
-  '/auth/github',
-  passport.authenticate('github', { scope: ['user:email'] })
-);
-
-app.get(
-  '/auth/github/callback',
-  passport.authenticate('github', { 
-    failureRedirect: '/',
-    failureMessage: true 
-  }),
-  (req, res) => {
-    console.log('GitHub authentication successful');
-    console.log('Session after auth:', req.session);
-    console.log('User after auth:', req.user);
-    
-    req.session.save((err) => {
-      if (err) {
-        console.error('Session save error:', err);
-        return res.redirect(`${process.env.FRONTEND_URL}?error=session_error`);
-      }
-      res.redirect(`${process.env.FRONTEND_URL}/profile`);
-    });
-  }
-);
-
-app.get('/profile', (req, res) => {
-  console.log('Profile request received. Authenticated:', req.isAuthenticated());
-  console.log('User:', req.user);
-  
-  if (!req.isAuthenticated()) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  res.json({
-    name: req.user.name,
-    email: req.user.email,
-    profilePicture: req.user.profilePicture,
-    platform: req.user.platform,
-    lastLogin: req.user.lastLogin
+  mongoose.connection.on('disconnected', () => {
+    logger.warn('MongoDB connection disconnected');
   });
-});
 
-app.get('/logout', (req, res) => {
-  req.logout((err) => {
-    if (err) {
-      console.error('Error during logout:', err);
-      return res.status(500).json({ error: 'Logout error' });
-    }
-    req.session.destroy((destroyErr) => {
-      if (destroyErr) {
-        console.error('Error destroying session:', destroyErr);
-        return res.status(500).json({ error: 'Session destroy error' });
-      }
-      res.clearCookie('sessionId', { 
-        path: '/',
-        domain: process.env.COOKIE_DOMAIN,
-        secure: true,
-        sameSite: 'none'
-      });
-      res.status(200).json({ message: 'Logged out successfully' });
-    });
+  await mongoose.connect(process.env.MONGODB_URI);
+};
+
+// Starts the server: checks the configuration, waits for MongoDB, then accepts traffic and
+// starts the background jobs. Returns { server, shutdown }; shutdown stops the jobs, drains
+// in-flight requests and closes the database connection.
+const start = async () => {
+  validateConfig();
+  await connectDatabase();
+  const app = createApp();
+
+  // Start the server
+  const PORT = process.env.PORT || 5000;
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(PORT, () => resolve(listening)).on('error', reject);
   });
-});
-//API routes
-const projectTaskRouter = require('./projectTaskRoutes');
-app.use('/api', projectTaskRouter);
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({ 
-    error: 'Something went wrong!',
-    message: process.env.NODE_ENV === 'development' ? err.message : undefined
+  logger.info('Server is running', {
+    port: Number(PORT),
+    frontendUrl: process.env.FRONTEND_URL,
+    baseUrl: process.env.BASE_URL
   });
-});
 
-module.exports = app;
+  const stopJobs = [
+    // Permanently remove projects and tasks that have been in the trash past the retention period
+    startTrashPurge(),
+    // Keep recurring tasks generated up to the horizon
+    startRecurrence(),
+    // Due-soon and overdue task notifications and the daily email digest
+    startNotifications()
+  ];
+
+  const shutdown = async () => {
+    stopJobs.forEach((stop) => stop());
+    // Event streams never finish on their own, so they are ended before draining
+    closeAll();
+    await closeServer(server);
+    // The session store shares this connection, so closing it closes the store too
+    await mongoose.disconnect();
+  };
+
+  return { server, shutdown };
+};
+
+if (require.main === module) {
+  start()
+    .then(({ shutdown }) => handleSignals(shutdown))
+    .catch((err) => {
+      logger.error('Failed to start server', { err });
+      process.exit(1);
+    });
+}
 
-// Start the server
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log(`Frontend URL: ${process.env.FRONTEND_URL}`);
-  console.log(`Base URL: ${process.env.BASE_URL}`);
-});
\ No newline at end of file
+module.exports = { createApp, connectDatabase, start, User };
@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const requireAuth = require('./requireAuth');
+const { accessFilter, authorizeProject } = require('./projectAccess');
+const { parseListQuery, paginate } = require('./pagination');
+const { labelFields, validate, sendValidationError } = require('./validation');
+const { Label, usableFilter } = require('./labels');
+const { View } = require('./views');
+const { publish } = require('./realtime');
+const { recordActivity } = require('./activityLog');
+const { logger } = require('./logger');
+
+// Project and personal labels. Anyone who can read a project sees its labels;
+// editors and owners create and change them. Personal labels are only visible to their owner.
+
+router.use('/labels', requireAuth);
+
+const parseLabelQuery = (query) => parseListQuery(
+  { limit: query.limit, cursor: query.cursor, sort: 'name' },
+  (id) => new mongoose.Types.ObjectId(id)
+);
+
+// Loads a label and checks the user may perform the action on it: reading a project label
+// needs task:read on its project, changing it project:update. Personal labels are owner-only.
+const authorizeLabel = async (labelId, user, action) => {
+  const label = mongoose.Types.ObjectId.isValid(labelId) ? await Label.findById(labelId) : null;
+  if (!label) return { status: 404, error: 'Label not found' };
+  if (!label.project) {
+    return String(label.owner) === String(user._id) ? { label, project: null } : { status: 404, error: 'Label not found' };
+  }
+  const access = await authorizeProject(label.project, user, action);
+  if (access.status === 404) return { status: 404, error: 'Label not found' };
+  return access.error ? access : { label, project: access.project };
+};
+
+const sendDuplicate = (res) => res.status(409).json({ error: 'A label with this name already exists' });
+
+// READ - Labels by name (?limit, ?cursor). With ?project= only the labels usable on that
+// project's tasks - its own labels and the user's personal ones.
+router.get('/labels', async (req, res) => {
+  try {
+    const options = parseLabelQuery(req.query);
+    if (options.errors) return sendValidationError(res, options.errors);
+
+    let filter;
+    if (req.query.project) {
+      const { project, status, error } = await authorizeProject(req.query.project, req.user, 'task:read');
+      if (error) return res.status(status).json({ error });
+      filter = usableFilter(project._id, req.user._id);
+    } else {
+      const projects = await mongoose.model('Project').find(accessFilter(req.user._id), '_id');
+      filter = { $or: [{ project: { $in: projects.map((project) => project._id) } }, { project: null, owner: req.user._id }] };
+    }
+
+    const page = await paginate(Label, filter, options);
+    res.json(page);
+  } catch (err) {
+    logger.error('Error fetching labels', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// CREATE - Personal label, or a project label when { project } is given
+router.post('/labels', async (req, res) => {
+  try {
+    const { value, errors } = validate(labelFields, req.body);
+    if (errors) return sendValidationError(res, errors);
+
+    let project = null;
+    if (value.project) {
+      const access = await authorizeProject(value.project, req.user, 'project:update');
+      if (access.error) return res.status(access.status).json({ error: access.error });
+      project = access.project;
+    }
+
+    const label = await Label.create({
+      name: value.name.trim(),
+      color: value.color,
+      project: project ? project._id : null,
+      owner: project ? null : req.user._id,
+      createdBy: req.user._id
+    });
+    if (project) publish('label.created', project, label);
+    res.status(201).json(label);
+  } catch (err) {
+    if (err.code === 11000) return sendDuplicate(res);
+    logger.error('Error creating label', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// READ - A single label
+router.get('/labels/:id', async (req, res) => {
+  try {
+    const { label, status, error } = await authorizeLabel(req.params.id, req.user, 'task:read');
+    if (error) return res.status(status).json({ error });
+    res.json(label);
+  } catch (err) {
+    logger.error('Error fetching label', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// UPDATE - Rename or recolor a label; a label cannot move between projects
+router.put('/labels/:id', async (req, res) => {
+  try {
+    const { label, project, status, error } = await authorizeLabel(req.params.id, req.user, 'project:update');
+    if (error) return res.status(status).json({ error });
+
+    const { value, errors } = validate({ name: labelFields.name, color: labelFields.color }, req.body, { partial: true });
+    if (errors) return sendValidationError(res, errors);
+
+    if (value.name !== undefined) label.name = value.name.trim();
+    if (value.color !== undefined) label.color = value.color;
+    await label.save();
+    if (project) publish('label.updated', project, label);
+    res.json(label);
+  } catch (err) {
+    if (err.code === 11000) return sendDuplicate(res);
+    logger.error('Error updating label', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE - Delete a label and take it off every task and saved view that uses it
+router.delete('/labels/:id', async (req, res) => {
+  try {
+    const { label, project, status, error } = await authorizeLabel(req.params.id, req.user, 'project:update');
+    if (error) return res.status(status).json({ error });
+
+    const Task = mongoose.model('Task');
+    const labelled = await Task.find({ labels: label._id }, 'project labels').setOptions({ withDeleted: true });
+    await Task.updateMany({ labels: label._id }, { $pull: { labels: label._id } }, { withDeleted: true });
+    await recordActivity(labelled.map((task) => ({
+      entityType: 'task',
+      action: 'update',
+      before: task,
+      after: { _id: task._id, project: task.project, labels: task.labels.filter((id) => !id.equals(label._id)) },
+      actor: req.user,
+      meta: { deletedLabel: label._id }
+    })));
+    await View.updateMany(
+      { $or: [{ 'filters.labels': label._id }, { 'filters.anyLabels': label._id }, { 'filters.notLabels': label._id }] },
+      { $pull: { 'filters.labels': label._id, 'filters.anyLabels': label._id, 'filters.notLabels': label._id } }
+    );
+    await Label.deleteOne({ _id: label._id });
+    if (project) publish('label.deleted', project, { _id: label._id });
+    res.json({ message: 'Label deleted successfully' });
+  } catch (err) {
+    logger.error('Error deleting label', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// Colored labels for tasks.
+// A project label belongs to its project and can be used on any of the project's tasks.
+// A personal label belongs to the user who created it and can be put on tasks in any project
+// they can edit; other people see it on those tasks but cannot use it themselves.
+
+const labelSchema = new Schema({
+  name: { type: String, required: true },
+  color: { type: String, required: true },
+  project: { type: Schema.Types.ObjectId, ref: 'Project', default: null },  // Set on project labels
+  owner: { type: Schema.Types.ObjectId, ref: 'User', default: null },  // Set on personal labels
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+// Label names are unique per project and per user, ignoring case
+labelSchema.index({ project: 1, owner: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+const Label = mongoose.model('Label', labelSchema);
+
+// Labels the user can put on tasks of the project: the project's labels and their own
+const usableFilter = (projectId, userId) => ({
+  $or: [{ project: projectId }, { project: null, owner: userId }]
+});
+
+// Checks the labels on a task. Labels it already had may stay; new ones must be usable by the user.
+// Returns an error body to send back as a 400, or null when the labels are valid.
+const validateLabels = async (labelIds, projectId, user, existing = []) => {
+  const kept = new Set(existing.map(String));
+  const added = [...new Set(labelIds.map(String))].filter((id) => !kept.has(id));
+  if (!added.length) return null;
+
+  const usable = await Label.countDocuments({ $and: [{ _id: { $in: added } }, usableFilter(projectId, user._id)] });
+  if (usable === added.length) return null;
+  const error = 'Labels must belong to the task\'s project or to you';
+  return { error, details: { labels: error } };
+};
+
+// Labels a task keeps when it moves to another project - the old project's labels are dropped
+const labelsForProject = async (labelIds, projectId) => {
+  if (!labelIds || !labelIds.length) return [];
+  const labels = await Label.find({ _id: { $in: labelIds }, project: { $in: [null, projectId] } }, '_id');
+  return labels.map((label) => label._id);
+};
+
+module.exports = { Label, usableFilter, validateLabels, labelsForProject };
@@ -0,0 +1,55 @@
+// Graceful shutdown of the HTTP server.
+// On SIGTERM (sent by Render before a deploy replaces the instance) the server stops accepting
+// connections, lets in-flight requests finish and only then closes the database connection.
+// SHUTDOWN_TIMEOUT_MS caps how long requests get to finish (default 10000); whatever is still
+// open after that is cut off.
+
+const { logger } = require('./logger');
+
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 10 * 1000;
+const IDLE_SWEEP_MS = 250;
+
+const shutdownTimeout = () => {
+  const ms = Number(process.env.SHUTDOWN_TIMEOUT_MS);
+  return Number.isFinite(ms) && ms >= 0 ? ms : DEFAULT_SHUTDOWN_TIMEOUT_MS;
+};
+
+// Stops accepting connections and resolves once every open request has finished.
+// Keep-alive connections are closed as soon as they go idle.
+const closeServer = (server, timeoutMs = shutdownTimeout()) => new Promise((resolve) => {
+  const sweep = setInterval(() => server.closeIdleConnections(), IDLE_SWEEP_MS);
+  const deadline = setTimeout(() => {
+    logger.warn('Shutdown timeout reached, closing remaining connections', { timeoutMs });
+    server.closeAllConnections();
+  }, timeoutMs);
+  sweep.unref();
+  deadline.unref();
+
+  server.close(() => {
+    clearInterval(sweep);
+    clearTimeout(deadline);
+    resolve();
+  });
+  server.closeIdleConnections();
+});
+
+// Runs the shutdown once on SIGTERM or SIGINT, then exits
+const handleSignals = (shutdown) => {
+  let stopping = false;
+  const onSignal = async (signal) => {
+    if (stopping) return;
+    stopping = true;
+    logger.info('Shutting down', { signal });
+    try {
+      await shutdown();
+      logger.info('Shutdown complete');
+      process.exit(0);
+    } catch (err) {
+      logger.error('Shutdown failed', { err });
+      process.exit(1);
+    }
+  };
+  ['SIGTERM', 'SIGINT'].forEach((signal) => process.on(signal, onSignal));
+};
+
+module.exports = { shutdownTimeout, closeServer, handleSignals };
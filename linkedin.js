@@ -0,0 +1,48 @@
+const { Strategy: LegacyLinkedInStrategy } = require('passport-linkedin-oauth2');
+
+// LinkedIn sign-in over OpenID Connect (scopes openid, profile, email).
+// passport-linkedin-oauth2 only knows the retired r_liteprofile/r_emailaddress endpoints, so this
+// keeps its authorization flow (including the required state parameter) and reads the profile
+// from the OpenID userinfo endpoint instead. The email carries LinkedIn's own email_verified
+// flag, so an unconfirmed address is never used to match an existing account.
+
+const USERINFO_URL = 'https://api.linkedin.com/v2/userinfo';
+
+// Converts a userinfo response into the passport profile shape used by the other providers
+const parseUserInfo = (body) => {
+  const json = typeof body === 'string' ? JSON.parse(body) : body;
+  if (!json || !json.sub) throw new Error('LinkedIn userinfo has no subject');
+  return {
+    provider: 'linkedin',
+    id: json.sub,
+    displayName: json.name || [json.given_name, json.family_name].filter(Boolean).join(' '),
+    name: { givenName: json.given_name, familyName: json.family_name },
+    emails: json.email
+      ? [{ value: json.email, verified: json.email_verified === true || json.email_verified === 'true' }]
+      : [],
+    photos: json.picture ? [{ value: json.picture }] : [],
+    _raw: typeof body === 'string' ? body : JSON.stringify(body),
+    _json: json
+  };
+};
+
+class LinkedInStrategy extends LegacyLinkedInStrategy {
+  userProfile(accessToken, done) {
+    // userinfo only accepts the token in the Authorization header
+    this._oauth2.useAuthorizationHeaderforGET(true);
+    this._oauth2.get(USERINFO_URL, accessToken, (err, body) => {
+      if (err) {
+        const error = new Error('Failed to fetch LinkedIn profile');
+        error.oauthError = err;
+        return done(error);
+      }
+      try {
+        return done(null, parseUserInfo(body));
+      } catch (parseErr) {
+        return done(parseErr);
+      }
+    });
+  }
+}
+
+module.exports = { USERINFO_URL, parseUserInfo, LinkedInStrategy };
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging.
+// Every entry is one JSON line: { time, level, msg, requestId?, ...fields }. Entries written while
+// a request is being handled carry its correlation id, which is taken from an incoming
+// X-Request-Id header when it looks safe and generated otherwise, and echoed on the response.
+// Tokens, secrets, cookies and email addresses are redacted before anything is written.
+//
+// LOG_LEVEL picks the least severe level written: debug, info (default), warn, error or silent.
+// Tests default to silent.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const REDACTED = '[REDACTED]';
+// Field names whose values are never written
+const SECRET_KEY = /token|secret|password|passwd|authorization|cookie|session|email|state|^code$/i;
+const EMAIL = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi;
+const BEARER = /\b(Bearer|Basic)\s+[^\s"']+/gi;
+const MAX_DEPTH = 5;
+
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+const context = new AsyncLocalStorage();
+
+const levelName = () => {
+  const name = (process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'silent' : 'info')).toLowerCase();
+  return name in LEVELS ? name : 'info';
+};
+
+const redactString = (value) => value.replace(EMAIL, REDACTED).replace(BEARER, `$1 ${REDACTED}`);
+
+const serializeError = (err) => ({
+  name: err.name,
+  message: redactString(String(err.message)),
+  ...(err.code !== undefined && { code: err.code }),
+  ...(err.stack && { stack: redactString(err.stack) })
+});
+
+// Copy of the value safe to write: secrets by key, emails and credentials inside strings,
+// errors reduced to name/message/stack, documents to their plain form
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toHexString === 'function') return value.toHexString();
+  if (depth >= MAX_DEPTH) return '[Object]';
+  if (typeof value.toObject === 'function') value = value.toObject();
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEY.test(key) ? REDACTED : redact(item, depth + 1)
+  ]));
+};
+
+// Where entries go; replaced by tests
+let output = (level, line) => {
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+const setOutput = (write) => {
+  output = write;
+};
+
+const write = (level, bound, msg, fields) => {
+  if (LEVELS[level] < LEVELS[levelName()]) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(msg)),
+    ...context.getStore(),
+    ...redact({ ...bound, ...fields })
+  };
+  output(level, JSON.stringify(entry));
+};
+
+// Logger whose entries all include the given fields: logger.child({ job: 'trash-purge' })
+const createLogger = (bound = {}) => ({
+  debug: (msg, fields) => write('debug', bound, msg, fields),
+  info: (msg, fields) => write('info', bound, msg, fields),
+  warn: (msg, fields) => write('warn', bound, msg, fields),
+  error: (msg, fields) => write('error', bound, msg, fields),
+  child: (fields) => createLogger({ ...bound, ...fields })
+});
+
+const logger = createLogger();
+
+// Assigns the request its correlation id and writes one access-log line when the response is
+// finished (or the client goes away first), with the status and the time taken
+const requestLogger = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  let logged = false;
+  const access = () => {
+    if (logged) return;
+    logged = true;
+    const status = res.writableFinished ? res.statusCode : 499;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    write(level, { requestId }, 'request completed', {
+      method: req.method,
+      // The query string can carry feed tokens and cursors, so only the path is logged
+      path: (req.originalUrl || req.url).split('?')[0],
+      status,
+      durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+      ...(res.get('Content-Length') && { bytes: Number(res.get('Content-Length')) }),
+      ...(req.user && { userId: String(req.user._id) })
+    });
+  };
+  res.on('finish', access);
+  res.on('close', access);
+
+  context.run({ requestId }, next);
+};
+
+module.exports = { LEVELS, logger, redact, requestLogger, setOutput };
@@ -0,0 +1,40 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing email.
+// By default mail goes through SMTP when SMTP_HOST is set (SMTP_PORT, SMTP_SECURE, SMTP_USER,
+// SMTP_PASS, SMTP_FROM), so it can be pointed at a local test server such as MailHog on port 1025.
+// Any object with a sendMail(message) method returning a promise can be plugged in with setTransport.
+
+let transport;
+
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) return null;
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+};
+
+const getTransport = () => {
+  if (transport === undefined) transport = createSmtpTransport();
+  return transport;
+};
+
+// Replaces the transport; pass undefined to go back to the SMTP settings
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+const mailEnabled = () => !!getTransport();
+
+// Sends a message; resolves false without sending when no transport is configured
+const sendMail = async (message) => {
+  const current = getTransport();
+  if (!current) return false;
+  await current.sendMail({ from: process.env.SMTP_FROM || 'no-reply@localhost', ...message });
+  return true;
+};
+
+module.exports = { setTransport, mailEnabled, sendMail };
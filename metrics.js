@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Request and database metrics in the Prometheus text format, served from GET /metrics.
+// Requests are counted by method, route and status, and timed by method and route. The route is
+// the matched Express path (/api/tasks/:id), so ids never end up in labels; requests that match
+// no route are grouped under "unmatched".
+// When METRICS_TOKEN is set, scrapers must send it as a bearer token.
+
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// mongoose.connection.readyState values
+const CONNECTION_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// key (labels as JSON) -> count
+const requestCounts = new Map();
+// key (labels as JSON) -> { buckets, sum, count }
+const requestDurations = new Map();
+
+const routeOf = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+const recordRequest = ({ method, route, status, seconds }) => {
+  const countKey = JSON.stringify({ method, route, status: String(status) });
+  requestCounts.set(countKey, (requestCounts.get(countKey) || 0) + 1);
+
+  const durationKey = JSON.stringify({ method, route });
+  const histogram = requestDurations.get(durationKey) || { buckets: BUCKETS.map(() => 0), sum: 0, count: 0 };
+  BUCKETS.forEach((bound, i) => {
+    if (seconds <= bound) histogram.buckets[i]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+  requestDurations.set(durationKey, histogram);
+};
+
+const resetMetrics = () => {
+  requestCounts.clear();
+  requestDurations.clear();
+};
+
+// Times every request and records it once the response has been sent
+const requestMetrics = (req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    recordRequest({
+      method: req.method,
+      route: routeOf(req),
+      status: res.statusCode,
+      seconds: Number(process.hrtime.bigint() - started) / 1e9
+    });
+  });
+  next();
+};
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+const header = (name, type, help) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+// The current metrics as a Prometheus text exposition
+const renderMetrics = () => {
+  const lines = [
+    ...header('http_requests_total', 'counter', 'HTTP requests handled, by method, route and status code.'),
+    ...[...requestCounts].map(([key, count]) => `http_requests_total${formatLabels(JSON.parse(key))} ${count}`),
+
+    ...header('http_request_duration_seconds', 'histogram', 'HTTP request latency in seconds, by method and route.'),
+    ...[...requestDurations].flatMap(([key, { buckets, sum, count }]) => {
+      const labels = JSON.parse(key);
+      return [
+        ...BUCKETS.map((bound, i) => `http_request_duration_seconds_bucket${formatLabels({ ...labels, le: bound })} ${buckets[i]}`),
+        `http_request_duration_seconds_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `http_request_duration_seconds_sum${formatLabels(labels)} ${sum}`,
+        `http_request_duration_seconds_count${formatLabels(labels)} ${count}`
+      ];
+    }),
+
+    ...header('mongodb_connection_state', 'gauge', 'MongoDB connection state; 1 for the current state, 0 for the others.'),
+    ...CONNECTION_STATES.map((state, value) => (
+      `mongodb_connection_state${formatLabels({ state })} ${mongoose.connection.readyState === value ? 1 : 0}`
+    )),
+
+    ...header('process_uptime_seconds', 'gauge', 'Seconds since the server process started.'),
+    `process_uptime_seconds ${process.uptime()}`
+  ];
+  return `${lines.join('\n')}\n`;
+};
+
+const tokenMatches = (header) => {
+  const expected = Buffer.from(`Bearer ${process.env.METRICS_TOKEN}`);
+  const given = Buffer.from(header || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// GET /metrics
+const metricsHandler = (req, res) => {
+  if (process.env.METRICS_TOKEN && !tokenMatches(req.get('Authorization'))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+};
+
+module.exports = { BUCKETS, requestMetrics, recordRequest, renderMetrics, resetMetrics, metricsHandler };
@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const requireAuth = require('./requireAuth');
+const { parseListQuery, paginate } = require('./pagination');
+const { notificationPreferenceFields, validate, sendValidationError } = require('./validation');
+const { Notification, preferencesOf } = require('./notifications');
+const { logger } = require('./logger');
+
+// In-app notifications and notification preferences of the logged-in user
+
+router.use('/notifications', requireAuth);
+
+const loadUser = (req) => mongoose.model('User').findById(req.user._id, 'notificationPreferences');
+
+// READ - Notification preferences, with defaults for anything not set yet
+router.get('/notifications/preferences', async (req, res) => {
+  try {
+    const user = await loadUser(req);
+    res.json(preferencesOf(user));
+  } catch (err) {
+    logger.error('Error fetching notification preferences', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// UPDATE - Change some or all preferences; quiet hours are set or cleared as a pair
+router.put('/notifications/preferences', async (req, res) => {
+  try {
+    const { value, errors } = validate(notificationPreferenceFields, req.body, { partial: true });
+    if (errors) return sendValidationError(res, errors);
+
+    const user = await loadUser(req);
+    const preferences = { ...preferencesOf(user), ...value };
+    if (!preferences.quietHoursStart !== !preferences.quietHoursEnd) {
+      const missing = preferences.quietHoursStart ? 'quietHoursEnd' : 'quietHoursStart';
+      return sendValidationError(res, { [missing]: 'Set both ends of the quiet hours or neither' });
+    }
+
+    const update = Object.fromEntries(Object.entries(value).map(([key, entry]) => [`notificationPreferences.${key}`, entry]));
+    await mongoose.model('User').updateOne({ _id: req.user._id }, { $set: update });
+    res.json(preferences);
+  } catch (err) {
+    logger.error('Error updating notification preferences', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// READ - Notifications newest first (?limit, ?cursor, ?unread=true for unread only)
+router.get('/notifications', async (req, res) => {
+  try {
+    const options = parseListQuery(
+      { limit: req.query.limit, cursor: req.query.cursor, sort: '-createdAt' },
+      (id) => new mongoose.Types.ObjectId(id)
+    );
+    if (req.query.unread !== undefined && !['true', 'false'].includes(req.query.unread)) {
+      options.errors = { ...options.errors, unread: 'Unread must be true or false' };
+    }
+    if (options.errors) return sendValidationError(res, options.errors);
+
+    const filter = { user: req.user._id, dismissedAt: null };
+    if (req.query.unread === 'true') filter.readAt = null;
+    const page = await paginate(Notification, filter, options, (query) => query.populate('task', 'name status endDate'));
+    res.json(page);
+  } catch (err) {
+    logger.error('Error fetching notifications', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// UPDATE - Mark every notification as read
+router.post('/notifications/read-all', async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { user: req.user._id, readAt: null, dismissedAt: null },
+      { readAt: new Date() }
+    );
+    res.json({ message: 'Notifications marked as read', updated: modifiedCount });
+  } catch (err) {
+    logger.error('Error marking notifications as read', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const findNotification = (req) => (mongoose.Types.ObjectId.isValid(req.params.id)
+  ? Notification.findOne({ _id: req.params.id, user: req.user._id, dismissedAt: null })
+  : null);
+
+// UPDATE - Mark one notification as read
+router.post('/notifications/:id/read', async (req, res) => {
+  try {
+    const notification = await findNotification(req);
+    if (!notification) return res.status(404).json({ error: 'Notification not found' });
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    res.json(notification);
+  } catch (err) {
+    logger.error('Error marking notification as read', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE - Dismiss a notification
+router.delete('/notifications/:id', async (req, res) => {
+  try {
+    const notification = await findNotification(req);
+    if (!notification) return res.status(404).json({ error: 'Notification not found' });
+
+    notification.dismissedAt = new Date();
+    await notification.save();
+    res.json({ message: 'Notification dismissed' });
+  } catch (err) {
+    logger.error('Error dismissing notification', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
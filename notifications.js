@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const { accessFilter } = require('./projectAccess');
+const { mailEnabled, sendMail } = require('./mailer');
+const { logger } = require('./logger');
+
+const Schema = mongoose.Schema;
+
+// Notifications about tasks that are due soon or overdue.
+// A background job creates in-app notifications for each task's owner and, for users who asked
+// for it, sends a daily email digest once their digest hour has passed in their own time zone.
+// Digests are held back during the user's quiet hours and go out on the first run after them.
+// NOTIFICATION_INTERVAL_MINUTES sets how often the job runs (default 15).
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOTIFICATION_TYPES = ['task_due_soon', 'task_overdue'];
+// Widest due-soon window a user can pick, and how long after its end date a task still counts as newly overdue
+const MAX_DUE_SOON_HOURS = 168;
+const OVERDUE_LOOKBACK_HOURS = 7 * 24;
+
+const DEFAULT_PREFERENCES = {
+  inApp: true,
+  emailDigest: false,
+  dueSoonHours: 24,
+  digestHour: 8,
+  quietHoursStart: null,
+  quietHoursEnd: null,
+  timezone: 'UTC'
+};
+
+const preferencesSchema = new Schema({
+  inApp: { type: Boolean, default: DEFAULT_PREFERENCES.inApp },
+  emailDigest: { type: Boolean, default: DEFAULT_PREFERENCES.emailDigest },
+  dueSoonHours: { type: Number, default: DEFAULT_PREFERENCES.dueSoonHours },
+  digestHour: { type: Number, default: DEFAULT_PREFERENCES.digestHour },
+  quietHoursStart: String,  // HH:MM in the user's time zone
+  quietHoursEnd: String,
+  timezone: { type: String, default: DEFAULT_PREFERENCES.timezone },
+  lastDigestAt: Date
+}, { _id: false });
+
+const notificationSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+  task: { type: Schema.Types.ObjectId, ref: 'Task', required: true },
+  project: { type: Schema.Types.ObjectId, ref: 'Project', required: true },
+  title: String,
+  dueDate: Date,
+  readAt: { type: Date, default: null },
+  dismissedAt: { type: Date, default: null }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+notificationSchema.index({ user: 1, createdAt: -1, _id: -1 });
+// One notification of each kind per task and end date; moving the end date notifies again
+notificationSchema.index({ user: 1, type: 1, task: 1, dueDate: 1 }, { unique: true });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+// A user's preferences with defaults filled in
+const preferencesOf = (user) => {
+  const stored = user && user.notificationPreferences;
+  const values = stored && typeof stored.toObject === 'function' ? stored.toObject() : stored || {};
+  return Object.fromEntries(Object.entries(DEFAULT_PREFERENCES).map(([key, fallback]) => [
+    key,
+    values[key] === undefined || values[key] === null ? fallback : values[key]
+  ]));
+};
+
+// Local calendar day and minutes since midnight in a time zone
+const localClock = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+  const part = (type) => parts.find((entry) => entry.type === type).value;
+  return {
+    day: `${part('year')}-${part('month')}-${part('day')}`,
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Whether it is currently quiet hours for the user; ranges may cross midnight (22:00-07:00)
+const inQuietHours = (preferences, now) => {
+  if (!preferences.quietHoursStart || !preferences.quietHoursEnd) return false;
+  const start = toMinutes(preferences.quietHoursStart);
+  const end = toMinutes(preferences.quietHoursEnd);
+  if (start === end) return false;
+  const { minutes } = localClock(now, preferences.timezone);
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+};
+
+// Notifications owed for open tasks, keyed by owner preferences (a Map of user id to preferences)
+const dueNotifications = (tasks, preferencesByUser, now) => tasks.flatMap((task) => {
+  const preferences = preferencesByUser.get(String(task.owner));
+  if (!preferences || !preferences.inApp || !task.endDate || task.status === 'done') return [];
+
+  let type = null;
+  if (task.endDate <= now) type = 'task_overdue';
+  else if (task.endDate - now <= preferences.dueSoonHours * HOUR_MS) type = 'task_due_soon';
+  if (!type) return [];
+
+  return [{ user: task.owner, type, task: task._id, project: task.project, title: task.name, dueDate: task.endDate }];
+});
+
+// Creates the in-app notifications that are due. Returns how many were created.
+const createDueNotifications = async (now = new Date()) => {
+  const Task = mongoose.model('Task');
+  const User = mongoose.model('User');
+
+  const tasks = await Task.find({
+    status: { $ne: 'done' },
+    endDate: {
+      $gte: new Date(now.getTime() - OVERDUE_LOOKBACK_HOURS * HOUR_MS),
+      $lte: new Date(now.getTime() + MAX_DUE_SOON_HOURS * HOUR_MS)
+    }
+  }, 'name project owner endDate status');
+  if (!tasks.length) return 0;
+
+  const owners = await User.find({ _id: { $in: [...new Set(tasks.map((task) => String(task.owner)))] } }, 'notificationPreferences');
+  const preferencesByUser = new Map(owners.map((owner) => [String(owner._id), preferencesOf(owner)]));
+  const notifications = dueNotifications(tasks, preferencesByUser, now);
+  if (!notifications.length) return 0;
+
+  try {
+    const created = await Notification.insertMany(notifications, { ordered: false });
+    return created.length;
+  } catch (err) {
+    // Notifications from earlier runs are skipped by the unique index
+    if (err.code !== 11000) throw err;
+    return (err.insertedDocs || []).length;
+  }
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Subject and text of a digest email
+const buildDigest = (user, tasks, now) => {
+  const overdue = tasks.filter((task) => task.endDate <= now);
+  const dueSoon = tasks.filter((task) => task.endDate > now);
+  const section = (heading, list) => (list.length
+    ? [`${heading}:`, ...list.map((task) => `- ${task.name} (due ${formatDay(task.endDate)})`), '']
+    : []);
+
+  const lines = [
+    `Hi ${user.name || 'there'},`,
+    '',
+    ...section('Overdue', overdue),
+    ...section('Due soon', dueSoon),
+    process.env.FRONTEND_URL ? `Open your tasks: ${process.env.FRONTEND_URL}` : null
+  ].filter((line) => line !== null);
+
+  const counts = [overdue.length && `${overdue.length} overdue`, dueSoon.length && `${dueSoon.length} due soon`].filter(Boolean);
+  return { subject: `Task digest: ${counts.join(', ')}`, text: lines.join('\n') };
+};
+
+// Sends the daily digest to every user whose digest is due. Returns how many were sent.
+const sendDigests = async (now = new Date()) => {
+  if (!mailEnabled()) return 0;
+  const Task = mongoose.model('Task');
+  const Project = mongoose.model('Project');
+  const User = mongoose.model('User');
+
+  const users = await User.find({ 'notificationPreferences.emailDigest': true, email: { $nin: [null, ''] } });
+  let sent = 0;
+  for (const user of users) {
+    try {
+      const preferences = preferencesOf(user);
+      if (inQuietHours(preferences, now)) continue;
+      const clock = localClock(now, preferences.timezone);
+      if (clock.minutes < preferences.digestHour * 60) continue;
+      const lastDigestAt = user.notificationPreferences?.lastDigestAt;
+      if (lastDigestAt && localClock(lastDigestAt, preferences.timezone).day === clock.day) continue;
+
+      const projects = await Project.find(accessFilter(user._id), '_id');
+      const tasks = await Task.find({
+        owner: user._id,
+        project: { $in: projects.map((project) => project._id) },
+        status: { $ne: 'done' },
+        endDate: { $ne: null, $lte: new Date(now.getTime() + preferences.dueSoonHours * HOUR_MS) }
+      }).sort({ endDate: 1 }).limit(100);
+
+      if (tasks.length) {
+        await sendMail({ to: user.email, ...buildDigest(user, tasks, now) });
+        sent++;
+      }
+      await User.updateOne({ _id: user._id }, { 'notificationPreferences.lastDigestAt': now });
+    } catch (err) {
+      logger.error('Error sending digest', { userId: user._id, err });
+    }
+  }
+  return sent;
+};
+
+// Starts the notification job on an interval; returns a function that stops it
+const startNotifications = () => {
+  const minutes = Number(process.env.NOTIFICATION_INTERVAL_MINUTES) || 15;
+
+  const run = async () => {
+    try {
+      const created = await createDueNotifications();
+      const sent = await sendDigests();
+      if (created || sent) logger.info('Notifications sent', { created, digests: sent });
+    } catch (err) {
+      logger.error('Notification job failed', { err });
+    }
+  };
+
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  Notification,
+  preferencesSchema,
+  preferencesOf,
+  inQuietHours,
+  dueNotifications,
+  createDueNotifications,
+  buildDigest,
+  sendDigests,
+  startNotifications
+};
@@ -0,0 +1,144 @@
+// Cursor-based pagination, sorting and filtering for list routes.
+// A cursor encodes the sort value and _id of the last item on a page, so the next page
+// starts right after it even when documents are added or removed in between.
+
+const SORT_FIELDS = ['name', 'startDate', 'endDate', 'createdAt'];
+const DATE_FIELDS = ['startDate', 'endDate', 'createdAt'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const encodeCursor = (doc, field) => {
+  const value = doc[field] instanceof Date ? doc[field].toISOString() : doc[field];
+  return Buffer.from(JSON.stringify({ v: value === undefined ? null : value, id: String(doc._id) })).toString('base64url');
+};
+
+const decodeCursor = (cursor, field) => {
+  const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  if (typeof id !== 'string' || !/^[a-f\d]{24}$/i.test(id)) throw new Error('Invalid cursor');
+  const value = v !== null && DATE_FIELDS.includes(field) ? new Date(v) : v;
+  if (value instanceof Date && isNaN(value)) throw new Error('Invalid cursor');
+  return { value, id };
+};
+
+// Matches documents that come after the cursor in the given sort order.
+// Missing values sort first ascending and last descending, the same way MongoDB orders them.
+const afterCursor = (field, direction, { value, id }, toId) => {
+  const _id = toId(id);
+  if (direction === 1) {
+    if (value === null) {
+      return { $or: [{ [field]: null, _id: { $gt: _id } }, { [field]: { $ne: null } }] };
+    }
+    return { $or: [{ [field]: { $gt: value } }, { [field]: value, _id: { $gt: _id } }] };
+  }
+  if (value === null) {
+    return { [field]: null, _id: { $lt: _id } };
+  }
+  return {
+    $or: [
+      { [field]: { $lt: value } },
+      { [field]: value, _id: { $lt: _id } },
+      { [field]: null }
+    ]
+  };
+};
+
+const LIST_PARAMS = ['sort', 'limit', 'cursor', 'q', 'startDateFrom', 'startDateTo', 'endDateFrom', 'endDateTo'];
+
+// Parses list query params into a Mongo filter and sort.
+// Returns { errors } when any param is invalid, keyed by param name.
+const parseListQuery = (query, toId) => {
+  // A repeated param (?sort=a&sort=b) or a nested one (?sort[x]=1) arrives as an array or object
+  const notStrings = LIST_PARAMS.filter((param) => query[param] !== undefined && typeof query[param] !== 'string');
+  if (notStrings.length) {
+    return { errors: Object.fromEntries(notStrings.map((param) => [param, `${param} must be given once, as a single value`])) };
+  }
+
+  const errors = {};
+  const conditions = [];
+
+  const sortParam = query.sort || 'createdAt';
+  const direction = sortParam.startsWith('-') ? -1 : 1;
+  const field = sortParam.replace(/^-/, '');
+  if (!SORT_FIELDS.includes(field)) {
+    errors.sort = `Sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending)`;
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.limit = `Limit must be an integer between 1 and ${MAX_LIMIT}`;
+    }
+  }
+
+  // Date-range filters: startDateFrom, startDateTo, endDateFrom, endDateTo
+  ['startDate', 'endDate'].forEach((dateField) => {
+    const range = {};
+    [['From', '$gte'], ['To', '$lte']].forEach(([suffix, operator]) => {
+      const param = `${dateField}${suffix}`;
+      if (query[param] === undefined) return;
+      const date = new Date(query[param]);
+      if (isNaN(date)) {
+        errors[param] = `${param} must be a valid date`;
+      } else {
+        range[operator] = date;
+      }
+    });
+    if (Object.keys(range).length) conditions.push({ [dateField]: range });
+  });
+
+  // Text search over name and description
+  if (query.q) {
+    const pattern = new RegExp(escapeRegex(String(query.q)), 'i');
+    conditions.push({ $or: [{ name: pattern }, { description: pattern }] });
+  }
+
+  let cursor = null;
+  if (query.cursor && !errors.sort) {
+    try {
+      cursor = decodeCursor(String(query.cursor), field);
+    } catch (err) {
+      errors.cursor = 'Invalid cursor';
+    }
+  }
+
+  if (Object.keys(errors).length) return { errors };
+
+  return {
+    conditions,
+    cursorCondition: cursor ? afterCursor(field, direction, cursor, toId) : null,
+    sort: { [field]: direction, _id: direction },
+    field,
+    limit
+  };
+};
+
+// Runs a paginated query and builds the response envelope
+const paginate = async (Model, baseFilter, options, decorate = (q) => q) => {
+  const filter = { $and: [baseFilter, ...options.conditions] };
+  const pageFilter = options.cursorCondition
+    ? { $and: [...filter.$and, options.cursorCondition] }
+    : filter;
+
+  const [docs, total] = await Promise.all([
+    decorate(Model.find(pageFilter).sort(options.sort).limit(options.limit + 1)),
+    Model.countDocuments(filter)
+  ]);
+
+  const hasMore = docs.length > options.limit;
+  const data = hasMore ? docs.slice(0, options.limit) : docs;
+
+  return {
+    data,
+    pagination: {
+      total,
+      limit: options.limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1], options.field) : null
+    }
+  };
+};
+
+module.exports = { SORT_FIELDS, parseListQuery, paginate, encodeCursor, decodeCursor };
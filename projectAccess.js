@@ -0,0 +1,61 @@
+// Role-based access rules for projects.
+// The project's owner field always has the owner role; everyone else needs an active membership.
+
+const mongoose = require('mongoose');
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'editor', 'owner'];
+
+// Minimum role needed for each action on a project and its tasks
+const ACTIONS = {
+  'project:read': 'viewer',
+  'project:update': 'editor',
+  'project:delete': 'owner',
+  'members:read': 'viewer',
+  'members:manage': 'owner',
+  'task:read': 'viewer',
+  'task:write': 'editor',
+  // Anyone who can see a task can discuss it
+  'comment:write': 'viewer'
+};
+
+// Returns the user's role on the project, or null if they have no access
+const roleFor = (project, userId) => {
+  if (!project || !userId) return null;
+  if (String(project.owner) === String(userId)) return 'owner';
+
+  const member = (project.members || []).find(
+    (m) => String(m.user && m.user._id ? m.user._id : m.user) === String(userId) && m.status === 'active'
+  );
+  return member ? member.role : null;
+};
+
+// Checks whether a role is allowed to perform an action
+const can = (role, action) => {
+  const required = ACTIONS[action];
+  if (!role || !required) return false;
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+};
+
+// Mongo filter matching every project the user can read
+const accessFilter = (userId) => ({
+  $or: [
+    { owner: userId },
+    { members: { $elemMatch: { user: userId, status: 'active' } } }
+  ]
+});
+
+// Loads a project and checks that the user's role allows the action.
+// Returns { project, role } on success, or { status, error } to send back.
+// Projects in the trash are treated as missing unless withDeleted is set, and so are malformed ids.
+const authorizeProject = async (projectId, user, action, { withDeleted = false } = {}) => {
+  const project = mongoose.Types.ObjectId.isValid(projectId)
+    ? await mongoose.model('Project').findById(projectId).setOptions({ withDeleted })
+    : null;
+  const role = roleFor(project, user._id);
+  if (!role) return { status: 404, error: 'Project not found or you do not have access to this project' };
+  if (!can(role, action)) return { status: 403, error: 'You do not have permission to perform this action' };
+  return { project, role };
+};
+
+module.exports = { ROLES, ACTIONS, roleFor, can, accessFilter, authorizeProject };
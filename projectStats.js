@@ -0,0 +1,187 @@
+// Progress and schedule analytics, computed with a MongoDB aggregation over the Task collection
+// so the dashboard doesn't need to pull every task into the browser.
+// Progress is weighted by duration; when no task has a duration, task counts are used instead.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const DEFAULT_DUE_SOON_DAYS = 7;
+const MAX_DUE_SOON_DAYS = 365;
+const TASK_LIST_LIMIT = 50;
+
+const notDone = { $ne: ['$status', 'done'] };
+// A parent's work is the sum of its subtasks (see rollup), so only tasks without subtasks add
+// their own duration; counting the parent too would count that work twice
+const durationOrZero = {
+  $cond: [{ $gt: ['$rollup.subtasks', 0] }, 0, { $max: [{ $ifNull: ['$duration', 0] }, 0] }]
+};
+
+// When a task was completed - its latest change to done, falling back to its last update
+const completedAt = {
+  $let: {
+    vars: {
+      doneChanges: {
+        $filter: { input: { $ifNull: ['$statusHistory', []] }, as: 'change', cond: { $eq: ['$$change.to', 'done'] } }
+      }
+    },
+    in: { $ifNull: [{ $max: '$$doneChanges.changedAt' }, '$updatedAt'] }
+  }
+};
+
+const taskSummaryFields = { _id: 1, project: 1, name: 1, status: 1, duration: 1, startDate: 1, endDate: 1 };
+
+// Parses the ?days= window for tasks finishing soon, returning { days } or { error }
+const parseDays = (raw) => {
+  if (raw === undefined) return { days: DEFAULT_DUE_SOON_DAYS };
+  const days = Number(raw);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DUE_SOON_DAYS) {
+    return { error: `days must be an integer between 1 and ${MAX_DUE_SOON_DAYS}` };
+  }
+  return { days };
+};
+
+const buildStatsPipeline = (match, { now, days, byProject = false }) => {
+  const soon = new Date(now.getTime() + days * DAY_MS);
+
+  const facets = {
+    summary: [
+      {
+        $group: {
+          _id: null,
+          totalTasks: { $sum: 1 },
+          completedTasks: { $sum: { $cond: [notDone, 0, 1] } },
+          totalDuration: { $sum: durationOrZero },
+          remainingDuration: { $sum: { $cond: [notDone, durationOrZero, 0] } },
+          firstStart: { $min: { $ifNull: ['$startDate', '$createdAt'] } },
+          lastEnd: { $max: '$endDate' }
+        }
+      }
+    ],
+    overdue: [
+      { $match: { status: { $ne: 'done' }, endDate: { $lt: now } } },
+      { $sort: { endDate: 1, _id: 1 } },
+      { $project: taskSummaryFields },
+      { $limit: TASK_LIST_LIMIT }
+    ],
+    overdueCount: [
+      { $match: { status: { $ne: 'done' }, endDate: { $lt: now } } },
+      { $count: 'count' }
+    ],
+    dueSoon: [
+      { $match: { status: { $ne: 'done' }, endDate: { $gte: now, $lte: soon } } },
+      { $sort: { endDate: 1, _id: 1 } },
+      { $project: taskSummaryFields },
+      { $limit: TASK_LIST_LIMIT }
+    ],
+    dueSoonCount: [
+      { $match: { status: { $ne: 'done' }, endDate: { $gte: now, $lte: soon } } },
+      { $count: 'count' }
+    ],
+    completedByWeek: [
+      { $match: { status: 'done' } },
+      { $group: { _id: { $dateTrunc: { date: completedAt, unit: 'week', startOfWeek: 'monday' } }, duration: { $sum: durationOrZero }, tasks: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]
+  };
+
+  if (byProject) {
+    facets.byProject = [
+      {
+        $group: {
+          _id: '$project',
+          totalTasks: { $sum: 1 },
+          completedTasks: { $sum: { $cond: [notDone, 0, 1] } },
+          totalDuration: { $sum: durationOrZero },
+          remainingDuration: { $sum: { $cond: [notDone, durationOrZero, 0] } },
+          overdueTasks: { $sum: { $cond: [{ $and: [notDone, { $lt: ['$endDate', now] }, { $gt: ['$endDate', null] }] }, 1, 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ];
+  }
+
+  return [{ $match: match }, { $facet: facets }];
+};
+
+const percentComplete = ({ totalTasks, completedTasks, totalDuration, remainingDuration }) => {
+  if (totalDuration > 0) return Math.round(((totalDuration - remainingDuration) / totalDuration) * 1000) / 10;
+  if (totalTasks > 0) return Math.round((completedTasks / totalTasks) * 1000) / 10;
+  return 0;
+};
+
+// Monday 00:00 UTC of the week containing date, matching $dateTrunc with startOfWeek monday
+const startOfWeek = (date) => {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const offset = (d.getUTCDay() + 6) % 7;
+  return new Date(d.getTime() - offset * DAY_MS);
+};
+
+// Remaining duration at the end of each week, with a straight ideal line to the last end date
+const buildBurndown = (summary, completedByWeek, now) => {
+  if (!summary.totalTasks) return [];
+
+  const first = startOfWeek(new Date(summary.firstStart || now));
+  const lastDate = [summary.lastEnd, now, ...completedByWeek.map((week) => week._id)]
+    .filter(Boolean)
+    .reduce((max, date) => (new Date(date) > max ? new Date(date) : max), first);
+  const last = startOfWeek(lastDate);
+  const weeks = Math.round((last - first) / WEEK_MS) + 1;
+
+  const total = summary.totalDuration > 0 ? summary.totalDuration : summary.totalTasks;
+  const weight = (week) => (summary.totalDuration > 0 ? week.duration : week.tasks);
+
+  let done = 0;
+  return Array.from({ length: weeks }, (_, i) => {
+    const weekStart = new Date(first.getTime() + i * WEEK_MS);
+    done += completedByWeek
+      .filter((week) => new Date(week._id).getTime() === weekStart.getTime())
+      .reduce((sum, week) => sum + weight(week), 0);
+    return {
+      weekStart,
+      remaining: weekStart <= now ? total - done : null,
+      ideal: Math.round((total - (total * (i + 1)) / weeks) * 10) / 10
+    };
+  });
+};
+
+// Turns the aggregation result into the response body
+const formatStats = ([result], { now, days }) => {
+  const summary = result.summary[0] || {
+    totalTasks: 0, completedTasks: 0, totalDuration: 0, remainingDuration: 0, firstStart: null, lastEnd: null
+  };
+
+  const stats = {
+    generatedAt: now,
+    totalTasks: summary.totalTasks,
+    completedTasks: summary.completedTasks,
+    totalDuration: summary.totalDuration,
+    remainingDuration: summary.remainingDuration,
+    percentComplete: percentComplete(summary),
+    overdue: {
+      count: result.overdueCount[0] ? result.overdueCount[0].count : 0,
+      tasks: result.overdue
+    },
+    dueSoon: {
+      days,
+      count: result.dueSoonCount[0] ? result.dueSoonCount[0].count : 0,
+      tasks: result.dueSoon
+    },
+    burndown: buildBurndown(summary, result.completedByWeek, now)
+  };
+
+  if (result.byProject) {
+    stats.projects = result.byProject.map(({ _id, ...projectSummary }) => ({
+      project: _id,
+      ...projectSummary,
+      percentComplete: percentComplete(projectSummary)
+    }));
+  }
+  return stats;
+};
+
+// Runs the aggregation for the tasks matching match and returns the formatted stats
+const computeStats = async (Task, match, { now = new Date(), days = DEFAULT_DUE_SOON_DAYS, byProject = false } = {}) => {
+  const result = await Task.aggregate(buildStatsPipeline(match, { now, days, byProject }));
+  return formatStats(result, { now, days });
+};
+
+module.exports = { parseDays, buildStatsPipeline, buildBurndown, formatStats, computeStats };
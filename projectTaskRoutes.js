@@ -1,14 +1,49 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const { findCycle, criticalPath } = require('./taskDependencies');
+const { ROLES, roleFor, can, accessFilter, authorizeProject } = require('./projectAccess');
+const { parseListQuery, paginate } = require('./pagination');
+const requireAuth = require('./requireAuth');
+const {
+  projectFields, taskFields, moveFields, commentFields, mentionReadFields, validate, sendValidationError
+} = require('./validation');
+const { STATUSES, canTransition, buildBoard, reorderColumn } = require('./taskWorkflow');
+const { parseDays, computeStats } = require('./projectStats');
+const { FORMATS, IMPORT_BODY_LIMIT, toJson, toCsv, parseImport, buildDocuments } = require('./projectTransfer');
+const softDelete = require('./softDelete');
+const { retentionDays, purgeDate } = require('./trashPurge');
+const { Activity, recordActivity } = require('./activityLog');
+const { publish } = require('./realtime');
+const {
+  recurrenceSchema, completeRule, extendSeries, updateFollowing, deleteFollowing, excludeOccurrence, restoreOccurrence
+} = require('./recurrence');
+const { descendantsOf, validateParent, refreshRollups } = require('./subtasks');
+const { Comment, resolveMentions, mergeMentions } = require('./comments');
+const { Attachment, contentDisposition, receiveUpload } = require('./attachments');
+const { getStorage } = require('./storage');
+const { validateLabels, labelsForProject } = require('./labels');
+const { searchTasks } = require('./taskSearch');
+const { logger } = require('./logger');
 
 const Schema = mongoose.Schema;
 
 //The application  manages projects and tasks using MongoDB Atlas as the database. 
 // It defines two Mongoose schemas: Project and Task
 // Each project and task is associated with a user (owner) via a reference to the User's _id.
+// Projects can be shared with other users as members with an owner, editor or viewer role.
 //The id is important because on front end ui, this is the list for each schema is populated respectively
-//If the ID param is not used such as in Postman, all entries are returned regardless of ID
+//List routes return { data, pagination: { total, limit, hasMore, nextCursor } } instead of a bare array
+
+// Membership of a user on a shared project, pending until the invited user accepts
+const memberSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String, enum: ROLES, default: 'viewer' },
+  status: { type: String, enum: ['pending', 'active'], default: 'pending' },
+  invitedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  invitedAt: { type: Date, default: Date.now },
+  acceptedAt: Date
+}, { _id: false });
 
 // MongoDB Schema for Projects
 const projectSchema = new Schema({
@@ -16,11 +51,31 @@ const projectSchema = new Schema({
   description: String,
   startDate: Date,
   endDate: Date,
-  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }  // Reference to User's _id
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },  // Reference to User's _id
+  members: [memberSchema]
 }, { timestamps: true });
 
+projectSchema.index({ 'members.user': 1 });
+projectSchema.plugin(softDelete);
+
 const Project = mongoose.model('Project', projectSchema);
 
+// One entry per status change on a task
+const statusChangeSchema = new Schema({
+  from: { type: String, enum: STATUSES },
+  to: { type: String, enum: STATUSES, required: true },
+  changedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Duration and completion of a task's subtasks, kept up to date as they change
+const rollupSchema = new Schema({
+  duration: Number,
+  subtasks: Number,
+  completed: Number,
+  progress: Number
+}, { _id: false });
+
 // MongoDB Schema for Tasks
 const taskSchema = new Schema({
   project: { type: Schema.Types.ObjectId, ref: 'Project', required: true },
@@ -29,35 +84,132 @@ const taskSchema = new Schema({
   duration: Number,
   startDate: Date,
   endDate: Date,
+  dependsOn: [{ type: Schema.Types.ObjectId, ref: 'Task' }],  // Tasks that must finish before this one starts (trashed ones are ignored)
+  status: { type: String, enum: STATUSES, default: 'todo' },
+  position: Number,  // Order within the task's board column
+  statusHistory: [statusChangeSchema],
+  deletedWithProject: Boolean,  // Set when the task went to the trash because its project did
+  parent: { type: Schema.Types.ObjectId, ref: 'Task' },  // Set on subtasks
+  rollup: { type: rollupSchema, default: null },  // Totals of the task's subtasks, null when it has none
+  deletedWithParent: Boolean,  // Set when the subtask went to the trash because its parent did
+  recurrence: { type: recurrenceSchema, default: null },  // Only on the first task of a recurring series
+  series: { type: Schema.Types.ObjectId, ref: 'Task' },  // First task of the series this occurrence belongs to
+  occurrenceDate: Date,  // Slot in the series this occurrence was generated for
+  labels: [{ type: Schema.Types.ObjectId, ref: 'Label' }],
   owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }  // Reference to User's _id
 }, { timestamps: true });
 
+taskSchema.index({ project: 1, createdAt: 1 });
+taskSchema.index({ project: 1, status: 1, position: 1 });
+taskSchema.index({ parent: 1 });
+taskSchema.index({ labels: 1 });
+taskSchema.index({ series: 1, occurrenceDate: 1 }, {
+  unique: true,
+  partialFilterExpression: { series: { $type: 'objectId' } }
+});
+taskSchema.plugin(softDelete);
+
 const Task = mongoose.model('Task', taskSchema);
 
+// Checks that every dependency is a task in the same project and that no cycle would be formed.
+// Dependencies in `kept` (the ones the task already has) may be in the trash: they stay on the
+// task, ignored, until restored. Returns an error body to send back as a 400, or null when valid.
+const validateDependencies = async (taskId, projectId, dependsOn, kept = []) => {
+  const dependencyError = (error, extra = {}) => ({ error, details: { dependsOn: error }, ...extra });
+
+  if (dependsOn.some((id) => String(id) === String(taskId))) {
+    return dependencyError('A task cannot depend on itself');
+  }
+
+  const projectTasks = await Task.find({ project: projectId }, 'dependsOn parent');
+  const projectTaskIds = new Set(projectTasks.map((task) => String(task._id)));
+  const keptIds = new Set(kept.map(String));
+  if (!dependsOn.every((id) => projectTaskIds.has(String(id)) || keptIds.has(String(id)))) {
+    return dependencyError('Dependencies must be tasks in the same project');
+  }
+
+  const cycle = findCycle(projectTasks, taskId, dependsOn);
+  if (cycle) {
+    return dependencyError('Task dependencies would form a cycle', { cycle });
+  }
+  return null;
+};
+
+// Next free position at the bottom of a board column
+const nextPosition = async (projectId, status) => {
+  const last = await Task.findOne({ project: projectId, status }).sort({ position: -1 }).select('position');
+  return last && typeof last.position === 'number' ? last.position + 1 : 0;
+};
+
+// Builds a status history entry, or null when the status is unchanged
+const statusChange = (from, to, user) => (
+  to !== undefined && to !== from ? { from, to, changedBy: user._id, changedAt: new Date() } : null
+);
+
+// Recomputes parent rollups after subtasks changed and pushes the new totals to clients
+const updateRollups = async (project, parentIds) => {
+  const parents = await refreshRollups(parentIds);
+  parents.forEach((parent) => publish('task.updated', project, parent));
+};
+
+// Edit and delete scope for occurrences of a recurring series (?scope=this|following)
+const SCOPES = ['this', 'following'];
+const parseScope = (query) => {
+  const scope = query.scope === undefined ? 'this' : query.scope;
+  return SCOPES.includes(scope) ? { scope } : { errors: { scope: `Scope must be one of: ${SCOPES.join(', ')}` } };
+};
+
+// Loads a task and checks the user's role on its project (see authorizeProject in projectAccess.js)
+const authorizeTask = async (taskId, user, action, { withDeleted = false } = {}) => {
+  const task = mongoose.Types.ObjectId.isValid(taskId)
+    ? await Task.findById(taskId).setOptions({ withDeleted })
+    : null;
+  if (!task) return { status: 404, error: 'Task not found or you do not have access to this task' };
+  const access = await authorizeProject(task.project, user, action, { withDeleted });
+  if (access.error) {
+    return access.status === 404
+      ? { status: 404, error: 'Task not found or you do not have access to this task' }
+      : access;
+  }
+  return { task, ...access };
+};
+
+// Every project and task route needs a logged-in user.
+// Resources the user cannot access return 404 so their existence is not revealed.
+router.use(requireAuth);
 
 // CREATE a new project 
 router.post('/projects', async (req, res) => {
   try {
+    const { value, errors } = validate(projectFields, req.body);
+    if (errors) return sendValidationError(res, errors);
+
     const project = new Project({
-      ...req.body,
+      ...value,
       owner: req.user._id  
     });
     const savedProject = await project.save();
+    await recordActivity({ entityType: 'project', action: 'create', after: savedProject, actor: req.user });
+    publish('project.created', savedProject, savedProject);
     res.status(201).json(savedProject);
   } catch (err) {
-    console.error('Error creating project:', err);
+    logger.error('Error creating project', { err });
     res.status(500).json({ error: err.message });
   }
 });
 
-// READ - Return all projects 
+// READ - Return projects page by page
+// Supports ?limit, ?cursor, ?sort (name, startDate, endDate, createdAt; prefix - for descending),
+// ?startDateFrom/?startDateTo/?endDateFrom/?endDateTo and ?q text search over name and description
 router.get('/projects', async (req, res) => {
   try {
-    const filter = req.user ? { owner: req.user._id } : {};  
-    const projects = await Project.find(filter);
-    res.json(projects);
+    const options = parseListQuery(req.query, (id) => new mongoose.Types.ObjectId(id));
+    if (options.errors) return sendValidationError(res, options.errors);
+
+    const page = await paginate(Project, accessFilter(req.user._id), options);
+    res.json(page);
   } catch (err) {
-    console.error('Error fetching projects:', err);
+    logger.error('Error fetching projects', { err });
     res.status(500).json({ error: err.message });
   }
 });
@@ -65,11 +217,11 @@ router.get('/projects', async (req, res) => {
 // READ - Return a single project by ID
 router.get('/projects/:id', async (req, res) => {
   try {
-    const project = await Project.findById(req.params.id);
-    if (!project) return res.status(404).json({ error: 'Project not found' });
+    const { project, status, error } = await authorizeProject(req.params.id, req.user, 'project:read');
+    if (error) return res.status(status).json({ error });
     res.json(project);
   } catch (err) {
-    console.error('Error fetching project:', err);
+    logger.error('Error fetching project', { err });
     res.status(500).json({ error: err.message });
   }
 });
@@ -77,28 +229,397 @@ router.get('/projects/:id', async (req, res) => {
 // UPDATE - Project by ID 
 router.put('/projects/:id', async (req, res) => {
   try {
-    const updatedProject = await Project.findOneAndUpdate(
-      { _id: req.params.id, owner: req.user._id },  
-      req.body,
+    const { project, status, error } = await authorizeProject(req.params.id, req.user, 'project:update');
+    if (error) return res.status(status).json({ error });
+
+    // Ownership and membership are only changed through the members endpoints
+    const { value, errors } = validate(projectFields, req.body, { partial: true, existing: project });
+    if (errors) return sendValidationError(res, errors);
+
+    const updatedProject = await Project.findByIdAndUpdate(
+      req.params.id,
+      value,
       { new: true, runValidators: true }
     );
-    if (!updatedProject) return res.status(404).json({ error: 'Project not found or you do not own this project' });
+    await recordActivity({ entityType: 'project', action: 'update', before: project, after: updatedProject, actor: req.user });
+    publish('project.updated', updatedProject, updatedProject);
     res.json(updatedProject);
   } catch (err) {
-    console.error('Error updating project:', err);
+    logger.error('Error updating project', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// READ - Critical path of a project based on task dependencies and durations
+router.get('/projects/:id/critical-path', async (req, res) => {
+  try {
+    const { project, status, error } = await authorizeProject(req.params.id, req.user, 'project:read');
+    if (error) return res.status(status).json({ error });
+
+    const tasks = await Task.find({ project: project._id });
+    const projectStart = project.startDate
+      || tasks.reduce((min, task) => (task.startDate && (!min || task.startDate < min) ? task.startDate : min), null)
+      || project.createdAt;
+
+    res.json({ project: project._id, ...criticalPath(tasks, projectStart) });
+  } catch (err) {
+    logger.error('Error computing critical path', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// READ - Kanban board of a project, tasks grouped into one column per status
+router.get('/projects/:id/board', async (req, res) => {
+  try {
+    const { project, status, error } = await authorizeProject(req.params.id, req.user, 'task:read');
+    if (error) return res.status(status).json({ error });
+
+    // Dependencies on trashed tasks are left off the cards
+    const tasks = await Task.find({ project: project._id }).select('-statusHistory');
+    const taskIds = new Set(tasks.map((task) => String(task._id)));
+    const cards = tasks.map((task) => ({
+      ...task.toObject(),
+      dependsOn: task.dependsOn.filter((id) => taskIds.has(String(id)))
+    }));
+    res.json({ project: project._id, columns: buildBoard(cards) });
+  } catch (err) {
+    logger.error('Error fetching board', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// READ - Progress and schedule stats of a project (?days= sets the due-soon window, default 7)
+router.get('/projects/:id/stats', async (req, res) => {
+  try {
+    const { project, status, error } = await authorizeProject(req.params.id, req.user, 'project:read');
+    if (error) return res.status(status).json({ error });
+
+    const { days, error: daysError } = parseDays(req.query.days);
+    if (daysError) return sendValidationError(res, { days: daysError });
+
+    const stats = await computeStats(Task, { project: project._id }, { days });
+    res.json({ project: project._id, ...stats });
+  } catch (err) {
+    logger.error('Error computing project stats', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// READ - Stats across every project the user can access, with a per-project breakdown
+router.get('/stats/overview', async (req, res) => {
+  try {
+    const { days, error: daysError } = parseDays(req.query.days);
+    if (daysError) return sendValidationError(res, { days: daysError });
+
+    const projects = await Project.find(accessFilter(req.user._id), 'name');
+    const stats = await computeStats(
+      Task,
+      { project: { $in: projects.map((project) => project._id) } },
+      { days, byProject: true }
+    );
+
+    const names = new Map(projects.map((project) => [String(project._id), project.name]));
+    stats.projects = stats.projects.map((entry) => ({ ...entry, name: names.get(String(entry.project)) }));
+    res.json({ totalProjects: projects.length, ...stats });
+  } catch (err) {
+    logger.error('Error computing stats overview', { err });
     res.status(500).json({ error: err.message });
   }
 });
 
-// DELETE a project by ID (only if it belongs to the logged-in user)
+// READ - Download a project with all its tasks (?format=json|csv, default json)
+router.get('/projects/:id/export', async (req, res) => {
+  try {
+    const { project, status, error } = await authorizeProject(req.params.id, req.user, 'project:read');
+    if (error) return res.status(status).json({ error });
+
+    const format = req.query.format || 'json';
+    if (!FORMATS.includes(format)) {
+      return sendValidationError(res, { format: `Format must be one of: ${FORMATS.join(', ')}` });
+    }
+
+    const tasks = await Task.find({ project: project._id }).sort({ createdAt: 1, _id: 1 });
+    res.attachment(`project-${project._id}.${format}`);
+    if (format === 'csv') {
+      return res.type('text/csv').send(toCsv(project, tasks));
+    }
+    res.json(toJson(project, tasks));
+  } catch (err) {
+    logger.error('Error exporting project', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// CREATE - Import projects with their tasks from JSON or CSV (text/csv body, or ?format=csv).
+// Every row is validated first and everything is written in one transaction, so either the whole
+// import succeeds or nothing is created (transactions need MongoDB to run as a replica set).
+// Imported projects are owned by the logged-in user. JSON bodies are parsed in index.js, ahead of
+// the app-wide parser and its smaller limit.
+router.post('/projects/import', express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_BODY_LIMIT }), async (req, res) => {
+  try {
+    const format = req.query.format || (req.is('text/csv') ? 'csv' : 'json');
+    if (!FORMATS.includes(format)) {
+      return sendValidationError(res, { format: `Format must be one of: ${FORMATS.join(', ')}` });
+    }
+
+    const { plan, errors } = parseImport(format, req.body);
+    if (errors) {
+      return res.status(400).json({ error: `Import rejected: ${errors.length} row(s) have errors`, rows: errors });
+    }
+
+    const docs = buildDocuments(plan, req.user._id, () => new mongoose.Types.ObjectId());
+    await mongoose.connection.transaction(async (session) => {
+      await Project.insertMany(docs.projects, { session });
+      await Task.insertMany(docs.tasks, { session });
+      await recordActivity([
+        ...docs.projects.map((doc) => ({ entityType: 'project', action: 'create', after: doc, actor: req.user, meta: { source: 'import' } })),
+        ...docs.tasks.map((doc) => ({ entityType: 'task', action: 'create', after: doc, actor: req.user, meta: { source: 'import' } }))
+      ], { session });
+    });
+    docs.projects.forEach((doc) => publish('project.created', doc, doc));
+
+    res.status(201).json({
+      message: 'Import completed successfully',
+      projects: docs.projects.map((project) => ({ _id: project._id, name: project.name })),
+      importedProjects: docs.projects.length,
+      importedTasks: docs.tasks.length
+    });
+  } catch (err) {
+    logger.error('Error importing projects', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE a project by ID (owners only)
 router.delete('/projects/:id', async (req, res) => {
   try {
-    const deletedProject = await Project.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
-    if (!deletedProject) return res.status(404).json({ error: 'Project not found or you do not own this project' });
-    await Task.deleteMany({ project: req.params.id });
+    const { project, status, error } = await authorizeProject(req.params.id, req.user, 'project:delete');
+    if (error) return res.status(status).json({ error });
+
+    // Soft delete - the project and its tasks go to the trash and can be restored until purged
+    const deletion = { deletedAt: new Date(), deletedBy: req.user._id };
+    await Project.updateOne({ _id: req.params.id }, deletion);
+    const { modifiedCount } = await Task.updateMany({ project: req.params.id }, { ...deletion, deletedWithProject: true });
+    await recordActivity({
+      entityType: 'project',
+      action: 'delete',
+      before: project,
+      after: { ...project.toObject(), ...deletion },
+      actor: req.user,
+      meta: { deletedTasks: modifiedCount }
+    });
+    publish('project.deleted', project, { _id: project._id });
     res.json({ message: 'Project and associated tasks deleted successfully' });
   } catch (err) {
-    console.error('Error deleting project:', err);
+    logger.error('Error deleting project', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// UPDATE - Restore a project from the trash together with the tasks deleted alongside it
+router.post('/projects/:id/restore', async (req, res) => {
+  try {
+    const { project, status, error } = await authorizeProject(req.params.id, req.user, 'project:delete', { withDeleted: true });
+    if (error) return res.status(status).json({ error });
+    if (!project.deletedAt) return res.status(409).json({ error: 'Project is not in the trash' });
+
+    await Project.updateOne({ _id: project._id, deletedAt: project.deletedAt }, { $set: { deletedAt: null }, $unset: { deletedBy: 1 } });
+    const { modifiedCount } = await Task.updateMany(
+      { project: project._id, deletedWithProject: true, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null }, $unset: { deletedBy: 1, deletedWithProject: 1 } }
+    );
+
+    const restoredProject = await Project.findById(project._id);
+    await recordActivity({
+      entityType: 'project',
+      action: 'restore',
+      before: project,
+      after: restoredProject,
+      actor: req.user,
+      meta: { restoredTasks: modifiedCount }
+    });
+    publish('project.restored', restoredProject, restoredProject);
+    res.json({ message: 'Project restored successfully', project: restoredProject, restoredTasks: modifiedCount });
+  } catch (err) {
+    logger.error('Error restoring project', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Parses ?limit and ?cursor for activity lists, which are always newest first
+const parseActivityQuery = (query) => parseListQuery(
+  { limit: query.limit, cursor: query.cursor, sort: '-createdAt' },
+  (id) => new mongoose.Types.ObjectId(id)
+);
+
+// READ - Activity log of a project and its tasks, newest first (?limit, ?cursor)
+router.get('/projects/:id/activity', async (req, res) => {
+  try {
+    const { project, status, error } = await authorizeProject(req.params.id, req.user, 'project:read');
+    if (error) return res.status(status).json({ error });
+
+    const options = parseActivityQuery(req.query);
+    if (options.errors) return sendValidationError(res, options.errors);
+
+    const page = await paginate(Activity, { project: project._id }, options, (query) => query.populate('actor', 'name email'));
+    res.json(page);
+  } catch (err) {
+    logger.error('Error fetching project activity', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// READ - Owner and members of a project
+router.get('/projects/:id/members', async (req, res) => {
+  try {
+    const { status, error } = await authorizeProject(req.params.id, req.user, 'members:read');
+    if (error) return res.status(status).json({ error });
+
+    const project = await Project.findById(req.params.id)
+      .populate('owner', 'name email profilePicture')
+      .populate('members.user', 'name email profilePicture');
+    res.json({ owner: project.owner, members: project.members });
+  } catch (err) {
+    logger.error('Error fetching members', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// CREATE - Invite a user to a project by email or user id (owners only)
+router.post('/projects/:id/members', async (req, res) => {
+  try {
+    const { project, status, error } = await authorizeProject(req.params.id, req.user, 'members:manage');
+    if (error) return res.status(status).json({ error });
+
+    const { email, userId, role = 'viewer' } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (!email && !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: 'An email or a valid user id is required' });
+    }
+
+    const User = mongoose.model('User');
+    const invitee = email ? await User.findOne({ email }) : await User.findById(userId);
+    if (!invitee) return res.status(404).json({ error: 'User not found' });
+
+    if (String(invitee._id) === String(project.owner)
+      || project.members.some((m) => String(m.user) === String(invitee._id))) {
+      return res.status(409).json({ error: 'User is already a member of this project' });
+    }
+
+    const before = project.toObject();
+    project.members.push({ user: invitee._id, role, invitedBy: req.user._id });
+    await project.save();
+    await recordActivity({ entityType: 'project', action: 'update', before, after: project, actor: req.user });
+    publish('project.updated', project, project);
+    res.status(201).json(project.members[project.members.length - 1]);
+  } catch (err) {
+    logger.error('Error inviting member', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// READ - Pending invitations of the logged-in user, newest first
+router.get('/invitations', async (req, res) => {
+  try {
+    const projects = await Project.find({ members: { $elemMatch: { user: req.user._id, status: 'pending' } } })
+      .select('name description owner members')
+      .populate('owner', 'name email profilePicture')
+      .populate('members.invitedBy', 'name email profilePicture');
+
+    const invitations = projects.map((project) => {
+      const member = project.members.find((m) => String(m.user) === String(req.user._id));
+      return {
+        project: { _id: project._id, name: project.name, description: project.description, owner: project.owner },
+        role: member.role,
+        invitedBy: member.invitedBy,
+        invitedAt: member.invitedAt
+      };
+    }).sort((a, b) => b.invitedAt - a.invitedAt);
+    res.json(invitations);
+  } catch (err) {
+    logger.error('Error fetching invitations', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// UPDATE - Accept a pending invitation for the logged-in user
+router.post('/projects/:id/members/accept', async (req, res) => {
+  try {
+    const project = mongoose.Types.ObjectId.isValid(req.params.id) && await Project.findOne({
+      _id: req.params.id,
+      members: { $elemMatch: { user: req.user._id, status: 'pending' } }
+    });
+    if (!project) return res.status(404).json({ error: 'Invitation not found' });
+
+    const before = project.toObject();
+    const member = project.members.find((m) => String(m.user) === String(req.user._id));
+    member.status = 'active';
+    member.acceptedAt = new Date();
+    await project.save();
+    await recordActivity({ entityType: 'project', action: 'update', before, after: project, actor: req.user });
+    publish('project.updated', project, project);
+    res.json(member);
+  } catch (err) {
+    logger.error('Error accepting invitation', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// UPDATE - Change a member's role (owners only)
+router.put('/projects/:id/members/:userId', async (req, res) => {
+  try {
+    const { project, status, error } = await authorizeProject(req.params.id, req.user, 'members:manage');
+    if (error) return res.status(status).json({ error });
+
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (String(req.params.userId) === String(project.owner)) {
+      return res.status(400).json({ error: "The project owner's role cannot be changed" });
+    }
+
+    const member = project.members.find((m) => String(m.user) === String(req.params.userId));
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+
+    const before = project.toObject();
+    member.role = role;
+    await project.save();
+    await recordActivity({ entityType: 'project', action: 'update', before, after: project, actor: req.user });
+    publish('project.updated', project, project);
+    res.json(member);
+  } catch (err) {
+    logger.error('Error updating member', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE - Remove a member (owners only), or leave/decline as the member themselves
+router.delete('/projects/:id/members/:userId', async (req, res) => {
+  try {
+    const isSelf = String(req.params.userId) === String(req.user._id);
+    const project = mongoose.Types.ObjectId.isValid(req.params.id) ? await Project.findById(req.params.id) : null;
+    const member = project && project.members.find((m) => String(m.user) === String(req.params.userId));
+
+    if (!isSelf || !member) {
+      const { status, error } = await authorizeProject(req.params.id, req.user, 'members:manage');
+      if (error) return res.status(status).json({ error });
+    }
+    if (String(req.params.userId) === String(project.owner)) {
+      return res.status(400).json({ error: 'The project owner cannot be removed' });
+    }
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+
+    const before = project.toObject();
+    project.members = project.members.filter((m) => m !== member);
+    await project.save();
+    await recordActivity({ entityType: 'project', action: 'update', before, after: project, actor: req.user });
+    publish('project.updated', project, project);
+    res.json({ message: 'Member removed successfully' });
+  } catch (err) {
+    logger.error('Error removing member', { err });
     res.status(500).json({ error: err.message });
   }
 });
@@ -107,47 +628,65 @@ router.delete('/projects/:id', async (req, res) => {
 // CREATE a new task with project id and owner 
 router.post('/tasks', async (req, res) => {
   try {
-    const { project, name, description, duration, startDate, endDate } = req.body;
+    const { value, errors } = validate(taskFields, req.body);
+    if (errors) return sendValidationError(res, errors);
+    const { project, dependsOn = [] } = value;
 
-    if (!mongoose.Types.ObjectId.isValid(project)) {
-      return res.status(400).json({ error: 'Invalid project id' });
+    // Checking if the logged-in user can edit tasks in the project
+    const { project: parentProject, status, error } = await authorizeProject(project, req.user, 'task:write');
+    if (error) {
+      return res.status(status).json({ error: status === 404 ? 'Parent project not found or you do not have access to this project' : error });
     }
 
-    // Checking if the project belongs to the logged-in user
-    const parentProject = await Project.findOne({ _id: project, owner: req.user._id });
-    if (!parentProject) {
-      return res.status(404).json({ error: 'Parent project not found or you do not own this project' });
+    const taskId = new mongoose.Types.ObjectId();
+    const dependencyError = await validateDependencies(taskId, project, dependsOn);
+    if (dependencyError) return res.status(400).json(dependencyError);
+    const parentError = await validateParent(taskId, project, value.parent);
+    if (parentError) return res.status(400).json(parentError);
+    const labelError = await validateLabels(value.labels || [], project, req.user);
+    if (labelError) return res.status(400).json(labelError);
+
+    // A recurring task is the first occurrence of its own series
+    const series = {};
+    if (value.recurrence) {
+      if (!value.startDate) return sendValidationError(res, { recurrence: 'Recurring tasks need a start date' });
+      Object.assign(series, { recurrence: completeRule(value.recurrence, value.startDate), series: taskId, occurrenceDate: value.startDate });
     }
 
+    const taskStatus = value.status || 'todo';
     const task = new Task({
-      project,
-      name,
-      description,
-      duration,
-      startDate,
-      endDate,
+      ...value,
+      ...series,
+      _id: taskId,
+      dependsOn,
+      status: taskStatus,
+      position: await nextPosition(project, taskStatus),
+      statusHistory: [{ to: taskStatus, changedBy: req.user._id }],
       owner: req.user._id  
     });
 
     const savedTask = await task.save();
+    await recordActivity({ entityType: 'task', action: 'create', after: savedTask, actor: req.user });
+    publish('task.created', parentProject, savedTask);
+    await updateRollups(parentProject, [savedTask.parent]);
+    await extendSeries(savedTask, req.user);
     res.status(201).json(savedTask);
   } catch (err) {
-    console.error('Error creating task:', err);
+    logger.error('Error creating task', { err });
     res.status(500).json({ error: err.message });
   }
 });
 
-// READ all tasks 
+// READ all tasks page by page, optionally for one project (?project=)
+// Accepts the same pagination, sort and filter params as GET /projects,
+// plus label filters ?labels (all of), ?anyLabels and ?notLabels
 router.get('/tasks', async (req, res) => {
   try {
-    const filter = req.user ? { owner: req.user._id } : {};  
-    if (req.query.project) {
-      filter.project = req.query.project;  
-    }
-    const tasks = await Task.find(filter).populate('project', 'name');
-    res.json(tasks);
+    const page = await searchTasks(req.user, req.query);
+    if (page.errors) return sendValidationError(res, page.errors);
+    res.json(page);
   } catch (err) {
-    console.error('Error fetching tasks:', err);
+    logger.error('Error fetching tasks', { err });
     res.status(500).json({ error: err.message });
   }
 });
@@ -155,39 +694,596 @@ router.get('/tasks', async (req, res) => {
 // READ - Return a single task by ID
 router.get('/tasks/:id', async (req, res) => {
   try {
-    const task = await Task.findOne({ _id: req.params.id, owner: req.user._id }).populate('project', 'name');
-    if (!task) return res.status(404).json({ error: 'Task not found or you do not own this task' });
+    const { status, error } = await authorizeTask(req.params.id, req.user, 'task:read');
+    if (error) return res.status(status).json({ error });
+
+    const task = await Task.findById(req.params.id).populate('project', 'name').populate('labels', 'name color project');
     res.json(task);
   } catch (err) {
-    console.error('Error fetching task:', err);
+    logger.error('Error fetching task', { err });
     res.status(500).json({ error: err.message });
   }
 });
 
-// UPDATE - Single task by ID (only if it belongs to the logged-in user)
+// UPDATE - Single task by ID (only if the logged-in user can edit the task's project)
+// Occurrences of a recurring series take ?scope=this (default) or ?scope=following
 router.put('/tasks/:id', async (req, res) => {
   try {
-    const updatedTask = await Task.findOneAndUpdate(
-      { _id: req.params.id, owner: req.user._id }, 
-      req.body,
+    const { task: existingTask, project: currentProject, status, error } = await authorizeTask(req.params.id, req.user, 'task:write');
+    if (error) return res.status(status).json({ error });
+
+    const { scope, errors: scopeErrors } = parseScope(req.query);
+    if (scopeErrors) return sendValidationError(res, scopeErrors);
+
+    const { value, errors } = validate(taskFields, req.body, { partial: true, existing: existingTask });
+    if (errors) return sendValidationError(res, errors);
+
+    if (existingTask.series) {
+      if (scope === 'following') {
+        const seriesErrors = ['project', 'dependsOn', 'status']
+          .filter((key) => value[key] !== undefined)
+          .reduce((fieldErrors, key) => ({ ...fieldErrors, [key]: 'Cannot be changed for all following occurrences' }), {});
+        if (Object.keys(seriesErrors).length) return sendValidationError(res, seriesErrors);
+        const startDate = value.startDate !== undefined ? value.startDate : existingTask.startDate;
+        if (value.recurrence && !startDate) return sendValidationError(res, { recurrence: 'Recurring tasks need a start date' });
+        if (value.labels !== undefined) {
+          const labelError = await validateLabels(value.labels, existingTask.project, req.user, existingTask.labels);
+          if (labelError) return res.status(400).json(labelError);
+        }
+
+        return res.json(await updateFollowing(existingTask, value, req.user));
+      }
+      if (value.recurrence !== undefined) {
+        return sendValidationError(res, { recurrence: 'Use scope=following to change the recurrence of a series' });
+      }
+    } else if (value.recurrence) {
+      // Turning a task into the first occurrence of a new series
+      const startDate = value.startDate !== undefined ? value.startDate : existingTask.startDate;
+      if (!startDate) return sendValidationError(res, { recurrence: 'Recurring tasks need a start date' });
+      Object.assign(value, { recurrence: completeRule(value.recurrence, startDate), series: existingTask._id, occurrenceDate: startDate });
+    }
+
+    // Moving a task needs edit rights on the destination project as well
+    let destinationProject = null;
+    if (value.project !== undefined && String(value.project) !== String(existingTask.project)) {
+      const destination = await authorizeProject(value.project, req.user, 'task:write');
+      if (destination.error) {
+        return sendValidationError(res, { project: 'Project not found or you do not have permission to add tasks to it' });
+      }
+      destinationProject = destination.project;
+    }
+
+    if (value.dependsOn !== undefined || value.project !== undefined) {
+      const dependencyError = await validateDependencies(
+        existingTask._id,
+        value.project || existingTask.project,
+        value.dependsOn !== undefined ? value.dependsOn : existingTask.dependsOn,
+        destinationProject ? [] : existingTask.dependsOn
+      );
+      if (dependencyError) return res.status(400).json(dependencyError);
+    }
+
+    // Subtasks stay in their parent's project; a parent can't leave its subtasks behind
+    if (value.parent !== undefined || destinationProject) {
+      if (destinationProject && await Task.exists({ parent: existingTask._id })) {
+        return sendValidationError(res, { project: 'A task with subtasks cannot be moved to another project' });
+      }
+      const parentError = await validateParent(
+        existingTask._id,
+        value.project || existingTask.project,
+        value.parent !== undefined ? value.parent : existingTask.parent
+      );
+      if (parentError) return res.status(400).json(parentError);
+    }
+
+    // Labels of the old project are dropped when the task moves to another one
+    if (value.labels !== undefined || destinationProject) {
+      const kept = destinationProject
+        ? await labelsForProject(existingTask.labels, destinationProject._id)
+        : existingTask.labels;
+      if (value.labels === undefined) value.labels = kept;
+      const labelError = await validateLabels(value.labels, value.project || existingTask.project, req.user, kept);
+      if (labelError) return res.status(400).json(labelError);
+    }
+
+    // Status changes must follow the workflow; the card moves to the bottom of its new column
+    const update = { ...value };
+    const change = statusChange(existingTask.status, value.status, req.user);
+    if (change) {
+      if (!canTransition(change.from, change.to)) {
+        return sendValidationError(res, { status: `Cannot move a task from ${change.from} to ${change.to}` });
+      }
+      update.position = await nextPosition(value.project || existingTask.project, change.to);
+      update.$push = { statusHistory: change };
+    }
+
+    const updatedTask = await Task.findByIdAndUpdate(
+      req.params.id,
+      update,
       { new: true, runValidators: true }
     );
-    if (!updatedTask) return res.status(404).json({ error: 'Task not found or you do not own this task' });
+    await recordActivity({ entityType: 'task', action: 'update', before: existingTask, after: updatedTask, actor: req.user });
+    publish('task.updated', currentProject, updatedTask);
+    if (destinationProject) {
+      await Attachment.updateMany({ task: updatedTask._id }, { project: destinationProject._id });
+      publish('task.updated', destinationProject, updatedTask);
+    }
+    await updateRollups(currentProject, [existingTask.parent]);
+    await updateRollups(destinationProject || currentProject, [updatedTask.parent]);
+    await extendSeries(updatedTask, req.user);
     res.json(updatedTask);
   } catch (err) {
-    console.error('Error updating task:', err);
+    logger.error('Error updating task', { err });
     res.status(500).json({ error: err.message });
   }
 });
 
-// DELETE - Single task by ID (only if it belongs to the logged-in user)
+// UPDATE - Move a card on the board to another column and/or position
+// Body: { status, position } where position is the index within the target column
+router.put('/tasks/:id/move', async (req, res) => {
+  try {
+    const { task, project, status, error } = await authorizeTask(req.params.id, req.user, 'task:write');
+    if (error) return res.status(status).json({ error });
+
+    const { value, errors } = validate(moveFields, req.body, { partial: true });
+    if (errors) return sendValidationError(res, errors);
+
+    const change = statusChange(task.status, value.status, req.user);
+    if (change && !canTransition(change.from, change.to)) {
+      return sendValidationError(res, { status: `Cannot move a task from ${change.from} to ${change.to}` });
+    }
+
+    // Renumber the target column so positions stay contiguous.
+    // Tasks created before statuses existed have none stored and sit in the todo column.
+    const targetStatus = change ? change.to : task.status;
+    const columnStatus = targetStatus === 'todo' ? { $in: ['todo', null] } : targetStatus;
+    const column = await Task.find({ project: task.project, status: columnStatus, _id: { $ne: task._id } })
+      .select('project position createdAt');
+    const orderedIds = reorderColumn(column, task._id, value.position);
+
+    await Task.bulkWrite(orderedIds.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: String(id) === String(task._id)
+          ? { $set: { position: index, status: targetStatus }, ...(change && { $push: { statusHistory: change } }) }
+          : { $set: { position: index } }
+      }
+    })));
+
+    const movedTask = await Task.findById(task._id);
+    // The other cards in the column record their new position too; tasks that kept theirs are skipped
+    const reordered = column.map((other) => ({
+      entityType: 'task',
+      action: 'update',
+      before: other,
+      after: { _id: other._id, project: other.project, position: orderedIds.indexOf(String(other._id)) },
+      actor: req.user,
+      meta: { movedTask: task._id }
+    }));
+    await recordActivity([
+      { entityType: 'task', action: 'update', before: task, after: movedTask, actor: req.user },
+      ...reordered
+    ]);
+    publish('task.moved', project, { task: movedTask, column: orderedIds });
+    if (change) await updateRollups(project, [movedTask.parent]);
+    res.json(movedTask);
+  } catch (err) {
+    logger.error('Error moving task', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE - Single task by ID (only if the logged-in user can edit the task's project)
+// Occurrences of a recurring series take ?scope=this (default) or ?scope=following
 router.delete('/tasks/:id', async (req, res) => {
   try {
-    const deletedTask = await Task.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
-    if (!deletedTask) return res.status(404).json({ error: 'Task not found or you do not own this task' });
+    const { task, project, status, error } = await authorizeTask(req.params.id, req.user, 'task:write');
+    if (error) return res.status(status).json({ error });
+
+    const { scope, errors: scopeErrors } = parseScope(req.query);
+    if (scopeErrors) return sendValidationError(res, scopeErrors);
+
+    if (task.series && scope === 'following') {
+      const deleted = await deleteFollowing(task, req.user);
+      return res.json({ message: `${deleted.length} task(s) deleted successfully` });
+    }
+
+    // Subtasks go to the trash with their parent and come back when it is restored
+    const deletion = { deletedAt: new Date(), deletedBy: req.user._id };
+    const subtasks = await descendantsOf(task._id);
+    const subtaskIds = subtasks.map((subtask) => subtask._id);
+    const deletedTask = await Task.findByIdAndUpdate(req.params.id, deletion, { new: true, withDeleted: true });
+    if (subtaskIds.length) await Task.updateMany({ _id: { $in: subtaskIds } }, { ...deletion, deletedWithParent: true });
+
+    const deletedIds = [deletedTask._id, ...subtaskIds];
+    await recordActivity({
+      entityType: 'task',
+      action: 'delete',
+      before: task,
+      after: deletedTask,
+      actor: req.user,
+      meta: subtaskIds.length ? { deletedSubtasks: subtaskIds.length } : undefined
+    });
+    deletedIds.forEach((id) => publish('task.deleted', project, { _id: id, project: deletedTask.project }));
+    await updateRollups(project, [deletedTask.parent]);
+    await excludeOccurrence(deletedTask);
     res.json({ message: 'Task deleted successfully' });
   } catch (err) {
-    console.error('Error deleting task:', err);
+    logger.error('Error deleting task', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// READ - Direct subtasks of a task page by page (same pagination, sort and filter params as GET /tasks)
+router.get('/tasks/:id/subtasks', async (req, res) => {
+  try {
+    const { task, status, error } = await authorizeTask(req.params.id, req.user, 'task:read');
+    if (error) return res.status(status).json({ error });
+
+    const options = parseListQuery(req.query, (id) => new mongoose.Types.ObjectId(id));
+    if (options.errors) return sendValidationError(res, options.errors);
+
+    const page = await paginate(Task, { parent: task._id }, options);
+    res.json(page);
+  } catch (err) {
+    logger.error('Error fetching subtasks', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Parses ?limit and ?cursor for comment threads, which read oldest first
+const parseCommentQuery = (query) => parseListQuery(
+  { limit: query.limit, cursor: query.cursor, sort: 'createdAt' },
+  (id) => new mongoose.Types.ObjectId(id)
+);
+
+const populateComment = (query) => query
+  .populate('author', 'name email profilePicture')
+  .populate('mentions.user', 'name email');
+
+// Loads a comment on the task for its author to change, or sends a 404/403
+const ownComment = async (req, res, task) => {
+  const comment = mongoose.Types.ObjectId.isValid(req.params.commentId)
+    ? await Comment.findOne({ _id: req.params.commentId, task: task._id, deletedAt: null })
+    : null;
+  if (!comment) {
+    res.status(404).json({ error: 'Comment not found' });
+    return null;
+  }
+  if (String(comment.author) !== String(req.user._id)) {
+    res.status(403).json({ error: 'You can only change your own comments' });
+    return null;
+  }
+  return comment;
+};
+
+// READ - Comments on a task, oldest first (?limit, ?cursor). Replies carry the id of their parent comment.
+router.get('/tasks/:id/comments', async (req, res) => {
+  try {
+    const { task, status, error } = await authorizeTask(req.params.id, req.user, 'task:read');
+    if (error) return res.status(status).json({ error });
+
+    const options = parseCommentQuery(req.query);
+    if (options.errors) return sendValidationError(res, options.errors);
+
+    const page = await paginate(Comment, { task: task._id }, options, populateComment);
+    res.json(page);
+  } catch (err) {
+    logger.error('Error fetching comments', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// CREATE - Comment on a task, or reply to a comment with { parent }
+router.post('/tasks/:id/comments', async (req, res) => {
+  try {
+    const { task, project, status, error } = await authorizeTask(req.params.id, req.user, 'comment:write');
+    if (error) return res.status(status).json({ error });
+
+    const { value, errors } = validate(commentFields, req.body);
+    if (errors) return sendValidationError(res, errors);
+
+    // Replies to a reply join the same thread
+    let parent = null;
+    if (value.parent) {
+      parent = await Comment.findOne({ _id: value.parent, task: task._id });
+      if (!parent) return sendValidationError(res, { parent: 'Parent comment must be a comment on this task' });
+    }
+
+    const mentions = await resolveMentions(project, value.body, req.user._id);
+    const comment = await Comment.create({
+      task: task._id,
+      project: project._id,
+      author: req.user._id,
+      parent: parent ? parent.parent || parent._id : undefined,
+      body: value.body,
+      mentions: mentions.map((user) => ({ user }))
+    });
+
+    const savedComment = await populateComment(Comment.findById(comment._id));
+    publish('comment.created', project, savedComment);
+    res.status(201).json(savedComment);
+  } catch (err) {
+    logger.error('Error creating comment', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// UPDATE - Edit one of your own comments; newly mentioned members are notified
+router.put('/tasks/:id/comments/:commentId', async (req, res) => {
+  try {
+    const { task, project, status, error } = await authorizeTask(req.params.id, req.user, 'comment:write');
+    if (error) return res.status(status).json({ error });
+
+    const comment = await ownComment(req, res, task);
+    if (!comment) return;
+
+    const { value, errors } = validate({ body: commentFields.body }, req.body);
+    if (errors) return sendValidationError(res, errors);
+
+    const mentions = await resolveMentions(project, value.body, req.user._id);
+    comment.body = value.body;
+    comment.mentions = mergeMentions(comment.mentions, mentions);
+    comment.editedAt = new Date();
+    await comment.save();
+
+    const updatedComment = await populateComment(Comment.findById(comment._id));
+    publish('comment.updated', project, updatedComment);
+    res.json(updatedComment);
+  } catch (err) {
+    logger.error('Error updating comment', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE - Delete one of your own comments. A comment with replies stays as a placeholder.
+router.delete('/tasks/:id/comments/:commentId', async (req, res) => {
+  try {
+    const { task, project, status, error } = await authorizeTask(req.params.id, req.user, 'comment:write');
+    if (error) return res.status(status).json({ error });
+
+    const comment = await ownComment(req, res, task);
+    if (!comment) return;
+
+    if (await Comment.exists({ parent: comment._id })) {
+      await Comment.updateOne({ _id: comment._id }, { body: '', mentions: [], deletedAt: new Date() });
+    } else {
+      await Comment.deleteOne({ _id: comment._id });
+      // The last reply under a deleted comment takes the placeholder with it
+      if (comment.parent && !(await Comment.exists({ parent: comment.parent }))) {
+        await Comment.deleteOne({ _id: comment.parent, deletedAt: { $ne: null } });
+      }
+    }
+
+    publish('comment.deleted', project, { _id: comment._id, task: task._id });
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (err) {
+    logger.error('Error deleting comment', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// READ - Comments mentioning the logged-in user that they haven't read yet, newest first (?limit, ?cursor)
+router.get('/mentions/unread', async (req, res) => {
+  try {
+    const options = parseActivityQuery(req.query);
+    if (options.errors) return sendValidationError(res, options.errors);
+
+    // Mentions on projects the user has since lost access to are left out
+    const projects = await Project.find(accessFilter(req.user._id), '_id');
+    const filter = {
+      project: { $in: projects.map((project) => project._id) },
+      mentions: { $elemMatch: { user: req.user._id, readAt: null } }
+    };
+    const page = await paginate(Comment, filter, options, (query) => populateComment(query).populate('task', 'name project'));
+    res.json(page);
+  } catch (err) {
+    logger.error('Error fetching mentions', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// UPDATE - Mark mentions as read: the comments given in { comments: [...] }, or all of them
+router.post('/mentions/read', async (req, res) => {
+  try {
+    const { value, errors } = validate(mentionReadFields, req.body || {});
+    if (errors) return sendValidationError(res, errors);
+
+    const filter = { mentions: { $elemMatch: { user: req.user._id, readAt: null } } };
+    if (value.comments) filter._id = { $in: value.comments };
+    const { modifiedCount } = await Comment.updateMany(
+      filter,
+      { $set: { 'mentions.$[mention].readAt': new Date() } },
+      { arrayFilters: [{ 'mention.user': req.user._id, 'mention.readAt': null }] }
+    );
+    res.json({ message: 'Mentions marked as read', updated: modifiedCount });
+  } catch (err) {
+    logger.error('Error marking mentions as read', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Attachments live on a project or on one of its tasks; both share the routes below.
+// Loads the project or task and checks the user's role, returning the attachment filter for it.
+const attachmentTarget = async (collection, id, user, action) => {
+  if (collection === 'projects') {
+    const access = await authorizeProject(id, user, action);
+    return access.error ? access : { ...access, filter: { project: access.project._id, task: null } };
+  }
+  const access = await authorizeTask(id, user, action);
+  return access.error ? access : { ...access, filter: { project: access.project._id, task: access.task._id } };
+};
+
+['projects', 'tasks'].forEach((collection) => {
+  // READ - Attachments newest first (?limit, ?cursor)
+  router.get(`/${collection}/:id/attachments`, async (req, res) => {
+    try {
+      const { filter, status, error } = await attachmentTarget(collection, req.params.id, req.user, 'task:read');
+      if (error) return res.status(status).json({ error });
+
+      const options = parseActivityQuery(req.query);
+      if (options.errors) return sendValidationError(res, options.errors);
+
+      const page = await paginate(Attachment, filter, options, (query) => query.populate('uploadedBy', 'name email'));
+      res.json(page);
+    } catch (err) {
+      logger.error('Error fetching attachments', { err });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // CREATE - Upload a file as multipart/form-data in a field named "file"
+  router.post(`/${collection}/:id/attachments`, async (req, res) => {
+    try {
+      const { project, filter, status, error } = await attachmentTarget(collection, req.params.id, req.user, 'task:write');
+      if (error) {
+        req.resume();
+        return res.status(status).json({ error });
+      }
+
+      // Stored under a generated key; the uploaded file name is only kept as metadata
+      const _id = new mongoose.Types.ObjectId();
+      const storageKey = `${project._id}/${_id}`;
+      const upload = await receiveUpload(req, storageKey);
+      if (upload.error) return res.status(upload.status).json({ error: upload.error });
+
+      const attachment = await Attachment.create({ _id, ...filter, ...upload.file, storageKey, uploadedBy: req.user._id });
+      const savedAttachment = await Attachment.findById(attachment._id).populate('uploadedBy', 'name email');
+      publish('attachment.created', project, savedAttachment);
+      res.status(201).json(savedAttachment);
+    } catch (err) {
+      logger.error('Error uploading attachment', { err });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // READ - Download an attachment
+  router.get(`/${collection}/:id/attachments/:attachmentId`, async (req, res) => {
+    try {
+      const { filter, status, error } = await attachmentTarget(collection, req.params.id, req.user, 'task:read');
+      if (error) return res.status(status).json({ error });
+
+      const attachment = mongoose.Types.ObjectId.isValid(req.params.attachmentId)
+        ? await Attachment.findOne({ _id: req.params.attachmentId, ...filter }).select('+storageKey')
+        : null;
+      if (!attachment) return res.status(404).json({ error: 'Attachment not found' });
+
+      const stream = await getStorage().open(attachment.storageKey);
+      res.set({
+        'Content-Type': attachment.contentType,
+        'Content-Length': attachment.size,
+        'Content-Disposition': contentDisposition(attachment.filename),
+        'X-Content-Type-Options': 'nosniff'
+      });
+      stream.on('error', (err) => {
+        logger.error('Error streaming attachment', { err });
+        res.destroy(err);
+      });
+      stream.pipe(res);
+    } catch (err) {
+      if (err.code === 'ENOENT') return res.status(404).json({ error: 'Attachment file is missing' });
+      logger.error('Error downloading attachment', { err });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // DELETE - Remove an attachment and its stored file
+  router.delete(`/${collection}/:id/attachments/:attachmentId`, async (req, res) => {
+    try {
+      const { project, filter, status, error } = await attachmentTarget(collection, req.params.id, req.user, 'task:write');
+      if (error) return res.status(status).json({ error });
+
+      const attachment = mongoose.Types.ObjectId.isValid(req.params.attachmentId)
+        ? await Attachment.findOne({ _id: req.params.attachmentId, ...filter }).select('+storageKey')
+        : null;
+      if (!attachment) return res.status(404).json({ error: 'Attachment not found' });
+
+      await getStorage().remove(attachment.storageKey);
+      await Attachment.deleteOne({ _id: attachment._id });
+      publish('attachment.deleted', project, { _id: attachment._id, task: attachment.task });
+      res.json({ message: 'Attachment deleted successfully' });
+    } catch (err) {
+      logger.error('Error deleting attachment', { err });
+      res.status(500).json({ error: err.message });
+    }
+  });
+});
+
+// READ - Change history of a task, newest first (?limit, ?cursor). Also works for tasks in the trash.
+router.get('/tasks/:id/history', async (req, res) => {
+  try {
+    const { task, status, error } = await authorizeTask(req.params.id, req.user, 'task:read', { withDeleted: true });
+    if (error) return res.status(status).json({ error });
+
+    const options = parseActivityQuery(req.query);
+    if (options.errors) return sendValidationError(res, options.errors);
+
+    const page = await paginate(Activity, { task: task._id }, options, (query) => query.populate('actor', 'name email'));
+    res.json(page);
+  } catch (err) {
+    logger.error('Error fetching task history', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// UPDATE - Restore a task from the trash (its project must not be in the trash)
+router.post('/tasks/:id/restore', async (req, res) => {
+  try {
+    const { task, project, status, error } = await authorizeTask(req.params.id, req.user, 'task:write', { withDeleted: true });
+    if (error) return res.status(status).json({ error });
+    if (!task.deletedAt) return res.status(409).json({ error: 'Task is not in the trash' });
+    if (project.deletedAt) return res.status(409).json({ error: 'Restore the task\'s project first' });
+    if (task.parent && !(await Task.exists({ _id: task.parent }))) {
+      return res.status(409).json({ error: 'Restore the parent task first' });
+    }
+
+    const restore = { $set: { deletedAt: null }, $unset: { deletedBy: 1, deletedWithProject: 1, deletedWithParent: 1 } };
+    const subtasks = await descendantsOf(task._id, { filter: { deletedWithParent: true, deletedAt: task.deletedAt }, withDeleted: true });
+    await Task.updateOne({ _id: task._id, deletedAt: task.deletedAt }, restore);
+    if (subtasks.length) await Task.updateMany({ _id: { $in: subtasks.map((subtask) => subtask._id) } }, restore);
+
+    const restoredTask = await Task.findById(task._id);
+    await recordActivity({
+      entityType: 'task',
+      action: 'restore',
+      before: task,
+      after: restoredTask,
+      actor: req.user,
+      meta: subtasks.length ? { restoredSubtasks: subtasks.length } : undefined
+    });
+    publish('task.restored', project, restoredTask);
+    subtasks.forEach((subtask) => publish('task.restored', project, { ...subtask.toObject(), deletedAt: null }));
+    await updateRollups(project, [restoredTask.parent]);
+    await restoreOccurrence(restoredTask);
+    res.json({ message: 'Task restored successfully', task: restoredTask });
+  } catch (err) {
+    logger.error('Error restoring task', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// READ - Trash of the logged-in user: deleted projects they own and tasks deleted from projects they can edit.
+// Items are purged permanently once they have been in the trash longer than the retention period.
+router.get('/trash', async (req, res) => {
+  try {
+    const days = retentionDays();
+    const withPurgeDate = (doc) => ({ ...doc.toObject(), purgeAt: purgeDate(doc.deletedAt, days) });
+
+    const deletedProjects = await Project.find({ $and: [accessFilter(req.user._id), { deletedAt: { $ne: null } }] })
+      .sort({ deletedAt: -1 });
+    const projects = deletedProjects.filter((project) => can(roleFor(project, req.user._id), 'project:delete'));
+
+    const liveProjects = await Project.find(accessFilter(req.user._id), 'owner members');
+    const editableIds = liveProjects
+      .filter((project) => can(roleFor(project, req.user._id), 'task:write'))
+      .map((project) => project._id);
+    const tasks = await Task.find({ project: { $in: editableIds }, deletedAt: { $ne: null }, deletedWithProject: { $ne: true }, deletedWithParent: { $ne: true } })
+      .populate('project', 'name')
+      .sort({ deletedAt: -1 });
+
+    res.json({ retentionDays: days, projects: projects.map(withPurgeDate), tasks: tasks.map(withPurgeDate) });
+  } catch (err) {
+    logger.error('Error fetching trash', { err });
     res.status(500).json({ error: err.message });
   }
 });
@@ -0,0 +1,247 @@
+// Export and import of projects with their tasks, as JSON or CSV.
+// Ids in an export are only references between rows; an import always creates new documents
+// and remaps project and dependency references to the new ids.
+
+const csv = require('./csv');
+const { projectFields, taskFields, validate } = require('./validation');
+const { findCycle } = require('./taskDependencies');
+
+const FORMATS = ['json', 'csv'];
+// Largest import body accepted, in either format; exports of mid-size projects run past the usual 100kb
+const IMPORT_BODY_LIMIT = '5mb';
+const EXPORT_VERSION = 1;
+const CSV_COLUMNS = ['type', 'id', 'project', 'name', 'description', 'duration', 'startDate', 'endDate', 'status', 'dependsOn'];
+
+// Task fields accepted on import - project and dependsOn are references resolved separately,
+// recurring series are imported as plain tasks, subtasks as top-level tasks and labels are left behind
+const importTaskFields = { ...taskFields };
+delete importTaskFields.project;
+delete importTaskFields.dependsOn;
+delete importTaskFields.recurrence;
+delete importTaskFields.parent;
+delete importTaskFields.labels;
+
+const pickFields = (source, fields) => Object.keys(fields).reduce((picked, key) => {
+  if (source[key] !== undefined && source[key] !== '') picked[key] = source[key];
+  return picked;
+}, {});
+
+const exportProjectFields = (project) => ({
+  id: String(project._id),
+  name: project.name,
+  description: project.description,
+  startDate: project.startDate,
+  endDate: project.endDate
+});
+
+// Dependencies on tasks outside the export (such as trashed ones) are left out
+const exportTaskFields = (task, exportedIds) => ({
+  id: String(task._id),
+  project: String(task.project),
+  name: task.name,
+  description: task.description,
+  duration: task.duration,
+  startDate: task.startDate,
+  endDate: task.endDate,
+  status: task.status,
+  dependsOn: (task.dependsOn || []).map(String).filter((id) => exportedIds.has(id))
+});
+
+const taskIds = (tasks) => new Set(tasks.map((task) => String(task._id)));
+
+const toJson = (project, tasks) => {
+  const exportedIds = taskIds(tasks);
+  return {
+    version: EXPORT_VERSION,
+    exportedAt: new Date(),
+    project: exportProjectFields(project),
+    tasks: tasks.map((task) => exportTaskFields(task, exportedIds))
+  };
+};
+
+const toCsv = (project, tasks) => {
+  const projectRow = { type: 'project', ...exportProjectFields(project) };
+  const exportedIds = taskIds(tasks);
+  const taskRows = tasks.map((task) => {
+    const fields = exportTaskFields(task, exportedIds);
+    return { type: 'task', ...fields, dependsOn: fields.dependsOn.join(';') };
+  });
+  return csv.stringify([CSV_COLUMNS, ...[projectRow, ...taskRows].map((row) => CSV_COLUMNS.map((column) => row[column]))]);
+};
+
+// Normalizes a JSON import into project and task rows.
+// Accepts an export ({ project, tasks }) or several projects ({ projects: [{ ...project, tasks }] }).
+const rowsFromJson = (body) => {
+  const projects = [];
+  const tasks = [];
+  const addTasks = (list, projectRef, label) => (Array.isArray(list) ? list : []).forEach((task, i) => {
+    const source = task && typeof task === 'object' ? task : {};
+    tasks.push({
+      row: `${label}[${i}]`,
+      ref: source.id !== undefined ? String(source.id) : null,
+      projectRef: source.project !== undefined && projectRef === null ? String(source.project) : projectRef,
+      dependsOn: source.dependsOn,
+      source
+    });
+  });
+
+  if (body && Array.isArray(body.projects)) {
+    body.projects.forEach((project, i) => {
+      const source = project && typeof project === 'object' ? project : {};
+      const ref = source.id !== undefined ? String(source.id) : `projects[${i}]`;
+      projects.push({ row: `projects[${i}]`, ref, source });
+      addTasks(source.tasks, ref, `projects[${i}].tasks`);
+    });
+  } else if (body && body.project && typeof body.project === 'object') {
+    const ref = body.project.id !== undefined ? String(body.project.id) : 'project';
+    projects.push({ row: 'project', ref, source: body.project });
+    addTasks(body.tasks, null, 'tasks');
+    // Tasks in a single-project export may omit their project reference
+    tasks.forEach((task) => { if (task.projectRef === null) task.projectRef = ref; });
+  }
+  return { projects, tasks };
+};
+
+// Normalizes a CSV import into project and task rows; row numbers count the header as row 1
+const rowsFromCsv = (text) => {
+  const [header = [], ...lines] = csv.parse(text);
+  const columns = header.map((column) => column.trim());
+  const missing = ['type', 'name'].filter((column) => !columns.includes(column));
+  if (missing.length) {
+    return { headerError: { row: 1, errors: { header: `Missing column(s): ${missing.join(', ')}` } } };
+  }
+
+  const projects = [];
+  const tasks = [];
+  lines.forEach((line, i) => {
+    const source = {};
+    columns.forEach((column, c) => {
+      if (line[c] !== undefined && line[c] !== '') source[column] = line[c];
+    });
+    // CSV has no number type; non-numeric text is left as-is so validation reports it
+    if (source.duration !== undefined && source.duration.trim() !== '' && !isNaN(Number(source.duration))) {
+      source.duration = Number(source.duration);
+    }
+    const row = i + 2;
+    if (source.type === 'project') {
+      projects.push({ row, ref: source.id || `row-${row}`, source });
+    } else {
+      tasks.push({
+        row,
+        ref: source.id || null,
+        projectRef: source.project || null,
+        dependsOn: source.dependsOn ? source.dependsOn.split(';').map((ref) => ref.trim()).filter(Boolean) : [],
+        source,
+        badType: source.type !== 'task'
+      });
+    }
+  });
+  return { projects, tasks };
+};
+
+// Parses and validates an import. Returns { plan } when every row is valid, otherwise { errors }
+// with one entry per rejected row. Nothing is written here.
+const parseImport = (format, body) => {
+  let rows;
+  try {
+    rows = format === 'csv' ? rowsFromCsv(typeof body === 'string' ? body : '') : rowsFromJson(body);
+  } catch (err) {
+    return { errors: [{ row: null, errors: { body: err.message } }] };
+  }
+  if (rows.headerError) return { errors: [rows.headerError] };
+
+  const errors = [];
+  const report = (row, rowErrors) => errors.push({ row, errors: rowErrors });
+
+  if (!rows.projects.length) {
+    report(null, { body: 'The import must contain at least one project' });
+  }
+
+  const projectRefs = new Set();
+  const projects = rows.projects.map(({ row, ref, source }) => {
+    const { value, errors: rowErrors } = validate(projectFields, pickFields(source, projectFields));
+    const allErrors = { ...rowErrors };
+    if (projectRefs.has(ref)) allErrors.id = `Duplicate project id "${ref}"`;
+    projectRefs.add(ref);
+    if (Object.keys(allErrors).length) report(row, allErrors);
+    return { ref, fields: value };
+  });
+
+  const taskRefs = new Map();
+  rows.tasks.forEach((task, i) => {
+    if (!task.ref) task.ref = `task-${i}`;
+    if (taskRefs.has(task.ref)) task.duplicate = true;
+    taskRefs.set(task.ref, task);
+  });
+
+  const tasks = rows.tasks.map((task) => {
+    const { value, errors: rowErrors } = validate(importTaskFields, pickFields(task.source, importTaskFields));
+    const allErrors = { ...rowErrors };
+    if (task.badType) allErrors.type = 'Type must be project or task';
+    if (task.duplicate) allErrors.id = `Duplicate task id "${task.ref}"`;
+    if (!task.projectRef || !projectRefs.has(task.projectRef)) {
+      allErrors.project = task.projectRef ? `Unknown project "${task.projectRef}"` : 'Project is required';
+    }
+
+    const dependsOn = Array.isArray(task.dependsOn) ? task.dependsOn.map(String) : [];
+    if (task.dependsOn !== undefined && !Array.isArray(task.dependsOn)) {
+      allErrors.dependsOn = 'Dependencies must be a list of task ids';
+    } else {
+      const unknown = dependsOn.filter((ref) => {
+        const target = taskRefs.get(ref);
+        return !target || target.projectRef !== task.projectRef;
+      });
+      if (unknown.length) allErrors.dependsOn = `Unknown task(s) in the same project: ${unknown.join(', ')}`;
+    }
+
+    if (Object.keys(allErrors).length) report(task.row, allErrors);
+    return { ref: task.ref, row: task.row, projectRef: task.projectRef, dependsOn, fields: value };
+  });
+
+  // Cycles can only be checked once every reference resolves
+  if (!errors.length) {
+    const graph = tasks.map((task) => ({ _id: task.ref, dependsOn: task.dependsOn }));
+    const cyclic = tasks.find((task) => findCycle(graph, task.ref, task.dependsOn));
+    if (cyclic) {
+      report(cyclic.row, { dependsOn: `Task dependencies form a cycle: ${findCycle(graph, cyclic.ref, cyclic.dependsOn).join(' -> ')}` });
+    }
+  }
+
+  if (errors.length) return { errors };
+  return { plan: { projects, tasks } };
+};
+
+// Turns a validated plan into new documents owned by ownerId, with references remapped to new ids
+const buildDocuments = (plan, ownerId, newId) => {
+  const projectIds = new Map(plan.projects.map((project) => [project.ref, newId()]));
+  const taskIds = new Map(plan.tasks.map((task) => [task.ref, newId()]));
+  const positions = new Map();
+
+  const projects = plan.projects.map((project) => ({
+    ...project.fields,
+    _id: projectIds.get(project.ref),
+    owner: ownerId
+  }));
+
+  const tasks = plan.tasks.map((task) => {
+    const status = task.fields.status || 'todo';
+    const column = `${task.projectRef}:${status}`;
+    const position = positions.get(column) || 0;
+    positions.set(column, position + 1);
+
+    return {
+      ...task.fields,
+      _id: taskIds.get(task.ref),
+      project: projectIds.get(task.projectRef),
+      dependsOn: task.dependsOn.map((ref) => taskIds.get(ref)),
+      status,
+      position,
+      statusHistory: [{ to: status, changedBy: ownerId, changedAt: new Date() }],
+      owner: ownerId
+    };
+  });
+
+  return { projects, tasks };
+};
+
+module.exports = { FORMATS, IMPORT_BODY_LIMIT, CSV_COLUMNS, toJson, toCsv, parseImport, buildDocuments };
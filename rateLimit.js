@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+const Schema = mongoose.Schema;
+
+// Request throttling.
+// Requests are counted in fixed windows per client: signed-in users (session or API token) by
+// user id, everyone else by IP address. Sign-in routes are always counted by IP so a flood of
+// callbacks can't be spread across accounts. Each budget has its own counters:
+//   auth  - /auth/*, /test-session and /logout: RATE_LIMIT_AUTH_MAX per 15 minutes (default 30)
+//   read  - GET/HEAD under /api: RATE_LIMIT_READ_MAX per minute (default 300)
+//   write - other methods under /api: RATE_LIMIT_WRITE_MAX per minute (default 60)
+// Setting a maximum to 0 turns that limit off.
+//
+// Responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy;
+// requests over the budget get 429 with Retry-After. Counters live in MongoDB so every instance
+// shares them. If the store can't be reached, requests are let through rather than rejected.
+//
+// A store is an object with:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>   counts a request in the window
+
+const BUDGETS = {
+  auth: { env: 'RATE_LIMIT_AUTH_MAX', max: 30, windowMs: 15 * 60 * 1000, byIp: true },
+  read: { env: 'RATE_LIMIT_READ_MAX', max: 300, windowMs: 60 * 1000 },
+  write: { env: 'RATE_LIMIT_WRITE_MAX', max: 60, windowMs: 60 * 1000 }
+};
+
+const READ_METHODS = ['GET', 'HEAD'];
+
+// One document per client and window; MongoDB removes it once the window is over
+const rateLimitSchema = new Schema({
+  _id: String,
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true }
+}, { versionKey: false });
+
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+const windowOf = (windowMs, now = Date.now()) => {
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { id: start, resetAt: new Date(start + windowMs) };
+};
+
+const createMongoStore = () => ({
+  async increment(key, windowMs) {
+    // Fail fast instead of waiting on mongoose's buffering while disconnected
+    if (mongoose.connection.readyState !== 1) throw new Error('MongoDB is not connected');
+    const { id, resetAt } = windowOf(windowMs);
+    const update = () => RateLimit.findOneAndUpdate(
+      { _id: `${key}:${id}` },
+      { $inc: { count: 1 }, $setOnInsert: { resetAt } },
+      { upsert: true, new: true, lean: true }
+    );
+    // Two first requests in a window can race on the insert; the loser just increments
+    const counter = await update().catch((err) => {
+      if (err.code === 11000) return update();
+      throw err;
+    });
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+});
+
+// Counters kept in this process only; for tests and single-instance setups
+const createMemoryStore = () => {
+  const counters = new Map();
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      counters.forEach((counter, counterKey) => {
+        if (counter.resetAt <= now) counters.delete(counterKey);
+      });
+      const { id, resetAt } = windowOf(windowMs, now);
+      const counter = counters.get(`${key}:${id}`) || { count: 0, resetAt: resetAt.getTime() };
+      counter.count++;
+      counters.set(`${key}:${id}`, counter);
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    }
+  };
+};
+
+const budgetMax = (budget) => {
+  const max = Number(process.env[budget.env]);
+  return Number.isFinite(max) && max >= 0 ? max : budget.max;
+};
+
+const clientKey = (req, budget) => (
+  !budget.byIp && req.user ? `user:${req.user._id}` : `ip:${req.ip}`
+);
+
+// Middleware enforcing one budget: rateLimit('auth', store).
+// Pass a function of the request as the budget name to pick the budget per request.
+const rateLimit = (budgetName, store) => async (req, res, next) => {
+  const name = typeof budgetName === 'function' ? budgetName(req) : budgetName;
+  const budget = BUDGETS[name];
+  const max = budgetMax(budget);
+  if (!max) return next();
+
+  let counter;
+  try {
+    counter = await store.increment(`${name}:${clientKey(req, budget)}`, budget.windowMs);
+  } catch (err) {
+    logger.warn('Rate limit store unavailable, request let through', { budget: name, err });
+    return next();
+  }
+
+  const resetSeconds = Math.max(0, Math.ceil((counter.resetAt.getTime() - Date.now()) / 1000));
+  res.set({
+    'RateLimit-Limit': String(max),
+    'RateLimit-Remaining': String(Math.max(0, max - counter.count)),
+    'RateLimit-Reset': String(resetSeconds),
+    'RateLimit-Policy': `${max};w=${budget.windowMs / 1000}`
+  });
+
+  if (counter.count > max) {
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({
+      error: 'Too many requests, please try again later',
+      details: { limit: max, retryAfter: resetSeconds }
+    });
+  }
+  next();
+};
+
+// Picks the read or write budget from the request method
+const apiBudget = (req) => (READ_METHODS.includes(req.method) ? 'read' : 'write');
+
+module.exports = {
+  BUDGETS,
+  RateLimit,
+  createMongoStore,
+  createMemoryStore,
+  rateLimit,
+  apiBudget
+};
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const requireAuth = require('./requireAuth');
+const { roleFor, can } = require('./projectAccess');
+
+// Real-time project updates over Server-Sent Events.
+// Browsers connect to GET /api/events with the same session cookie as every other API call
+// (EventSource with withCredentials: true) and receive project and task changes as they happen.
+// Each event carries the project's owner and members at the time of the change, so a client
+// only gets events for projects it can read.
+// Event types: project.created/updated/deleted/restored, task.created/updated/moved/deleted/restored
+// comment.created/updated/deleted, attachment.created/deleted and label.created/updated/deleted.
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+
+const clients = new Set();
+let nextEventId = 1;
+
+const formatEvent = (id, type, data) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Sends an event to every connected client that can read the project.
+// type is e.g. 'task.updated'; project is the project document; data is the changed document.
+const publish = (type, project, data) => {
+  if (!project || !clients.size) return;
+  const id = nextEventId++;
+  const payload = formatEvent(id, type, { type, project: String(project._id), data });
+
+  clients.forEach((client) => {
+    if (client.projectId && client.projectId !== String(project._id)) return;
+    if (!can(roleFor(project, client.userId), 'project:read')) return;
+    client.res.write(payload);
+  });
+};
+
+// Opens an event stream for the logged-in user, optionally for one project (?project=)
+const subscribe = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const client = {
+    res,
+    userId: String(req.user._id),
+    projectId: req.query.project ? String(req.query.project) : null
+  };
+  clients.add(client);
+  res.write(formatEvent(nextEventId++, 'ready', { projects: client.projectId ? [client.projectId] : 'all' }));
+
+  // Comment lines keep proxies (and Render's load balancer) from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+};
+
+// READ - Event stream of project and task changes
+router.get('/events', requireAuth, subscribe);
+
+// Ends every open stream, e.g. on shutdown
+const closeAll = () => {
+  clients.forEach((client) => client.res.end());
+  clients.clear();
+};
+
+const connectedClients = () => clients.size;
+
+module.exports = { router, subscribe, publish, closeAll, connectedClients };
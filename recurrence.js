@@ -0,0 +1,443 @@
+const mongoose = require('mongoose');
+const { recordActivity } = require('./activityLog');
+const { publish } = require('./realtime');
+const { logger } = require('./logger');
+
+const Schema = mongoose.Schema;
+
+// Recurring tasks.
+// The first task of a series carries an RRULE-style rule (daily, weekly on given weekdays or
+// monthly by day of month, ending at an until date or after a count). Upcoming occurrences are
+// generated as real Task documents that point back to it through `series`, with `occurrenceDate`
+// recording the slot each one fills. Like RFC 5545, the first task's start date is always the
+// first occurrence. Dates are stepped in UTC.
+// RECURRENCE_HORIZON_DAYS sets how far ahead occurrences exist (default 60),
+// RECURRENCE_INTERVAL_MINUTES how often the horizon is topped up (default 60).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_COUNT = 1000;
+// Upper bound on occurrences produced by one call and on periods scanned for a match
+const MAX_OCCURRENCES = 500;
+const MAX_PERIODS = 5000;
+
+const recurrenceSchema = new Schema({
+  freq: { type: String, enum: FREQUENCIES, required: true },
+  interval: { type: Number, default: 1 },
+  byDay: [{ type: String, enum: WEEKDAYS }],
+  byMonthDay: [Number],
+  until: Date,
+  count: Number,
+  // Occurrences removed individually, so they are not generated again
+  exDates: [Date]
+}, { _id: false });
+
+const horizonDays = () => {
+  const days = Number(process.env.RECURRENCE_HORIZON_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 60;
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// RRULE UNTIL values: 20250131 or 20250131T170000Z
+const parseRuleDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) return new Date(NaN);
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+// Turns "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10" into the object form
+const fromRRule = (text) => Object.fromEntries(text.replace(/^RRULE:/i, '').split(';').filter(Boolean).map((part) => {
+  const [key, raw = ''] = part.split('=');
+  switch (key.toUpperCase()) {
+    case 'FREQ': return ['freq', raw.toLowerCase()];
+    case 'INTERVAL': return ['interval', Number(raw)];
+    case 'BYDAY': return ['byDay', raw.split(',')];
+    case 'BYMONTHDAY': return ['byMonthDay', raw.split(',').map(Number)];
+    case 'UNTIL': return ['until', parseRuleDate(raw)];
+    case 'COUNT': return ['count', Number(raw)];
+    default: return [key, raw];
+  }
+}));
+
+// Checks a rule given as an RRULE string or an object and returns { value } or { error }
+const parseRule = (input) => {
+  let source = input;
+  if (typeof input === 'string') source = fromRRule(input);
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return { error: 'must be an RRULE string or an object' };
+  }
+
+  const allowed = ['freq', 'interval', 'byDay', 'byMonthDay', 'until', 'count'];
+  const unknown = Object.keys(source).find((key) => !allowed.includes(key));
+  if (unknown) return { error: `does not support ${unknown}` };
+
+  const freq = typeof source.freq === 'string' ? source.freq.toLowerCase() : source.freq;
+  if (!FREQUENCIES.includes(freq)) return { error: `frequency must be one of: ${FREQUENCIES.join(', ')}` };
+
+  const rule = { freq, interval: source.interval === undefined ? 1 : source.interval };
+  if (!isPositiveInteger(rule.interval)) return { error: 'interval must be a positive whole number' };
+
+  if (source.byDay !== undefined) {
+    if (freq !== 'weekly') return { error: 'weekdays can only be set on weekly rules' };
+    const byDay = Array.isArray(source.byDay) ? source.byDay.map((day) => String(day).toUpperCase()) : [];
+    if (!byDay.length || !byDay.every((day) => WEEKDAYS.includes(day))) {
+      return { error: `weekdays must be a list of: ${WEEKDAYS.join(', ')}` };
+    }
+    rule.byDay = [...new Set(byDay)];
+  }
+
+  if (source.byMonthDay !== undefined) {
+    if (freq !== 'monthly') return { error: 'days of the month can only be set on monthly rules' };
+    const byMonthDay = Array.isArray(source.byMonthDay) ? source.byMonthDay : [];
+    if (!byMonthDay.length || !byMonthDay.every((day) => Number.isInteger(day) && day >= 1 && day <= 31)) {
+      return { error: 'days of the month must be whole numbers from 1 to 31' };
+    }
+    rule.byMonthDay = [...new Set(byMonthDay)];
+  }
+
+  if (source.until !== undefined && source.count !== undefined) {
+    return { error: 'can end at an until date or after a count, not both' };
+  }
+  if (source.until !== undefined) {
+    const until = new Date(source.until);
+    if (source.until === null || isNaN(until)) return { error: 'until must be a valid date' };
+    rule.until = until;
+  }
+  if (source.count !== undefined) {
+    if (!isPositiveInteger(source.count) || source.count > MAX_COUNT) {
+      return { error: `count must be a whole number from 1 to ${MAX_COUNT}` };
+    }
+    rule.count = source.count;
+  }
+  return { value: rule };
+};
+
+// Fills in the weekday or day of month from the start date, so the pattern
+// doesn't change if the series is later re-anchored on another occurrence
+const completeRule = (rule, start) => {
+  const complete = { ...rule };
+  if (complete.freq === 'weekly' && !(complete.byDay && complete.byDay.length)) {
+    complete.byDay = [WEEKDAYS[start.getUTCDay()]];
+  }
+  if (complete.freq === 'monthly' && !(complete.byMonthDay && complete.byMonthDay.length)) {
+    complete.byMonthDay = [start.getUTCDate()];
+  }
+  return complete;
+};
+
+const plainRule = (rule) => (rule && typeof rule.toObject === 'function' ? rule.toObject() : { ...rule });
+
+// Whole periods (days, weeks or months) between the start and a later date, rounded down to the interval
+const periodsBetween = (rule, start, date) => {
+  let periods;
+  if (rule.freq === 'daily') {
+    periods = Math.floor((date - start) / DAY_MS);
+  } else if (rule.freq === 'weekly') {
+    const monday = addDays(start, -((start.getUTCDay() + 6) % 7));
+    periods = Math.floor((date - monday) / (7 * DAY_MS));
+  } else {
+    periods = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+  }
+  const interval = rule.interval || 1;
+  // One period early, so nothing in the period containing the date is missed
+  return Math.max(0, Math.floor((periods - 1) / interval) * interval);
+};
+
+// Candidate dates period by period, in order, at the start's time of day, from the given period on
+function* candidates(rule, start, firstPeriod = 0) {
+  const interval = rule.interval || 1;
+  for (let period = firstPeriod; period < firstPeriod + MAX_PERIODS * interval; period += interval) {
+    if (rule.freq === 'daily') {
+      yield addDays(start, period);
+    } else if (rule.freq === 'weekly') {
+      // Weeks start on Monday
+      const monday = addDays(start, -((start.getUTCDay() + 6) % 7) + period * 7);
+      const offsets = rule.byDay.map((day) => (WEEKDAYS.indexOf(day) + 6) % 7).sort((a, b) => a - b);
+      for (const offset of offsets) yield addDays(monday, offset);
+    } else {
+      const year = start.getUTCFullYear();
+      const month = start.getUTCMonth() + period;
+      const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      const days = [...rule.byMonthDay].sort((a, b) => a - b).filter((day) => day <= daysInMonth);
+      for (const day of days) {
+        yield new Date(Date.UTC(year, month, day, start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds(), start.getUTCMilliseconds()));
+      }
+    }
+  }
+}
+
+// Occurrence dates of a rule starting at start, ending before `before` when given.
+// Occurrences before `after` are left out; they still use up the rule's count.
+const occurrences = (rule, start, { after, before, limit = MAX_OCCURRENCES } = {}) => {
+  const dates = [];
+  let seen = 0;
+  const push = (date) => {
+    if (rule.until && date > rule.until) return false;
+    if (before && date >= before) return false;
+    if (rule.count && seen >= rule.count) return false;
+    seen++;
+    if (after && date < after) return true;
+    dates.push(date);
+    return dates.length < limit;
+  };
+
+  if (!push(new Date(start))) return dates;
+  const full = completeRule(plainRule(rule), start);
+  // Without a count nothing before `after` matters, so periods wholly before it are skipped
+  const firstPeriod = after && !rule.count && after > start ? periodsBetween(full, start, after) : 0;
+  for (const date of candidates(full, start, firstPeriod)) {
+    if (date <= start) continue;
+    if (!push(date)) break;
+  }
+  return dates;
+};
+
+const softDeleteTasks = async (tasks, actor, extra = {}) => {
+  if (!tasks.length) return [];
+  const Task = mongoose.model('Task');
+  const ids = tasks.map((task) => task._id);
+  await Task.updateMany({ _id: { $in: ids } }, { deletedAt: new Date(), deletedBy: actor._id || actor, ...extra });
+  const deleted = await Task.find({ _id: { $in: ids } }).setOptions({ withDeleted: true });
+  await recordActivity(deleted.map((after) => ({
+    entityType: 'task',
+    action: 'delete',
+    before: tasks.find((task) => task._id.equals(after._id)),
+    after,
+    actor
+  })));
+  return deleted;
+};
+
+// Creates the series' missing occurrences up to the horizon, copying the latest live occurrence.
+// Returns the new tasks.
+const extendSeries = async (master, actor, now = new Date()) => {
+  if (!master.recurrence || master.deletedAt) return [];
+  const Task = mongoose.model('Task');
+  const Project = mongoose.model('Project');
+  const project = await Project.findById(master.project);
+  if (!project) return [];
+
+  const existing = await Task.find({ series: master._id }).setOptions({ withDeleted: true }).sort({ occurrenceDate: 1 });
+  const taken = new Set(existing.map((task) => task.occurrenceDate && task.occurrenceDate.getTime()));
+  (master.recurrence.exDates || []).forEach((date) => taken.add(date.getTime()));
+
+  const start = master.occurrenceDate || master.startDate;
+  // A series that started in the past is not backfilled: it picks up from now
+  const dates = occurrences(master.recurrence, start, { after: now, before: addDays(now, horizonDays()) })
+    .filter((date) => !taken.has(date.getTime()));
+  if (!dates.length) return [];
+
+  const template = existing.filter((task) => !task.deletedAt).pop() || master;
+  const length = template.startDate && template.endDate ? template.endDate - template.startDate : null;
+  const last = await Task.findOne({ project: master.project, status: 'todo' }).sort({ position: -1 }).select('position');
+  let position = last && typeof last.position === 'number' ? last.position + 1 : 0;
+  const actorId = actor._id || actor;
+
+  let tasks;
+  try {
+    tasks = await Task.insertMany(dates.map((date) => ({
+      project: master.project,
+      name: template.name,
+      description: template.description,
+      duration: template.duration,
+      labels: template.labels,
+      startDate: date,
+      endDate: length !== null ? new Date(date.getTime() + length) : undefined,
+      status: 'todo',
+      position: position++,
+      statusHistory: [{ to: 'todo', changedBy: actorId }],
+      series: master._id,
+      occurrenceDate: date,
+      owner: template.owner
+    })), { ordered: false });
+  } catch (err) {
+    // Another run generated some of the same occurrences first
+    if (err.code !== 11000) throw err;
+    tasks = err.insertedDocs || [];
+  }
+
+  await recordActivity(tasks.map((task) => ({
+    entityType: 'task',
+    action: 'create',
+    after: task,
+    actor: actorId,
+    meta: { series: String(master._id) }
+  })));
+  tasks.forEach((task) => publish('task.created', project, task));
+  return tasks;
+};
+
+// Live occurrences from this one onwards
+const followingOccurrences = (task) => mongoose.model('Task')
+  .find({ series: task.series, occurrenceDate: { $gte: task.occurrenceDate } })
+  .sort({ occurrenceDate: 1 });
+
+// Stops a series just before an occurrence
+const endSeriesBefore = async (task) => {
+  const Task = mongoose.model('Task');
+  await Task.updateOne(
+    { _id: task.series, recurrence: { $ne: null } },
+    { $set: { 'recurrence.until': new Date(task.occurrenceDate.getTime() - 1) }, $unset: { 'recurrence.count': 1 } },
+    { withDeleted: true }
+  );
+};
+
+// Applies an update to this and all following occurrences.
+// Name, description, duration and labels are copied onto each of them. Changing the dates or the rule
+// splits the series: this occurrence starts a new series and the later ones are regenerated from it.
+// Returns the updated task.
+const updateFollowing = async (task, changes, actor) => {
+  const Task = mongoose.model('Task');
+  const Project = mongoose.model('Project');
+  const project = await Project.findById(task.project);
+  const following = await followingOccurrences(task);
+  const fields = Object.fromEntries(Object.entries(changes).filter(([key]) => ['name', 'description', 'duration', 'labels'].includes(key)));
+  const reschedule = ['startDate', 'endDate', 'recurrence'].some((key) => changes[key] !== undefined);
+
+  if (!reschedule) {
+    const ids = following.map((occurrence) => occurrence._id);
+    if (Object.keys(fields).length) await Task.updateMany({ _id: { $in: ids } }, { $set: fields });
+    const updated = await Task.find({ _id: { $in: ids } });
+    await recordActivity(updated.map((after) => ({
+      entityType: 'task',
+      action: 'update',
+      before: following.find((occurrence) => occurrence._id.equals(after._id)),
+      after,
+      actor
+    })));
+    updated.forEach((occurrence) => publish('task.updated', project, occurrence));
+    return updated.find((occurrence) => occurrence._id.equals(task._id));
+  }
+
+  const master = await Task.findById(task.series).setOptions({ withDeleted: true });
+  const startDate = changes.startDate !== undefined ? changes.startDate : task.startDate;
+  let endDate = changes.endDate !== undefined ? changes.endDate : task.endDate;
+  // Moving the start keeps the occurrence's length unless a new end was given
+  if (changes.endDate === undefined && changes.startDate && task.startDate && task.endDate) {
+    endDate = new Date(task.endDate.getTime() + (changes.startDate - task.startDate));
+  }
+
+  let rule = changes.recurrence;
+  if (rule === undefined && master && master.recurrence) {
+    rule = plainRule(master.recurrence);
+    delete rule.exDates;
+    // The new series only has the occurrences the old one had left
+    if (rule.count) {
+      const used = occurrences(master.recurrence, master.occurrenceDate || master.startDate, { before: task.occurrenceDate }).length;
+      rule.count = Math.max(rule.count - used, 1);
+    }
+  }
+  if (master && !master._id.equals(task._id)) await endSeriesBefore(task);
+
+  // Later occurrences leave the series so their slots can be filled again
+  const later = following.filter((occurrence) => !occurrence._id.equals(task._id));
+  const removed = await softDeleteTasks(later, actor, { series: null, occurrenceDate: null });
+  removed.forEach((occurrence) => publish('task.deleted', project, { _id: occurrence._id, project: occurrence.project }));
+
+  const updated = await Task.findByIdAndUpdate(task._id, {
+    ...fields,
+    startDate,
+    endDate,
+    recurrence: rule && startDate ? completeRule(rule, startDate) : null,
+    series: rule && startDate ? task._id : null,
+    occurrenceDate: rule && startDate ? startDate : null
+  }, { new: true, runValidators: true });
+  await recordActivity({ entityType: 'task', action: 'update', before: task, after: updated, actor });
+  publish('task.updated', project, updated);
+  await extendSeries(updated, actor);
+  return updated;
+};
+
+// Deletes this and all following occurrences and ends the series before them
+const deleteFollowing = async (task, actor) => {
+  const Project = mongoose.model('Project');
+  const project = await Project.findById(task.project);
+  const following = await followingOccurrences(task);
+  await endSeriesBefore(task);
+  const deleted = await softDeleteTasks(following, actor);
+  deleted.forEach((occurrence) => publish('task.deleted', project, { _id: occurrence._id, project: occurrence.project }));
+  return deleted;
+};
+
+// Called after a single occurrence was deleted so it isn't generated again.
+// When the first task of a series goes, the rule moves on to the next occurrence.
+const excludeOccurrence = async (task) => {
+  if (!task.series || !task.occurrenceDate) return;
+  const Task = mongoose.model('Task');
+
+  if (!task.series.equals(task._id)) {
+    await Task.updateOne({ _id: task.series }, { $addToSet: { 'recurrence.exDates': task.occurrenceDate } }, { withDeleted: true });
+    return;
+  }
+
+  const master = await Task.findById(task._id).setOptions({ withDeleted: true });
+  const next = await Task.findOne({ series: task._id, occurrenceDate: { $gt: task.occurrenceDate } }).sort({ occurrenceDate: 1 });
+  if (!master.recurrence || !next) return;
+
+  const rule = plainRule(master.recurrence);
+  rule.exDates = [...(rule.exDates || []), task.occurrenceDate];
+  if (rule.count) {
+    rule.count = Math.max(rule.count - occurrences(master.recurrence, task.occurrenceDate, { before: next.occurrenceDate }).length, 1);
+  }
+  await Task.updateMany({ series: task._id }, { series: next._id }, { withDeleted: true });
+  await Task.updateOne({ _id: next._id }, { recurrence: rule });
+  await Task.updateOne({ _id: task._id }, { recurrence: null }, { withDeleted: true });
+};
+
+// Called after an occurrence comes back from the trash
+const restoreOccurrence = async (task) => {
+  if (!task.series || !task.occurrenceDate) return;
+  const Task = mongoose.model('Task');
+  await Task.updateOne({ _id: task.series }, { $pull: { 'recurrence.exDates': task.occurrenceDate } }, { withDeleted: true });
+};
+
+// Tops up every live series to the horizon
+const extendAllSeries = async (now = new Date()) => {
+  const Task = mongoose.model('Task');
+  const masters = await Task.find({ recurrence: { $ne: null } });
+  let created = 0;
+  for (const master of masters) {
+    const tasks = await extendSeries(master, master.owner, now);
+    created += tasks.length;
+  }
+  return created;
+};
+
+// Starts generating occurrences on an interval; returns a function that stops it
+const startRecurrence = () => {
+  const minutes = Number(process.env.RECURRENCE_INTERVAL_MINUTES) || 60;
+
+  const run = async () => {
+    try {
+      const created = await extendAllSeries();
+      if (created) logger.info('Recurring task occurrences created', { created });
+    } catch (err) {
+      logger.error('Recurring task generation failed', { err });
+    }
+  };
+
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  recurrenceSchema,
+  parseRule,
+  completeRule,
+  occurrences,
+  extendSeries,
+  updateFollowing,
+  deleteFollowing,
+  excludeOccurrence,
+  restoreOccurrence,
+  extendAllSeries,
+  startRecurrence
+};
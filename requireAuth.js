@@ -0,0 +1,11 @@
+// Authentication guard for the /api routes.
+// Rejects requests without a logged-in user with a 401 before any route touches req.user.
+const requireAuth = (req, res, next) => {
+  const authenticated = typeof req.isAuthenticated === 'function' ? req.isAuthenticated() : false;
+  if (!authenticated || !req.user || !req.user._id) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+};
+
+module.exports = requireAuth;
@@ -0,0 +1,47 @@
+// Mongoose plugin for soft deletes.
+// Adds deletedAt/deletedBy and hides deleted documents from every query and aggregation,
+// unless the filter mentions deletedAt itself or the query is run with { withDeleted: true }.
+
+const mongoose = require('mongoose');
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'updateMany',
+  'updateOne',
+  'deleteMany',
+  'deleteOne'
+];
+
+const mentionsDeletedAt = (filter) => {
+  if (!filter || typeof filter !== 'object') return false;
+  if (Object.prototype.hasOwnProperty.call(filter, 'deletedAt')) return true;
+  return ['$and', '$or', '$nor'].some((op) => Array.isArray(filter[op]) && filter[op].some(mentionsDeletedAt));
+};
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(QUERY_HOOKS, function excludeDeleted() {
+    if (this.getOptions().withDeleted || mentionsDeletedAt(this.getFilter())) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function excludeDeleted() {
+    if (this.options.withDeleted) return;
+    const [first] = this.pipeline();
+    if (first && first.$match && mentionsDeletedAt(first.$match)) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
+
+module.exports = softDelete;
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// File storage for attachments.
+// A storage backend is an object with:
+//   save(key, readable) -> Promise<{ size }>   writes the stream under key
+//   open(key)           -> Promise<Readable>   reads it back (rejects with code 'ENOENT' when missing)
+//   remove(key)         -> Promise<void>       deletes it; missing keys are ignored
+// Keys look like "<projectId>/<attachmentId>". The local filesystem backend keeps files under
+// STORAGE_DIR (default ./uploads); another backend, such as an S3-compatible store, can be
+// plugged in with setStorage.
+
+const createLocalStorage = (root = process.env.STORAGE_DIR || path.join(__dirname, 'uploads')) => {
+  const fullPath = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(path.resolve(root) + path.sep)) throw new Error('Invalid storage key');
+    return file;
+  };
+
+  return {
+    async save(key, readable) {
+      const file = fullPath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      let size = 0;
+      readable.on('data', (chunk) => { size += chunk.length; });
+      await pipeline(readable, fs.createWriteStream(file));
+      return { size };
+    },
+
+    async open(key) {
+      const file = fullPath(key);
+      await fs.promises.access(file);
+      return fs.createReadStream(file);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(fullPath(key), { force: true });
+    }
+  };
+};
+
+let storage;
+
+const getStorage = () => {
+  if (!storage) storage = createLocalStorage();
+  return storage;
+};
+
+// Replaces the storage backend; pass undefined to go back to the local filesystem
+const setStorage = (custom) => {
+  storage = custom;
+};
+
+module.exports = { createLocalStorage, getStorage, setStorage };
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// Subtasks - tasks nested under a parent task in the same project.
+// Nesting is bounded (SUBTASK_MAX_DEPTH levels below a top-level task, default 3).
+// Each parent keeps a rollup of its subtasks: their total duration (a subtask with subtasks of
+// its own counts its rollup instead of its own duration) and how many of them are done.
+
+const maxDepth = () => {
+  const depth = Number(process.env.SUBTASK_MAX_DEPTH);
+  return Number.isInteger(depth) && depth > 0 ? depth : 3;
+};
+
+// Rollup of a parent from its direct subtasks, or null when it has none
+const computeRollup = (children) => {
+  if (!children.length) return null;
+  const rollup = children.reduce((totals, child) => {
+    const nested = child.rollup && child.rollup.subtasks ? child.rollup : null;
+    totals.duration += nested ? nested.duration : (child.duration || 0);
+    totals.subtasks += 1 + (nested ? nested.subtasks : 0);
+    totals.completed += (child.status === 'done' ? 1 : 0) + (nested ? nested.completed : 0);
+    return totals;
+  }, { duration: 0, subtasks: 0, completed: 0 });
+  return { ...rollup, progress: Math.round((rollup.completed / rollup.subtasks) * 100) / 100 };
+};
+
+// Parent chain of a task, nearest first
+const ancestorsOf = async (parentId) => {
+  const Task = mongoose.model('Task');
+  const ancestors = [];
+  let nextId = parentId;
+  // One step past the depth limit is enough to spot a cycle or an over-deep chain
+  while (nextId && ancestors.length <= maxDepth() + 1) {
+    const ancestor = await Task.findById(nextId, 'parent project');
+    if (!ancestor) break;
+    ancestors.push(ancestor);
+    nextId = ancestor.parent;
+  }
+  return ancestors;
+};
+
+// Every task nested under a task, level by level
+const descendantsOf = async (taskId, { filter = {}, withDeleted = false } = {}) => {
+  const Task = mongoose.model('Task');
+  const descendants = [];
+  let frontier = [taskId];
+  for (let level = 0; frontier.length && level <= maxDepth(); level++) {
+    const children = await Task.find({ ...filter, parent: { $in: frontier } }).setOptions({ withDeleted });
+    descendants.push(...children);
+    frontier = children.map((child) => child._id);
+  }
+  return descendants;
+};
+
+// Levels of subtasks below a task (0 when it has none)
+const heightOf = async (taskId) => {
+  const Task = mongoose.model('Task');
+  let height = 0;
+  let frontier = [taskId];
+  while (height <= maxDepth()) {
+    const children = await Task.find({ parent: { $in: frontier } }, '_id');
+    if (!children.length) break;
+    height++;
+    frontier = children.map((child) => child._id);
+  }
+  return height;
+};
+
+// Checks that a task can sit under parentId. Returns an error body to send back as a 400, or null.
+const validateParent = async (taskId, projectId, parentId) => {
+  if (!parentId) return null;
+  const parentError = (error) => ({ error, details: { parent: error } });
+
+  if (String(parentId) === String(taskId)) return parentError('A task cannot be its own subtask');
+
+  const ancestors = await ancestorsOf(parentId);
+  if (!ancestors.length || String(ancestors[0].project) !== String(projectId)) {
+    return parentError('Parent task must be a task in the same project');
+  }
+  if (ancestors.some((ancestor) => String(ancestor._id) === String(taskId))) {
+    return parentError('A task cannot be nested under one of its own subtasks');
+  }
+  if (ancestors.length + await heightOf(taskId) > maxDepth()) {
+    return parentError(`Subtasks can only be nested ${maxDepth()} levels deep`);
+  }
+  return null;
+};
+
+// Recomputes the rollups of the given parents and everything above them.
+// Chains are walked one after another so shared ancestors end up with every change.
+// Returns the updated tasks so callers can publish them.
+const refreshRollups = async (parentIds) => {
+  const Task = mongoose.model('Task');
+  const updated = new Map();
+
+  for (const parentId of new Set(parentIds.filter(Boolean).map(String))) {
+    let id = parentId;
+    for (let level = 0; id && level <= maxDepth(); level++) {
+      const children = await Task.find({ parent: id }, 'duration status rollup');
+      const task = await Task.findByIdAndUpdate(id, { rollup: computeRollup(children) }, { new: true, withDeleted: true });
+      if (!task) break;
+      updated.set(String(id), task);
+      id = task.parent;
+    }
+  }
+  return [...updated.values()];
+};
+
+module.exports = { maxDepth, computeRollup, ancestorsOf, descendantsOf, validateParent, refreshRollups };
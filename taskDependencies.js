@@ -0,0 +1,202 @@
+// Helpers for finish-to-start task dependencies.
+// A task's dependsOn list holds the ids of tasks that must finish before it can start.
+// Durations are treated as whole days when turning the schedule into dates.
+// Subtasks are scheduled inside their parent: they wait for their ancestors' prerequisites, and a
+// parent's work is its subtasks', so it has no duration of its own and finishes with its last subtask.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Builds a map of task id -> list of prerequisite task ids. Prerequisites that aren't among
+// `tasks` (such as tasks in the trash) are left out.
+const buildGraph = (tasks) => {
+  const ids = new Set(tasks.map((task) => String(task._id)));
+  const graph = new Map();
+  tasks.forEach((task) => {
+    graph.set(String(task._id), (task.dependsOn || []).map(String).filter((dep) => ids.has(dep)));
+  });
+  return graph;
+};
+
+// Ids of the tasks among `tasks` that have subtasks among them
+const parentIds = (tasks) => {
+  const ids = new Set(tasks.map((task) => String(task._id)));
+  return new Set(tasks.filter((task) => task.parent && ids.has(String(task.parent))).map((task) => String(task.parent)));
+};
+
+// The tasks with the dependencies implied by nesting added: each subtask also depends on what its
+// ancestors depend on, and each parent depends on its direct subtasks
+const withSubtaskDependencies = (tasks) => {
+  const byId = new Map(tasks.map((task) => [String(task._id), task]));
+  const parentOf = (task) => (task.parent && byId.has(String(task.parent)) ? String(task.parent) : null);
+  const children = new Map();
+  tasks.forEach((task) => {
+    const parent = parentOf(task);
+    if (parent) children.set(parent, [...(children.get(parent) || []), String(task._id)]);
+  });
+
+  return tasks.map((task) => {
+    const id = String(task._id);
+    const ancestors = [];
+    for (let parent = parentOf(task); parent && !ancestors.includes(parent); parent = parentOf(byId.get(parent))) {
+      ancestors.push(parent);
+    }
+    const dependsOn = [
+      ...(task.dependsOn || []),
+      ...ancestors.flatMap((ancestor) => byId.get(ancestor).dependsOn || []),
+      ...(children.get(id) || [])
+    ].map(String);
+    // A subtask waiting on a task that contains it could never start
+    return { _id: task._id, dependsOn: [...new Set(dependsOn)].filter((dep) => dep !== id && !ancestors.includes(dep)) };
+  });
+};
+
+// Returns the ids forming a cycle if taskId were given the dependsOn list, otherwise null
+const findCycle = (tasks, taskId, dependsOn) => {
+  const changed = { _id: taskId, ...tasks.find((task) => String(task._id) === String(taskId)), dependsOn: dependsOn || [] };
+  const graph = buildGraph(withSubtaskDependencies([
+    ...tasks.filter((task) => String(task._id) !== String(taskId)),
+    changed
+  ]));
+
+  const visiting = new Set();
+  const visited = new Set();
+  const stack = [];
+
+  const visit = (id) => {
+    if (visiting.has(id)) {
+      return stack.slice(stack.indexOf(id)).concat(id);
+    }
+    if (visited.has(id)) return null;
+
+    visiting.add(id);
+    stack.push(id);
+    for (const dep of graph.get(id) || []) {
+      const cycle = visit(dep);
+      if (cycle) return cycle;
+    }
+    stack.pop();
+    visiting.delete(id);
+    visited.add(id);
+    return null;
+  };
+
+  return visit(String(taskId));
+};
+
+// Orders tasks so every task comes after its prerequisites (Kahn's algorithm)
+const topologicalOrder = (tasks) => {
+  const graph = buildGraph(tasks);
+  const inDegree = new Map();
+  const successors = new Map();
+
+  graph.forEach((deps, id) => {
+    inDegree.set(id, 0);
+    successors.set(id, []);
+  });
+  graph.forEach((deps, id) => {
+    deps.filter((dep) => graph.has(dep)).forEach((dep) => {
+      inDegree.set(id, inDegree.get(id) + 1);
+      successors.get(dep).push(id);
+    });
+  });
+
+  const queue = [...graph.keys()].filter((id) => inDegree.get(id) === 0);
+  const order = [];
+  while (queue.length) {
+    const id = queue.shift();
+    order.push(id);
+    successors.get(id).forEach((next) => {
+      inDegree.set(next, inDegree.get(next) - 1);
+      if (inDegree.get(next) === 0) queue.push(next);
+    });
+  }
+
+  if (order.length !== graph.size) {
+    throw new Error('Task dependencies contain a cycle');
+  }
+  return { order, graph, successors };
+};
+
+// Runs the critical path method over a project's tasks.
+// Returns the longest chain of dependent tasks plus earliest/latest start dates for every task.
+const criticalPath = (tasks, projectStart) => {
+  const { order, graph, successors } = topologicalOrder(withSubtaskDependencies(tasks));
+  const byId = new Map(tasks.map((task) => [String(task._id), task]));
+  const parents = parentIds(tasks);
+  const durationOf = (id) => (parents.has(id) ? 0 : Math.max(Number(byId.get(id).duration) || 0, 0));
+
+  // Forward pass - earliest start/finish in days from the project start
+  const earliestStart = new Map();
+  const earliestFinish = new Map();
+  order.forEach((id) => {
+    const deps = graph.get(id).filter((dep) => byId.has(dep));
+    const start = deps.reduce((max, dep) => Math.max(max, earliestFinish.get(dep)), 0);
+    earliestStart.set(id, start);
+    earliestFinish.set(id, start + durationOf(id));
+  });
+
+  const totalDuration = order.reduce((max, id) => Math.max(max, earliestFinish.get(id)), 0);
+
+  // Backward pass - latest start/finish that still keeps the project on schedule
+  const latestStart = new Map();
+  const latestFinish = new Map();
+  [...order].reverse().forEach((id) => {
+    const next = successors.get(id);
+    const finish = next.length
+      ? next.reduce((min, succ) => Math.min(min, latestStart.get(succ)), Infinity)
+      : totalDuration;
+    latestFinish.set(id, finish);
+    latestStart.set(id, finish - durationOf(id));
+  });
+
+  // Walk back from the task that finishes last, following zero-slack prerequisites
+  const path = [];
+  let current = order.find((id) => earliestFinish.get(id) === totalDuration && latestStart.get(id) === earliestStart.get(id));
+  while (current) {
+    path.unshift(current);
+    const start = earliestStart.get(current);
+    current = graph.get(current).find((dep) => byId.has(dep)
+      && earliestFinish.get(dep) === start
+      && latestStart.get(dep) === earliestStart.get(dep));
+  }
+
+  const base = new Date(projectStart || Date.now()).getTime();
+  const toDate = (days) => new Date(base + days * DAY_MS);
+
+  // A parent is shown spanning its subtasks, from the first one's start (children come first in order)
+  const subtasksOf = (id) => tasks.filter((task) => String(task.parent) === id).map((task) => String(task._id));
+  order.filter((id) => parents.has(id)).forEach((id) => {
+    earliestStart.set(id, Math.min(...subtasksOf(id).map((child) => earliestStart.get(child))));
+    latestStart.set(id, Math.min(...subtasksOf(id).map((child) => latestStart.get(child))));
+  });
+
+  const schedule = order.map((id) => {
+    const task = byId.get(id);
+    const slack = latestFinish.get(id) - earliestFinish.get(id);
+    return {
+      _id: task._id,
+      name: task.name,
+      duration: earliestFinish.get(id) - earliestStart.get(id),
+      dependsOn: (task.dependsOn || []).map(String).filter((dep) => byId.has(dep)),
+      ...(task.parent && { parent: task.parent }),
+      earliestStart: toDate(earliestStart.get(id)),
+      earliestFinish: toDate(earliestFinish.get(id)),
+      latestStart: toDate(latestStart.get(id)),
+      latestFinish: toDate(latestFinish.get(id)),
+      slack,
+      critical: slack === 0
+    };
+  });
+
+  const scheduleById = new Map(schedule.map((entry) => [String(entry._id), entry]));
+
+  return {
+    totalDuration,
+    startDate: toDate(0),
+    endDate: toDate(totalDuration),
+    path: path.map((id) => scheduleById.get(id)),
+    tasks: schedule
+  };
+};
+
+module.exports = { findCycle, topologicalOrder, withSubtaskDependencies, criticalPath };
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { accessFilter } = require('./projectAccess');
+const { parseListQuery, paginate } = require('./pagination');
+
+// Task list queries shared by GET /tasks and saved views.
+// On top of the usual pagination, sort and date filters, tasks can be narrowed to one project
+// (?project=) and by label:
+//   ?labels=a,b     tasks that have every one of the labels
+//   ?anyLabels=a,b  tasks that have at least one of them
+//   ?notLabels=a,b  tasks that have none of them
+// Label params take comma-separated ids (or an array) and are combined with AND.
+
+const LABEL_FILTERS = { labels: '$all', anyLabels: '$in', notLabels: '$nin' };
+
+const toIds = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map((id) => String(id).trim())
+  .filter(Boolean);
+
+// Parses the label params into Mongo conditions. Returns { conditions } or { errors }.
+const parseLabelFilters = (query) => {
+  const errors = {};
+  const conditions = [];
+
+  Object.entries(LABEL_FILTERS).forEach(([param, operator]) => {
+    if (query[param] === undefined || query[param] === '') return;
+    const ids = toIds(query[param]);
+    if (!ids.length || !ids.every((id) => /^[a-f\d]{24}$/i.test(id))) {
+      errors[param] = `${param} must be a comma-separated list of label ids`;
+      return;
+    }
+    conditions.push({ labels: { [operator]: ids.map((id) => new mongoose.Types.ObjectId(id)) } });
+  });
+
+  return Object.keys(errors).length ? { errors } : { conditions };
+};
+
+// One page of the tasks the user can read that match the query.
+// Returns { errors } keyed by param when the query is invalid, otherwise { data, pagination }.
+const searchTasks = async (user, query) => {
+  const Project = mongoose.model('Project');
+  const Task = mongoose.model('Task');
+
+  const options = parseListQuery(query, (id) => new mongoose.Types.ObjectId(id));
+  const labelFilters = parseLabelFilters(query);
+  if (options.errors || labelFilters.errors) return { errors: { ...options.errors, ...labelFilters.errors } };
+
+  const projects = await Project.find(accessFilter(user._id), '_id');
+  let projectIds = projects.map((project) => project._id);
+  if (query.project) {
+    projectIds = projectIds.filter((id) => String(id) === String(query.project));
+  }
+  const filter = { $and: [{ project: { $in: projectIds } }, ...labelFilters.conditions] };
+  return paginate(Task, filter, options, (found) => found.populate('project', 'name').populate('labels', 'name color project'));
+};
+
+module.exports = { LABEL_FILTERS, parseLabelFilters, searchTasks };
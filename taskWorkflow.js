@@ -0,0 +1,74 @@
+// Task status workflow and Kanban board helpers.
+// The allowed transitions can be overridden with TASK_STATUS_TRANSITIONS, a JSON object
+// mapping each status to the statuses it may move to, e.g. {"todo":["in_progress"],"in_progress":["done"]}.
+
+const STATUSES = ['todo', 'in_progress', 'blocked', 'done'];
+
+const DEFAULT_TRANSITIONS = {
+  todo: ['in_progress', 'blocked', 'done'],
+  in_progress: ['todo', 'blocked', 'done'],
+  blocked: ['todo', 'in_progress'],
+  done: ['in_progress']
+};
+
+// Parses a transition map, failing loudly on unknown statuses so a bad config is caught at startup
+const loadTransitions = (raw) => {
+  if (!raw) return DEFAULT_TRANSITIONS;
+
+  let transitions;
+  try {
+    transitions = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`TASK_STATUS_TRANSITIONS must be valid JSON (${err.message})`);
+  }
+  if (!transitions || typeof transitions !== 'object' || Array.isArray(transitions)) {
+    throw new Error('TASK_STATUS_TRANSITIONS must be a JSON object mapping each status to a list of statuses');
+  }
+  Object.entries(transitions).forEach(([from, targets]) => {
+    if (!STATUSES.includes(from) || !Array.isArray(targets) || !targets.every((to) => STATUSES.includes(to))) {
+      throw new Error(`Invalid TASK_STATUS_TRANSITIONS entry for "${from}". Statuses must be one of: ${STATUSES.join(', ')}`);
+    }
+  });
+  return transitions;
+};
+
+// A bad map is reported by the startup configuration check (config.js), which refuses to start;
+// requiring this file never throws so that check gets to list it with everything else
+const TRANSITIONS = (() => {
+  try {
+    return loadTransitions(process.env.TASK_STATUS_TRANSITIONS);
+  } catch (err) {
+    return DEFAULT_TRANSITIONS;
+  }
+})();
+
+// Staying in the same status is always allowed
+const canTransition = (from, to, transitions = TRANSITIONS) => from === to || (transitions[from] || []).includes(to);
+
+// Stable order within a column: position first, then creation time, then id
+const compareCards = (a, b) => {
+  const byPosition = (a.position ?? Infinity) - (b.position ?? Infinity);
+  if (byPosition) return byPosition;
+  const byCreated = new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+  if (byCreated) return byCreated;
+  return String(a._id).localeCompare(String(b._id));
+};
+
+// Groups tasks into one column per status
+const buildBoard = (tasks) => STATUSES.map((status) => ({
+  status,
+  tasks: tasks.filter((task) => (task.status || 'todo') === status).sort(compareCards)
+}));
+
+// Returns the column's task ids in order with taskId inserted at the given index
+const reorderColumn = (columnTasks, taskId, index) => {
+  const ids = [...columnTasks]
+    .sort(compareCards)
+    .map((task) => String(task._id))
+    .filter((id) => id !== String(taskId));
+  const at = index === undefined ? ids.length : Math.min(Math.max(index, 0), ids.length);
+  ids.splice(at, 0, String(taskId));
+  return ids;
+};
+
+module.exports = { STATUSES, DEFAULT_TRANSITIONS, TRANSITIONS, loadTransitions, canTransition, buildBoard, reorderColumn };
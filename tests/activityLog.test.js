@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { diff, buildEntry } = require('../activityLog');
+
+const { ObjectId } = mongoose.Types;
+
+describe('Activity Log Tests', () => {
+  const userId = new ObjectId();
+  const projectId = new ObjectId();
+
+  //field diff case
+  it('should list only the fields that changed', () => {
+    const before = { name: 'Old', description: 'Same', startDate: new Date('2025-01-01T00:00:00Z') };
+    const after = { name: 'New', description: 'Same', startDate: new Date('2025-01-02T00:00:00Z') };
+
+    expect(diff(before, after, ['name', 'description', 'startDate'])).toEqual([
+      { field: 'name', before: 'Old', after: 'New' },
+      { field: 'startDate', before: '2025-01-01T00:00:00.000Z', after: '2025-01-02T00:00:00.000Z' }
+    ]);
+  });
+
+  //id array case
+  it('should compare ObjectId arrays by value', () => {
+    const dep = new ObjectId();
+    expect(diff({ dependsOn: [dep] }, { dependsOn: [new ObjectId(dep.toString())] }, ['dependsOn'])).toEqual([]);
+  });
+
+  //create entry case
+  it('should record every set field as a change on create', () => {
+    const task = { _id: new ObjectId(), project: projectId, name: 'Task', duration: 3 };
+    const entry = buildEntry({ entityType: 'task', action: 'create', after: task, actor: { _id: userId } });
+
+    expect(entry.project).toBe(projectId);
+    expect(entry.task).toBe(task._id);
+    expect(entry.actor).toBe(userId);
+    expect(entry.changes).toContainEqual({ field: 'name', before: null, after: 'Task' });
+    expect(entry.changes).toContainEqual({ field: 'duration', before: null, after: 3 });
+  });
+
+  //membership change case
+  it('should summarise membership changes by user, role and status', () => {
+    const member = { user: userId, role: 'viewer', status: 'active', invitedAt: new Date() };
+    const entry = buildEntry({
+      entityType: 'project',
+      action: 'update',
+      before: { _id: projectId, members: [member] },
+      after: { _id: projectId, members: [{ ...member, role: 'editor', invitedAt: new Date(0) }] },
+      actor: userId
+    });
+
+    expect(entry.changes).toEqual([{
+      field: 'members',
+      before: [{ user: userId.toString(), role: 'viewer', status: 'active' }],
+      after: [{ user: userId.toString(), role: 'editor', status: 'active' }]
+    }]);
+  });
+});
@@ -0,0 +1,69 @@
+const jwt = require('jsonwebtoken');
+const { allowsMethod, bearerAuth, requireSession } = require('../apiTokens');
+const { tokenFields, validate } = require('../validation');
+
+// Minimal response double that records the status and JSON body
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('API Token Tests', () => {
+  beforeAll(() => {
+    process.env.API_TOKEN_SECRET = 'test-secret';
+  });
+
+  //scope case
+  it('should limit read-only tokens to safe methods', () => {
+    expect(allowsMethod('read', 'GET')).toBe(true);
+    expect(allowsMethod('read', 'POST')).toBe(false);
+    expect(allowsMethod('read', 'DELETE')).toBe(false);
+    expect(allowsMethod('write', 'PUT')).toBe(true);
+  });
+
+  //no header case
+  it('should leave requests without a bearer token to the session', async () => {
+    const next = jest.fn();
+    await bearerAuth({ headers: {} }, mockResponse(), next);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  //bad token case
+  it('should reject tokens with a bad signature', async () => {
+    const forged = jwt.sign({ scope: 'write' }, 'wrong-secret', { subject: 'user', jwtid: '65a000000000000000000001' });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await bearerAuth({ headers: { authorization: `Bearer ${forged}` }, method: 'GET' }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Invalid or expired API token' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  //token management case
+  it('should not let a token manage tokens', () => {
+    const res = mockResponse();
+    const next = jest.fn();
+    requireSession({ authInfo: { tokenId: 'abc', scope: 'write' } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+
+    requireSession({}, mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  //validation case
+  it('should validate new token requests', () => {
+    expect(validate(tokenFields, { name: 'CI', scope: 'admin' }).errors)
+      .toEqual({ scope: 'Scope must be one of: read, write' });
+    expect(validate(tokenFields, { scope: 'read', expiresInDays: 0 }).errors).toEqual({
+      expiresInDays: 'Expiry must be at least 1',
+      name: 'Token name is required'
+    });
+    expect(validate(tokenFields, { name: 'CI', scope: 'write', expiresInDays: 30 }).errors).toBeNull();
+    expect(validate(tokenFields, { name: 'CI', expiresInDays: 366 }).errors)
+      .toEqual({ expiresInDays: 'Expiry must be at most 365' });
+  });
+});
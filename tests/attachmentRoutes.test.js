@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestApp, signInAs } = require('./helpers/app');
+const { useTestDatabase } = require('./helpers/db');
+const { createUser, createProject, addMember, createTask } = require('./helpers/fixtures');
+const { createLocalStorage, setStorage } = require('../storage');
+
+const app = createTestApp();
+
+describe('Attachment API Tests', () => {
+  useTestDatabase();
+
+  let root;
+  let user;
+  let api;
+  let project;
+  let task;
+
+  beforeEach(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'attachment-routes-'));
+    setStorage(createLocalStorage(root));
+    user = await createUser();
+    api = signInAs(app, user);
+    project = await createProject(user);
+    task = await createTask(project);
+  });
+
+  afterEach(() => {
+    setStorage(undefined);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const upload = (client, url, content = 'hello world', options = { filename: 'notes.txt', contentType: 'text/plain' }) => (
+    client.post(url).attach('file', Buffer.from(content), options)
+  );
+
+  //upload, list, download and delete case
+  it('should upload, list, download and delete a task attachment', async () => {
+    const base = `/api/tasks/${task._id}/attachments`;
+
+    const created = await upload(api, base);
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ filename: 'notes.txt', contentType: 'text/plain', size: 11 });
+    expect(created.body).not.toHaveProperty('storageKey');
+
+    const list = await api.get(base);
+    expect(list.body.data.map((a) => a._id)).toEqual([created.body._id]);
+
+    const download = await api.get(`${base}/${created.body._id}`);
+    expect(download.status).toBe(200);
+    expect(download.text).toBe('hello world');
+    expect(download.headers['content-disposition']).toContain('filename="notes.txt"');
+
+    expect((await api.delete(`${base}/${created.body._id}`)).status).toBe(200);
+    expect((await api.get(`${base}/${created.body._id}`)).status).toBe(404);
+    expect(fs.readdirSync(path.join(root, String(project._id)))).toEqual([]);
+  });
+
+  //project attachments case
+  it('should keep project attachments apart from task attachments', async () => {
+    await upload(api, `/api/projects/${project._id}/attachments`);
+
+    expect((await api.get(`/api/projects/${project._id}/attachments`)).body.data).toHaveLength(1);
+    expect((await api.get(`/api/tasks/${task._id}/attachments`)).body.data).toEqual([]);
+  });
+
+  //disallowed type case
+  it('should reject file types that are not allowed', async () => {
+    const response = await upload(api, `/api/tasks/${task._id}/attachments`, 'MZ', {
+      filename: 'setup.exe',
+      contentType: 'application/x-msdownload'
+    });
+
+    expect(response.status).toBe(415);
+    expect((await api.get(`/api/tasks/${task._id}/attachments`)).body.data).toEqual([]);
+  });
+
+  //viewer permissions case
+  it('should let viewers download but not upload', async () => {
+    const viewer = await createUser();
+    await addMember(project, viewer, 'viewer');
+    const created = await upload(api, `/api/tasks/${task._id}/attachments`);
+    const viewerApi = signInAs(app, viewer);
+
+    expect((await upload(viewerApi, `/api/tasks/${task._id}/attachments`)).status).toBe(403);
+    expect((await viewerApi.get(`/api/tasks/${task._id}/attachments/${created.body._id}`)).status).toBe(200);
+    expect((await viewerApi.delete(`/api/tasks/${task._id}/attachments/${created.body._id}`)).status).toBe(403);
+  });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { typeAllowed, cleanFilename, contentDisposition, receiveUpload } = require('../attachments');
+const { createLocalStorage } = require('../storage');
+
+const BOUNDARY = 'test-boundary';
+
+// A fake request carrying a multipart body with one file in the given field
+const multipartRequest = (content, { field = 'file', filename = 'notes.txt', contentType = 'text/plain' } = {}) => {
+  const body = Buffer.concat([
+    Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="${field}"; filename="${filename}"\r\nContent-Type: ${contentType}\r\n\r\n`),
+    Buffer.from(content),
+    Buffer.from(`\r\n--${BOUNDARY}--\r\n`)
+  ]);
+  const req = Readable.from([body]);
+  req.headers = { 'content-type': `multipart/form-data; boundary=${BOUNDARY}`, 'content-length': String(body.length) };
+  return req;
+};
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe('Attachment Tests', () => {
+  let root;
+  let storage;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+    storage = createLocalStorage(root);
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  //local storage case
+  it('should save, open and remove files in local storage', async () => {
+    const { size } = await storage.save('project/file', Readable.from(['hello ', 'world']));
+    expect(size).toBe(11);
+    expect(await readAll(await storage.open('project/file'))).toBe('hello world');
+
+    await storage.remove('project/file');
+    await expect(storage.open('project/file')).rejects.toMatchObject({ code: 'ENOENT' });
+    await expect(storage.remove('project/file')).resolves.toBeUndefined();
+  });
+
+  //storage key case
+  it('should reject storage keys outside the storage directory', async () => {
+    await expect(storage.open('../secret')).rejects.toThrow('Invalid storage key');
+  });
+
+  //mime type case
+  it('should match MIME types against the allow list', () => {
+    const types = ['image/*', 'application/pdf'];
+    expect(typeAllowed('image/png', types)).toBe(true);
+    expect(typeAllowed('application/pdf; charset=binary', types)).toBe(true);
+    expect(typeAllowed('application/x-msdownload', types)).toBe(false);
+    expect(typeAllowed('', types)).toBe(false);
+  });
+
+  //filename case
+  it('should clean file names and encode them for download', () => {
+    expect(cleanFilename('C:\\Users\\me\\report.pdf')).toBe('report.pdf');
+    expect(cleanFilename('../../etc/passwd')).toBe('passwd');
+    expect(cleanFilename('')).toBe('file');
+    expect(contentDisposition('résumé "final".pdf'))
+      .toBe('attachment; filename="r_sum_ _final_.pdf"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9%20%22final%22.pdf');
+  });
+
+  //upload case
+  it('should stream an upload to storage', async () => {
+    const result = await receiveUpload(multipartRequest('some notes'), 'p/a', { limit: 100, types: ['text/plain'], storage });
+    expect(result).toEqual({ file: { filename: 'notes.txt', contentType: 'text/plain', size: 10 } });
+    expect(await readAll(await storage.open('p/a'))).toBe('some notes');
+  });
+
+  //size limit case
+  it('should reject uploads over the size limit and remove the partial file', async () => {
+    const result = await receiveUpload(multipartRequest('x'.repeat(200)), 'p/a', { limit: 100, types: ['text/plain'], storage });
+    expect(result.status).toBe(413);
+    await expect(storage.open('p/a')).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  //type limit case
+  it('should reject disallowed file types', async () => {
+    const req = multipartRequest('MZ', { filename: 'setup.exe', contentType: 'application/x-msdownload' });
+    const result = await receiveUpload(req, 'p/a', { limit: 100, types: ['text/plain'], storage });
+    expect(result.status).toBe(415);
+    await expect(storage.open('p/a')).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  //missing file case
+  it('should reject requests without a file', async () => {
+    const wrongField = await receiveUpload(multipartRequest('data', { field: 'upload' }), 'p/a', { storage });
+    expect(wrongField.status).toBe(400);
+
+    const json = Readable.from(['{}']);
+    json.headers = { 'content-type': 'application/json' };
+    const notMultipart = await receiveUpload(json, 'p/a', { storage });
+    expect(notMultipart).toEqual({ status: 400, error: 'Upload must be multipart/form-data' });
+  });
+});
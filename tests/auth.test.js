@@ -0,0 +1,107 @@
+const request = require('supertest');
+
+const { createTestApp, signInAs } = require('./helpers/app');
+const { useTestDatabase } = require('./helpers/db');
+const { createUser, createProject, createTask } = require('./helpers/fixtures');
+
+const app = createTestApp();
+
+describe('Authentication and Ownership Tests', () => {
+  useTestDatabase();
+
+  let projectId;
+  let taskId;
+  let other;
+
+  // Two separate users so ownership checks can be exercised
+  beforeEach(async () => {
+    const owner = await createUser();
+    other = signInAs(app, await createUser());
+
+    const project = await createProject(owner, { name: 'Auth Test Project' });
+    projectId = String(project._id);
+    const task = await createTask(project, { name: 'Auth Test Task' });
+    taskId = String(task._id);
+  });
+
+  describe('Unauthenticated Requests', () => {
+    const routes = () => [
+      ['get', '/api/projects'],
+      ['post', '/api/projects'],
+      ['get', `/api/projects/${projectId}`],
+      ['put', `/api/projects/${projectId}`],
+      ['delete', `/api/projects/${projectId}`],
+      ['get', `/api/projects/${projectId}/critical-path`],
+      ['get', `/api/projects/${projectId}/members`],
+      ['get', '/api/tasks'],
+      ['post', '/api/tasks'],
+      ['get', `/api/tasks/${taskId}`],
+      ['put', `/api/tasks/${taskId}`],
+      ['delete', `/api/tasks/${taskId}`]
+    ];
+
+    //every api route without a session case
+    it('should return 401 on every route when not logged in', async () => {
+      for (const [method, path] of routes()) {
+        const response = await request(app)[method](path)
+          .send({ name: 'Anonymous' })
+          .set('Accept', 'application/json');
+
+        expect([method, path, response.status]).toEqual([method, path, 401]);
+        expect(response.body.error).toBe('Unauthorized');
+      }
+    });
+
+    //no data leak from list routes case
+    it('should not leak projects or tasks to anonymous users', async () => {
+      const projects = await request(app).get('/api/projects');
+      const tasks = await request(app).get('/api/tasks');
+
+      expect(projects.body.data).toBeUndefined();
+      expect(tasks.body.data).toBeUndefined();
+    });
+  });
+
+  describe('Resources Owned by Someone Else', () => {
+    //project reads and writes by another user case
+    it('should return 404 for another user\'s project', async () => {
+      const get = await other.get(`/api/projects/${projectId}`);
+      const put = await other.put(`/api/projects/${projectId}`).send({ name: 'Hijacked' });
+      const del = await other.delete(`/api/projects/${projectId}`);
+      const criticalPath = await other.get(`/api/projects/${projectId}/critical-path`);
+
+      expect(get.status).toBe(404);
+      expect(put.status).toBe(404);
+      expect(del.status).toBe(404);
+      expect(criticalPath.status).toBe(404);
+    });
+
+    //task reads and writes by another user case
+    it('should return 404 for another user\'s task', async () => {
+      const get = await other.get(`/api/tasks/${taskId}`);
+      const put = await other.put(`/api/tasks/${taskId}`).send({ name: 'Hijacked' });
+      const del = await other.delete(`/api/tasks/${taskId}`);
+
+      expect(get.status).toBe(404);
+      expect(put.status).toBe(404);
+      expect(del.status).toBe(404);
+    });
+
+    //creating a task in another user's project case
+    it('should not create a task in another user\'s project', async () => {
+      const response = await other.post('/api/tasks').send({ project: projectId, name: 'Intruder Task' });
+
+      expect(response.status).toBe(404);
+    });
+
+    //list routes scoped to the user case
+    it('should leave another user\'s projects and tasks out of their lists', async () => {
+      const projects = await other.get('/api/projects');
+      const tasks = await other.get(`/api/tasks?project=${projectId}`);
+
+      expect(projects.status).toBe(200);
+      expect(projects.body.data.map((p) => p._id)).not.toContain(projectId);
+      expect(tasks.body.data).toEqual([]);
+    });
+  });
+});
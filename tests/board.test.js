@@ -0,0 +1,101 @@
+const { createTestApp, signInAs } = require('./helpers/app');
+const { useTestDatabase } = require('./helpers/db');
+const { createUser, createProject, addMember, createTask } = require('./helpers/fixtures');
+
+const app = createTestApp();
+
+describe('Board API Tests', () => {
+  useTestDatabase();
+
+  let user;
+  let api;
+  let project;
+
+  beforeEach(async () => {
+    user = await createUser();
+    api = signInAs(app, user);
+    project = await createProject(user);
+  });
+
+  const column = (board, status) => board.body.columns.find((c) => c.status === status).tasks.map((task) => task.name);
+
+  //board columns case
+  it('should group tasks into one column per status in position order', async () => {
+    await createTask(project, { name: 'Second', position: 1 });
+    await createTask(project, { name: 'First', position: 0 });
+    await createTask(project, { name: 'Started', status: 'in_progress' });
+
+    const board = await api.get(`/api/projects/${project._id}/board`);
+
+    expect(board.status).toBe(200);
+    expect(board.body.columns.map((c) => c.status)).toEqual(['todo', 'in_progress', 'blocked', 'done']);
+    expect(column(board, 'todo')).toEqual(['First', 'Second']);
+    expect(column(board, 'in_progress')).toEqual(['Started']);
+  });
+
+  //move between columns case
+  it('should move a task into another column at the given position', async () => {
+    const task = await createTask(project, { name: 'Moving' });
+    await createTask(project, { name: 'Started', status: 'in_progress', position: 0 });
+
+    const moved = await api.put(`/api/tasks/${task._id}/move`).send({ status: 'in_progress', position: 0 });
+
+    expect(moved.status).toBe(200);
+    expect(moved.body.status).toBe('in_progress');
+    expect(moved.body.statusHistory).toEqual([expect.objectContaining({ from: 'todo', to: 'in_progress' })]);
+
+    const board = await api.get(`/api/projects/${project._id}/board`);
+    expect(column(board, 'todo')).toEqual([]);
+    expect(column(board, 'in_progress')).toEqual(['Moving', 'Started']);
+  });
+
+  //reorder within column case
+  it('should reorder a task within its column', async () => {
+    await createTask(project, { name: 'A', position: 0 });
+    await createTask(project, { name: 'B', position: 1 });
+    const last = await createTask(project, { name: 'C', position: 2 });
+
+    const moved = await api.put(`/api/tasks/${last._id}/move`).send({ position: 0 });
+
+    expect(moved.status).toBe(200);
+    expect(moved.body.statusHistory).toEqual([]);
+    expect(column(await api.get(`/api/projects/${project._id}/board`), 'todo')).toEqual(['C', 'A', 'B']);
+  });
+
+  //reorder activity case
+  it('should record the new position of every task the move shifted', async () => {
+    const a = await createTask(project, { name: 'A', position: 0 });
+    const b = await createTask(project, { name: 'B', position: 1 });
+    const last = await createTask(project, { name: 'C', position: 2 });
+
+    await api.put(`/api/tasks/${last._id}/move`).send({ position: 1 });
+
+    const activity = await api.get(`/api/projects/${project._id}/activity`);
+    const positions = activity.body.data.map((entry) => [entry.task, entry.changes]);
+    expect(positions).toHaveLength(2);
+    expect(positions).toContainEqual([String(last._id), [{ field: 'position', before: 2, after: 1 }]]);
+    expect(positions).toContainEqual([String(b._id), [{ field: 'position', before: 1, after: 2 }]]);
+    expect(positions.map(([task]) => task)).not.toContain(String(a._id));
+  });
+
+  //disallowed transition case
+  it('should reject a move the workflow does not allow', async () => {
+    const task = await createTask(project, { status: 'done' });
+
+    const response = await api.put(`/api/tasks/${task._id}/move`).send({ status: 'blocked' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.status).toBe('Cannot move a task from done to blocked');
+  });
+
+  //viewer move case
+  it('should not let viewers move tasks', async () => {
+    const viewer = await createUser();
+    await addMember(project, viewer, 'viewer');
+    const task = await createTask(project);
+
+    const response = await signInAs(app, viewer).put(`/api/tasks/${task._id}/move`).send({ status: 'done' });
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { parseMentions, resolveMentions, mergeMentions } = require('../comments');
+const { commentFields, validate } = require('../validation');
+
+const { ObjectId } = mongoose.Types;
+
+describe('Comment Tests', () => {
+  const owner = new ObjectId();
+  const editor = new ObjectId();
+  const invited = new ObjectId();
+  const project = {
+    owner,
+    members: [
+      { user: editor, role: 'editor', status: 'active' },
+      { user: invited, role: 'viewer', status: 'pending' }
+    ]
+  };
+
+  //mention parsing case
+  it('should find id and email mentions in a comment', () => {
+    const text = `Thanks @[Ann Lee](${editor}) - cc @Bob@Example.com, and mail bob@example.com later`;
+    expect(parseMentions(text)).toEqual({ ids: [String(editor)], emails: ['bob@example.com'] });
+  });
+
+  //member filtering case
+  it('should only mention active project members other than the author', async () => {
+    const stranger = new ObjectId();
+    const text = `@[Ann](${editor}) @[Owner](${owner}) @[Pending](${invited}) @[Stranger](${stranger})`;
+    const mentioned = await resolveMentions(project, text, owner);
+    expect(mentioned.map(String)).toEqual([String(editor)]);
+  });
+
+  //edited comment case
+  it('should keep the read state of users who are still mentioned', () => {
+    const readAt = new Date('2025-01-01T00:00:00Z');
+    const merged = mergeMentions([{ user: editor, readAt }, { user: owner, readAt: null }], [editor, invited]);
+    expect(merged).toEqual([{ user: editor, readAt }, { user: invited, readAt: null }]);
+  });
+
+  //validation case
+  it('should require a comment body of a sensible length', () => {
+    expect(validate(commentFields, { body: '  ' }).errors).toEqual({ body: 'Comment cannot be empty' });
+    expect(validate(commentFields, { body: 'x'.repeat(10001) }).errors)
+      .toEqual({ body: 'Comment must be at most 10000 characters' });
+    expect(validate(commentFields, { body: 'Looks good', parent: 'nope' }).errors)
+      .toEqual({ parent: 'Parent comment must be a valid id' });
+  });
+});
@@ -0,0 +1,97 @@
+const { createTestApp, signInAs } = require('./helpers/app');
+const { useTestDatabase } = require('./helpers/db');
+const { createUser, createProject, createTask } = require('./helpers/fixtures');
+
+const app = createTestApp();
+
+describe('Task Dependency API Tests', () => {
+  useTestDatabase();
+
+  let user;
+  let api;
+  let project;
+
+  beforeEach(async () => {
+    user = await createUser();
+    api = signInAs(app, user);
+    project = await createProject(user, { startDate: new Date('2025-01-01T00:00:00Z') });
+  });
+
+  //create with dependencies case
+  it('should create a task that depends on tasks in the same project', async () => {
+    const design = await createTask(project, { name: 'Design' });
+
+    const response = await api.post('/api/tasks')
+      .send({ project: String(project._id), name: 'Build', dependsOn: [String(design._id)] });
+
+    expect(response.status).toBe(201);
+    expect(response.body.dependsOn).toEqual([String(design._id)]);
+  });
+
+  //other project case
+  it('should reject dependencies on tasks in another project', async () => {
+    const other = await createTask(await createProject(user));
+    const task = await createTask(project);
+
+    const response = await api.put(`/api/tasks/${task._id}`).send({ dependsOn: [String(other._id)] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Dependencies must be tasks in the same project');
+  });
+
+  //cycle case
+  it('should reject a dependency that would form a cycle', async () => {
+    const design = await createTask(project, { name: 'Design' });
+    const build = await createTask(project, { name: 'Build', dependsOn: [design._id] });
+
+    const response = await api.put(`/api/tasks/${design._id}`).send({ dependsOn: [String(build._id)] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Task dependencies would form a cycle');
+    expect(response.body.cycle).toEqual([String(design._id), String(build._id), String(design._id)]);
+  });
+
+  //self dependency case
+  it('should reject a task depending on itself', async () => {
+    const task = await createTask(project);
+
+    const response = await api.put(`/api/tasks/${task._id}`).send({ dependsOn: [String(task._id)] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('A task cannot depend on itself');
+  });
+
+  //deleted dependency case
+  it('should ignore a trashed dependency and bring it back on restore', async () => {
+    const design = await createTask(project, { name: 'Design', duration: 2 });
+    const build = await createTask(project, { name: 'Build', duration: 5, dependsOn: [design._id] });
+
+    await api.delete(`/api/tasks/${design._id}`);
+
+    const critical = await api.get(`/api/projects/${project._id}/critical-path`);
+    expect(critical.body.totalDuration).toBe(5);
+    expect(critical.body.tasks[0].dependsOn).toEqual([]);
+    const board = await api.get(`/api/projects/${project._id}/board`);
+    expect(board.body.columns[0].tasks[0].dependsOn).toEqual([]);
+    // The dependent task can be saved with the trashed dependency still on it
+    expect((await api.put(`/api/tasks/${build._id}`).send({ dependsOn: [String(design._id)] })).status).toBe(200);
+
+    expect((await api.post(`/api/tasks/${design._id}/restore`)).status).toBe(200);
+    expect((await api.get(`/api/tasks/${build._id}`)).body.dependsOn).toEqual([String(design._id)]);
+    expect((await api.get(`/api/projects/${project._id}/critical-path`)).body.totalDuration).toBe(7);
+  });
+
+  //critical path case
+  it('should return the critical path of the project', async () => {
+    const design = await createTask(project, { name: 'Design', duration: 2 });
+    const build = await createTask(project, { name: 'Build', duration: 5, dependsOn: [design._id] });
+    await createTask(project, { name: 'Docs', duration: 1, dependsOn: [design._id] });
+
+    const response = await api.get(`/api/projects/${project._id}/critical-path`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.totalDuration).toBe(7);
+    expect(response.body.path.map((task) => task._id)).toEqual([String(design._id), String(build._id)]);
+    expect(response.body.endDate).toBe('2025-01-08T00:00:00.000Z');
+  });
+});
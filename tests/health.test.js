@@ -0,0 +1,82 @@
+const request = require('supertest');
+const session = require('express-session');
+const { createTestApp } = require('./helpers/app');
+const { recordRequest, renderMetrics, resetMetrics } = require('../metrics');
+
+// No database is connected here, so readiness reports MongoDB as down
+describe('Health Tests', () => {
+  beforeEach(() => {
+    resetMetrics();
+    delete process.env.METRICS_TOKEN;
+  });
+
+  //liveness case
+  it('should report the process as live without checking dependencies', async () => {
+    const app = createTestApp();
+
+    const live = await request(app).get('/health/live');
+    expect(live.status).toBe(200);
+    expect(live.body.status).toBe('ok');
+    expect(live.headers['set-cookie']).toBeUndefined();
+    expect((await request(app).get('/health')).status).toBe(200);
+  });
+
+  //readiness breakdown case
+  it('should answer 503 with the result of every check when a dependency is down', async () => {
+    const response = await request(createTestApp()).get('/health/ready');
+
+    expect(response.status).toBe(503);
+    expect(response.body.status).toBe('unavailable');
+    expect(response.body.checks.mongodb).toMatchObject({ status: 'fail', error: 'MongoDB connection is disconnected' });
+    expect(response.body.checks.sessionStore.status).toBe('ok');
+    expect(response.body.checks.migrations.status).toBe('fail');
+  });
+
+  //broken session store case
+  it('should report a session store that cannot be read', async () => {
+    const sessionStore = new session.MemoryStore();
+    sessionStore.get = (id, callback) => callback(new Error('store offline'));
+    const response = await request(createTestApp({ sessionStore })).get('/health/ready');
+
+    expect(response.body.checks.sessionStore).toMatchObject({ status: 'fail', error: 'store offline' });
+  });
+
+  //metrics case
+  it('should expose request counts and latencies by route in the Prometheus format', async () => {
+    const app = createTestApp();
+    await request(app).get('/health/live');
+    await request(app).get('/health/live');
+    await request(app).get('/no-such-page');
+
+    const response = await request(app).get('/metrics');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(response.text).toContain('# TYPE http_requests_total counter');
+    expect(response.text).toContain('http_requests_total{method="GET",route="/health/live",status="200"} 2');
+    expect(response.text).toContain('http_requests_total{method="GET",route="unmatched",status="404"} 1');
+    expect(response.text).toContain('http_request_duration_seconds_count{method="GET",route="/health/live"} 2');
+    expect(response.text).toContain('mongodb_connection_state{state="disconnected"} 1');
+  });
+
+  //histogram buckets case
+  it('should count a request in every bucket at or above its duration', () => {
+    recordRequest({ method: 'GET', route: '/api/tasks/:id', status: 200, seconds: 0.3 });
+
+    const text = renderMetrics();
+    expect(text).toContain('http_request_duration_seconds_bucket{method="GET",route="/api/tasks/:id",le="0.25"} 0');
+    expect(text).toContain('http_request_duration_seconds_bucket{method="GET",route="/api/tasks/:id",le="0.5"} 1');
+    expect(text).toContain('http_request_duration_seconds_bucket{method="GET",route="/api/tasks/:id",le="+Inf"} 1');
+    expect(text).toContain('http_request_duration_seconds_sum{method="GET",route="/api/tasks/:id"} 0.3');
+  });
+
+  //metrics token case
+  it('should require the metrics token when one is configured', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+    const app = createTestApp();
+
+    expect((await request(app).get('/metrics')).status).toBe(401);
+    expect((await request(app).get('/metrics').set('Authorization', 'Bearer wrong')).status).toBe(401);
+    expect((await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret')).status).toBe(200);
+  });
+});
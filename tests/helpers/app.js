@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const session = require('express-session');
+
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-session-secret';
+const { createApp } = require('../../index');
+
+// The app as tests see it: sessions in memory and a fake sign-in in place of OAuth.
+// A request is signed in as the user whose id is in the x-test-user header; the user is loaded
+// from the database like a real session would, so it must exist (see fixtures.createUser).
+// Requests without the header are anonymous.
+
+const USER_HEADER = 'x-test-user';
+
+const fakeAuth = async (req, res, next) => {
+  const userId = req.get(USER_HEADER);
+  if (!userId) return next();
+  try {
+    req.user = await mongoose.model('User').findById(userId);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+const createTestApp = (options = {}) => createApp({
+  sessionStore: new session.MemoryStore(),
+  authenticate: fakeAuth,
+  ...options
+});
+
+// Supertest requests signed in as the user: signInAs(app, user).get('/api/projects')
+const signInAs = (app, user) => Object.fromEntries(['get', 'post', 'put', 'patch', 'delete'].map((method) => [
+  method,
+  (url) => request(app)[method](url).set(USER_HEADER, String(user._id))
+]));
+
+module.exports = { USER_HEADER, fakeAuth, createTestApp, signInAs };
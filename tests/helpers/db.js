@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// In-process MongoDB for tests that need a database.
+// Call useTestDatabase() at the top of a test file: it starts a private mongod for the file,
+// builds every model's indexes and empties all collections after each test, so each test sets
+// up its own fixtures and tests can run in any order. The mongod binary is downloaded on first use.
+// The mongod runs as a single-member replica set because multi-document transactions (used by
+// project import) are only available on replica sets, as in production.
+
+// The first run may have to download mongod
+const STARTUP_TIMEOUT_MS = 120 * 1000;
+
+let server;
+
+const connect = async () => {
+  server = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  await mongoose.connect(server.getUri());
+  // Unique and partial indexes are part of the behaviour under test
+  await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+};
+
+// Removes every document without going through model middleware (the activity log refuses deletes)
+const clearDatabase = async () => {
+  await Promise.all(Object.values(mongoose.connection.collections).map((collection) => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+  if (server) await server.stop();
+  server = null;
+};
+
+const useTestDatabase = () => {
+  beforeAll(connect, STARTUP_TIMEOUT_MS);
+  afterEach(clearDatabase);
+  afterAll(disconnect);
+};
+
+module.exports = { useTestDatabase, clearDatabase };
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Test data written straight to the database. Models are looked up when called,
+// so create the app (which registers them) before using these.
+
+let counter = 0;
+
+const createUser = (overrides = {}) => {
+  counter++;
+  return mongoose.model('User').create({
+    name: `Test User ${counter}`,
+    email: `user${counter}@example.com`,
+    ...overrides
+  });
+};
+
+const createProject = (owner, overrides = {}) => mongoose.model('Project').create({
+  name: 'Test Project',
+  owner: owner._id,
+  ...overrides
+});
+
+// Adds an active member with the given role
+const addMember = (project, user, role = 'editor') => mongoose.model('Project').findByIdAndUpdate(
+  project._id,
+  { $push: { members: { user: user._id, role, status: 'active', invitedBy: project.owner, acceptedAt: new Date() } } },
+  { new: true }
+);
+
+const createTask = (project, overrides = {}) => mongoose.model('Task').create({
+  project: project._id,
+  name: 'Test Task',
+  status: 'todo',
+  position: 0,
+  owner: project.owner,
+  ...overrides
+});
+
+module.exports = { createUser, createProject, addMember, createTask };
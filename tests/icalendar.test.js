@@ -0,0 +1,57 @@
+const { escapeText, foldLine, formatDate, buildCalendar } = require('../icalendar');
+
+describe('iCalendar Tests', () => {
+  const project = {
+    _id: '65a000000000000000000001',
+    name: 'Launch',
+    description: 'Ship it; then celebrate, quickly',
+    startDate: new Date('2025-01-06T09:00:00Z'),
+    endDate: new Date('2025-01-31T17:00:00Z'),
+    updatedAt: new Date('2025-01-02T10:00:00Z')
+  };
+  const tasks = [
+    {
+      _id: '65a000000000000000000002',
+      project: project._id,
+      name: 'Write docs',
+      startDate: new Date('2025-01-06T09:00:00Z'),
+      endDate: new Date('2025-01-08T17:00:00Z')
+    },
+    { _id: '65a000000000000000000003', project: project._id, name: 'Undated task' }
+  ];
+
+  //text escaping case
+  it('should escape special characters in text values', () => {
+    expect(escapeText('a;b,c\\d\ne')).toBe('a\\;b\\,c\\\\d\\ne');
+  });
+
+  //date format case
+  it('should format dates as UTC date-times', () => {
+    expect(formatDate(new Date('2025-01-06T09:00:00.000Z'))).toBe('20250106T090000Z');
+  });
+
+  //line folding case
+  it('should fold long lines at 75 octets without splitting characters', () => {
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+    const lines = folded.split('\r\n');
+
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach((line) => expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75));
+    expect(lines.slice(1).every((line) => line.startsWith(' '))).toBe(true);
+    expect(lines.map((line, i) => (i ? line.slice(1) : line)).join('')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+  });
+
+  //calendar document case
+  it('should build one event per dated project and task with stable UIDs', () => {
+    const calendar = buildCalendar({ name: 'Launch', projects: [project], tasks });
+
+    expect(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(calendar).toContain(`UID:project-${project._id}@`);
+    expect(calendar).toContain(`UID:task-${tasks[0]._id}@`);
+    expect(calendar).toContain('SUMMARY:Write docs (Launch)');
+    expect(calendar).toContain('DESCRIPTION:Ship it\\; then celebrate\\, quickly');
+    expect(calendar).not.toContain('Undated task');
+  });
+});
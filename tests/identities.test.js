@@ -0,0 +1,62 @@
+const { profileEmail, identityFromProfile, migrateLegacyIdentity } = require('../identities');
+const { parseUserInfo } = require('../linkedin');
+
+describe('Identity Tests', () => {
+  //verified email case
+  it('should prefer the primary verified email from a GitHub profile', () => {
+    const profile = {
+      id: 42,
+      emails: [
+        { value: 'old@example.com', verified: false, primary: false },
+        { value: 'Me@Example.com', verified: true, primary: true }
+      ]
+    };
+
+    expect(profileEmail('github', profile)).toEqual({ email: 'me@example.com', emailVerified: true });
+    expect(identityFromProfile('github', profile)).toMatchObject({ provider: 'github', providerId: '42' });
+  });
+
+  //unverified email case
+  it('should not trust an email the provider has not verified', () => {
+    expect(profileEmail('google', { emails: [{ value: 'me@example.com', verified: false }] }))
+      .toEqual({ email: 'me@example.com', emailVerified: false });
+    expect(profileEmail('google', { emails: [{ value: 'me@example.com', verified: 'true' }] }).emailVerified).toBe(true);
+    expect(profileEmail('github', {})).toEqual({ email: null, emailVerified: false });
+  });
+
+  //linkedin case
+  it('should only trust a LinkedIn email that LinkedIn reports as verified', () => {
+    const userInfo = {
+      sub: 'abc123',
+      name: 'Ada Lovelace',
+      given_name: 'Ada',
+      family_name: 'Lovelace',
+      picture: 'https://media.licdn.com/ada.jpg',
+      email: 'Ada@Example.com',
+      email_verified: true
+    };
+
+    const profile = parseUserInfo(JSON.stringify(userInfo));
+    expect(profile).toMatchObject({ provider: 'linkedin', id: 'abc123', displayName: 'Ada Lovelace' });
+    expect(profile.photos).toEqual([{ value: 'https://media.licdn.com/ada.jpg' }]);
+    expect(identityFromProfile('linkedin', profile)).toMatchObject({ providerId: 'abc123', email: 'ada@example.com', emailVerified: true });
+
+    const unverified = parseUserInfo({ ...userInfo, email_verified: false });
+    expect(profileEmail('linkedin', unverified)).toEqual({ email: 'ada@example.com', emailVerified: false });
+    expect(profileEmail('linkedin', { emails: [{ value: 'me@example.com' }] }).emailVerified).toBe(false);
+  });
+
+  //legacy account case
+  it('should move a legacy socialId into the identities list', () => {
+    const user = { socialId: '123', platform: 'google', email: 'Me@Example.com', identities: [] };
+    migrateLegacyIdentity(user);
+
+    expect(user.identities).toEqual([expect.objectContaining({
+      provider: 'google',
+      providerId: '123',
+      email: 'me@example.com',
+      emailVerified: false
+    })]);
+    expect(user.socialId).toBeUndefined();
+  });
+});
@@ -0,0 +1,74 @@
+const passport = require('passport');
+const request = require('supertest');
+
+const { USER_HEADER, createTestApp } = require('./helpers/app');
+const { useTestDatabase } = require('./helpers/db');
+const { createUser } = require('./helpers/fixtures');
+const { verifyProfile } = require('../identities');
+
+const app = createTestApp();
+
+// Stands in for Google: the first request redirects to the callback, the callback "returns" the profile
+class FakeGoogleStrategy extends passport.Strategy {
+  constructor(profile) {
+    super();
+    this.name = 'google';
+    this.profile = profile;
+  }
+
+  authenticate(req) {
+    if (!req.query.code) return this.redirect('/auth/google/callback?code=test');
+    verifyProfile('google')(req, 'access-token', null, this.profile, (err, user, info) => {
+      if (err) return this.error(err);
+      this.success(user, info);
+    });
+  }
+}
+
+describe('Provider Linking Tests', () => {
+  useTestDatabase();
+
+  const profile = { id: 'google-1', emails: [{ value: 'shared@example.com', verified: true }] };
+
+  beforeAll(() => {
+    passport.use(new FakeGoogleStrategy(profile));
+  });
+
+  // Starts a link as the user and follows it to the provider callback with the same session
+  const linkGoogle = async (user) => {
+    const send = (url, cookie) => {
+      const req = request(app).get(url)
+        .set(USER_HEADER, String(user._id))
+        // The session cookie is secure-only, as behind the production proxy
+        .set('X-Forwarded-Proto', 'https');
+      return cookie ? req.set('Cookie', cookie) : req;
+    };
+    const start = await send('/api/account/identities/google/link');
+    expect(start.status).toBe(302);
+    const cookie = start.headers['set-cookie'].map((entry) => entry.split(';')[0]).join('; ');
+    return send(start.headers.location, cookie);
+  };
+
+  //successful link case
+  it('should report a linked provider on the profile redirect', async () => {
+    const user = await createUser({ identities: [{ provider: 'github', providerId: 'github-1' }] });
+
+    const response = await linkGoogle(user);
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toMatch(/\/profile\?linked=google$/);
+  });
+
+  //provider owned by another user case
+  it('should report a 409 when the provider is linked to another user', async () => {
+    await createUser({ identities: [{ provider: 'google', providerId: 'google-1' }] });
+    const user = await createUser({ identities: [{ provider: 'github', providerId: 'github-1' }] });
+
+    const response = await linkGoogle(user);
+    const params = new URL(response.headers.location, 'http://localhost').searchParams;
+
+    expect(response.status).toBe(302);
+    expect(params.get('linkStatus')).toBe('409');
+    expect(params.get('linkError')).toBe('This account is already linked to another user');
+  });
+});
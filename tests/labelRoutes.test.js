@@ -0,0 +1,97 @@
+const { createTestApp, signInAs } = require('./helpers/app');
+const { useTestDatabase } = require('./helpers/db');
+const { createUser, createProject, addMember, createTask } = require('./helpers/fixtures');
+
+const app = createTestApp();
+
+describe('Label API Tests', () => {
+  useTestDatabase();
+
+  let user;
+  let api;
+  let project;
+
+  beforeEach(async () => {
+    user = await createUser();
+    api = signInAs(app, user);
+    project = await createProject(user);
+  });
+
+  const createLabel = (client, fields) => client.post('/api/labels').send({ color: '#1e90ff', ...fields });
+
+  //project and personal labels case
+  it('should list project labels and the user\'s personal labels', async () => {
+    const bug = await createLabel(api, { name: 'Bug', project: String(project._id) });
+    const mine = await createLabel(api, { name: 'Mine' });
+    await createLabel(signInAs(app, await createUser()), { name: 'Someone else' });
+
+    expect(bug.status).toBe(201);
+    expect(mine.body.owner).toBe(String(user._id));
+
+    const list = await api.get(`/api/labels?project=${project._id}`);
+    expect(list.status).toBe(200);
+    expect(list.body.data.map((label) => label.name)).toEqual(['Bug', 'Mine']);
+  });
+
+  //duplicate name case
+  it('should reject a duplicate label name ignoring case', async () => {
+    await createLabel(api, { name: 'Bug', project: String(project._id) });
+
+    const response = await createLabel(api, { name: 'bug', project: String(project._id) });
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe('A label with this name already exists');
+  });
+
+  //invalid color case
+  it('should reject a color that is not a hex code', async () => {
+    const response = await createLabel(api, { name: 'Bug', color: 'red' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.color).toBe('Color must be a hex color such as #1e90ff');
+  });
+
+  //viewer permissions case
+  it('should let viewers see project labels but not change them', async () => {
+    const viewer = await createUser();
+    await addMember(project, viewer, 'viewer');
+    const label = await createLabel(api, { name: 'Bug', project: String(project._id) });
+    const viewerApi = signInAs(app, viewer);
+
+    expect((await viewerApi.get(`/api/labels/${label.body._id}`)).status).toBe(200);
+    expect((await createLabel(viewerApi, { name: 'Idea', project: String(project._id) })).status).toBe(403);
+    expect((await viewerApi.put(`/api/labels/${label.body._id}`).send({ name: 'Defect' })).status).toBe(403);
+  });
+
+  //labels on tasks case
+  it('should filter tasks by label and drop deleted labels from them', async () => {
+    const label = await createLabel(api, { name: 'Bug', project: String(project._id) });
+    const task = await createTask(project, { name: 'Labelled' });
+    await createTask(project, { name: 'Plain' });
+
+    const updated = await api.put(`/api/tasks/${task._id}`).send({ labels: [label.body._id] });
+    expect(updated.status).toBe(200);
+
+    const filtered = await api.get(`/api/tasks?project=${project._id}&labels=${label.body._id}`);
+    expect(filtered.body.data.map((t) => t.name)).toEqual(['Labelled']);
+
+    expect((await api.delete(`/api/labels/${label.body._id}`)).status).toBe(200);
+    expect((await api.get(`/api/tasks/${task._id}`)).body.labels).toEqual([]);
+
+    const [removal] = (await api.get(`/api/projects/${project._id}/activity`)).body.data;
+    expect(removal.task).toBe(String(task._id));
+    expect(removal.changes).toEqual([{ field: 'labels', before: [label.body._id], after: [] }]);
+    expect(removal.meta).toEqual({ deletedLabel: label.body._id });
+  });
+
+  //someone else's label case
+  it("should not put another user's personal label on a task", async () => {
+    const other = await createLabel(signInAs(app, await createUser()), { name: 'Private' });
+    const task = await createTask(project);
+
+    const response = await api.put(`/api/tasks/${task._id}`).send({ labels: [other.body._id] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe("Labels must belong to the task's project or to you");
+  });
+});
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { parseLabelFilters } = require('../taskSearch');
+const { View, viewQuery } = require('../views');
+const { labelFields, viewFields, validate } = require('../validation');
+
+const { ObjectId } = mongoose.Types;
+
+describe('Label and View Tests', () => {
+  const urgent = new ObjectId();
+  const bug = new ObjectId();
+
+  //label filters case
+  it('should turn label params into all, any and none conditions', () => {
+    const { conditions } = parseLabelFilters({ labels: `${urgent},${bug}`, anyLabels: [String(bug)], notLabels: String(urgent) });
+    expect(conditions).toEqual([
+      { labels: { $all: [urgent, bug] } },
+      { labels: { $in: [bug] } },
+      { labels: { $nin: [urgent] } }
+    ]);
+    expect(parseLabelFilters({}).conditions).toEqual([]);
+  });
+
+  //invalid label filter case
+  it('should reject label params that are not ids', () => {
+    const { errors } = parseLabelFilters({ labels: 'urgent', anyLabels: ',' });
+    expect(Object.keys(errors)).toEqual(['labels', 'anyLabels']);
+  });
+
+  //label validation case
+  it('should validate label names and colors', () => {
+    expect(validate(labelFields, { name: 'Urgent', color: '#FF0000' }).value).toEqual({ name: 'Urgent', color: '#ff0000' });
+    expect(validate(labelFields, { name: 'Urgent', color: 'red' }).errors.color).toMatch('hex color');
+    expect(validate(labelFields, { name: 'Urgent' }).errors.color).toBe('Color is required');
+  });
+
+  //view validation case
+  it('should validate view filters and sort', () => {
+    const { value, errors } = validate(viewFields, {
+      name: 'My urgent work',
+      filters: { labels: [String(urgent)], endDateTo: '2025-04-01' },
+      sort: '-endDate'
+    });
+    expect(errors).toBeNull();
+    expect(value.filters.endDateTo).toEqual(new Date('2025-04-01'));
+
+    expect(validate(viewFields, { name: 'Bad', filters: { owner: 'me' } }).errors.filters).toBe('Filters: Field is not allowed');
+    expect(validate(viewFields, { name: 'Bad', filters: 'urgent' }).errors.filters).toBe('Filters must be an object');
+    expect(validate(viewFields, { name: 'Bad', sort: 'position' }).errors.sort).toMatch('Sort must be one of');
+  });
+
+  //view query case
+  it('should rebuild task list params from a saved view', () => {
+    const project = new ObjectId();
+    const view = new View({
+      owner: new ObjectId(),
+      name: 'Launch',
+      filters: { project, labels: [urgent], endDateTo: new Date('2025-04-01T00:00:00Z') },
+      sort: '-endDate'
+    });
+    expect(viewQuery(view, { limit: '10', cursor: undefined, sort: 'name' })).toEqual({
+      sort: '-endDate',
+      limit: '10',
+      cursor: undefined,
+      project: String(project),
+      labels: [String(urgent)],
+      endDateTo: '2025-04-01T00:00:00.000Z'
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const http = require('http');
+const { configProblems, validateConfig } = require('../config');
+const { closeServer } = require('../lifecycle');
+const { logger } = require('../logger');
+
+const validEnv = {
+  MONGODB_URI: 'mongodb://localhost/test',
+  SESSION_SECRET: 'secret',
+  BASE_URL: 'http://localhost:5000',
+  FRONTEND_URL: 'http://localhost:3000',
+  GOOGLE_CLIENT_ID: 'id',
+  GOOGLE_CLIENT_SECRET: 'secret',
+  KEY_GITHUB_CLIENT_ID: 'id',
+  KEY_GITHUB_CLIENT_SECRET: 'secret',
+  LINKEDIN_CLIENT_ID: 'id',
+  LINKEDIN_CLIENT_SECRET: 'secret'
+};
+
+const get = (port, path) => new Promise((resolve, reject) => {
+  http.get({ port, path, agent: new http.Agent({ keepAlive: true }) }, (res) => {
+    let body = '';
+    res.on('data', (chunk) => { body += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, body }));
+  }).on('error', reject);
+});
+
+describe('Lifecycle Tests', () => {
+  //complete config case
+  it('should accept a complete configuration', () => {
+    expect(configProblems(validEnv)).toEqual([]);
+    expect(() => validateConfig(validEnv)).not.toThrow();
+  });
+
+  //missing config case
+  it('should list every missing variable in one error', () => {
+    const env = { ...validEnv, SESSION_SECRET: '', MONGODB_URI: '  ' };
+    expect(() => validateConfig(env)).toThrow('Missing required environment variables: MONGODB_URI, SESSION_SECRET');
+  });
+
+  //sign-in provider case
+  it('should only require the sign-in providers that are configured', () => {
+    const githubOnly = {
+      ...validEnv,
+      GOOGLE_CLIENT_ID: '',
+      GOOGLE_CLIENT_SECRET: '',
+      LINKEDIN_CLIENT_ID: undefined,
+      LINKEDIN_CLIENT_SECRET: undefined
+    };
+    expect(configProblems(githubOnly)).toEqual([]);
+
+    expect(configProblems({ ...validEnv, LINKEDIN_CLIENT_SECRET: '' }))
+      .toEqual(['LINKEDIN_CLIENT_ID and LINKEDIN_CLIENT_SECRET must be set together']);
+    expect(configProblems({ ...githubOnly, KEY_GITHUB_CLIENT_ID: undefined, KEY_GITHUB_CLIENT_SECRET: undefined }))
+      .toEqual([expect.stringMatching(/^At least one sign-in provider must be configured/)]);
+  });
+
+  //status transitions case
+  it('should reject a malformed status transition map', () => {
+    expect(configProblems({ ...validEnv, TASK_STATUS_TRANSITIONS: '{"todo":["done"]}' })).toEqual([]);
+    expect(configProblems({ ...validEnv, TASK_STATUS_TRANSITIONS: '{"todo":["archived"]}' }))
+      .toEqual([expect.stringMatching(/^Invalid TASK_STATUS_TRANSITIONS entry for "todo"/)]);
+    expect(configProblems({ ...validEnv, TASK_STATUS_TRANSITIONS: '{todo' }))
+      .toEqual([expect.stringMatching(/^TASK_STATUS_TRANSITIONS must be valid JSON/)]);
+  });
+
+  //invalid number case
+  it('should reject numeric settings that are not numbers', () => {
+    expect(configProblems({ ...validEnv, PORT: 'eighty', TRASH_RETENTION_DAYS: '0' }))
+      .toEqual(['PORT must be a non-negative number (got "eighty")']);
+  });
+
+  //invalid log level case
+  it('should reject an unknown log level', () => {
+    expect(configProblems({ ...validEnv, LOG_LEVEL: 'WARN' })).toEqual([]);
+    expect(configProblems({ ...validEnv, LOG_LEVEL: 'verbose' }))
+      .toEqual(['LOG_LEVEL must be one of debug, info, warn, error, silent (got "verbose")']);
+  });
+
+  //draining case
+  it('should let in-flight requests finish before the server closes', async () => {
+    const server = http.createServer((req, res) => {
+      setTimeout(() => res.end('done'), req.url === '/slow' ? 200 : 0);
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const { port } = server.address();
+
+    await get(port, '/fast');  // leaves an idle keep-alive connection behind
+    const slow = get(port, '/slow');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    let closed = false;
+    const closing = closeServer(server, 5000).then(() => { closed = true; });
+    await expect(slow).resolves.toEqual({ status: 200, body: 'done' });
+    await closing;
+    expect(closed).toBe(true);
+    await expect(get(port, '/fast')).rejects.toThrow();
+  });
+
+  //timeout case
+  it('should cut off requests still running after the timeout', async () => {
+    const server = http.createServer(() => {});  // never responds
+    await new Promise((resolve) => server.listen(0, resolve));
+    const { port } = server.address();
+
+    const hanging = get(port, '/hang').catch((err) => err);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    await closeServer(server, 100);
+    expect((await hanging).message).toMatch(/socket hang up|ECONNRESET/);
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,97 @@
+const express = require('express');
+const request = require('supertest');
+const { logger, redact, requestLogger, setOutput } = require('../logger');
+
+describe('Logger Tests', () => {
+  let entries;
+  const previousLevel = process.env.LOG_LEVEL;
+
+  beforeEach(() => {
+    entries = [];
+    process.env.LOG_LEVEL = 'debug';
+    setOutput((level, line) => entries.push(JSON.parse(line)));
+  });
+
+  afterAll(() => {
+    process.env.LOG_LEVEL = previousLevel;
+  });
+
+  const createApp = () => {
+    const app = express();
+    app.use(requestLogger);
+    app.get('/ok', (req, res) => {
+      setImmediate(() => {
+        logger.info('handling', { step: 1 });
+        res.json({ ok: true });
+      });
+    });
+    app.get('/missing', (req, res) => res.status(404).json({ error: 'Not found' }));
+    return app;
+  };
+
+  //redaction case
+  it('should redact secrets, cookies and email addresses', () => {
+    const safe = redact({
+      name: 'Ada',
+      email: 'ada@example.com',
+      accessToken: 'abc',
+      headers: { authorization: 'Bearer abc', cookie: 'sessionId=s%3A1' },
+      note: 'mail ada@example.com with Bearer abc.def',
+      emails: [{ value: 'ada@example.com' }],
+      nested: { list: ['bob@example.org'] }
+    });
+
+    expect(safe).toEqual({
+      name: 'Ada',
+      email: '[REDACTED]',
+      accessToken: '[REDACTED]',
+      headers: { authorization: '[REDACTED]', cookie: '[REDACTED]' },
+      note: 'mail [REDACTED] with Bearer [REDACTED]',
+      emails: '[REDACTED]',
+      nested: { list: ['[REDACTED]'] }
+    });
+  });
+
+  //error serialization case
+  it('should write errors as name, message and stack', () => {
+    logger.error('failed', { err: new Error('Could not reach carol@example.com') });
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ level: 'error', msg: 'failed', err: { name: 'Error', message: 'Could not reach [REDACTED]' } });
+    expect(entries[0].err.stack).toContain('logger.test.js');
+  });
+
+  //log level case
+  it('should skip entries below the configured level', () => {
+    process.env.LOG_LEVEL = 'warn';
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn');
+    logger.child({ job: 'purge' }).error('error');
+
+    expect(entries.map((entry) => entry.msg)).toEqual(['warn', 'error']);
+    expect(entries[1].job).toBe('purge');
+  });
+
+  //generated request id case
+  it('should tag entries with the request id and write an access log line', async () => {
+    const response = await request(createApp()).get('/ok?token=secret');
+
+    const requestId = response.headers['x-request-id'];
+    expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(entries).toHaveLength(2);
+    expect(entries[0]).toMatchObject({ msg: 'handling', requestId, step: 1 });
+    expect(entries[1]).toMatchObject({ level: 'info', msg: 'request completed', requestId, method: 'GET', path: '/ok', status: 200 });
+    expect(entries[1].durationMs).toBeGreaterThanOrEqual(0);
+  });
+
+  //incoming request id case
+  it('should keep a well-formed incoming request id and replace a malformed one', async () => {
+    const kept = await request(createApp()).get('/missing').set('X-Request-Id', 'abc-123');
+    expect(kept.headers['x-request-id']).toBe('abc-123');
+    expect(entries[0]).toMatchObject({ level: 'warn', requestId: 'abc-123', status: 404 });
+
+    const replaced = await request(createApp()).get('/missing').set('X-Request-Id', 'bad id {"level":"info"}');
+    expect(replaced.headers['x-request-id']).not.toContain('bad');
+  });
+});
@@ -0,0 +1,135 @@
+const { createTestApp, signInAs } = require('./helpers/app');
+const { useTestDatabase } = require('./helpers/db');
+const { createUser, createProject, addMember } = require('./helpers/fixtures');
+
+const app = createTestApp();
+
+describe('Project Member API Tests', () => {
+  useTestDatabase();
+
+  let owner;
+  let invitee;
+  let project;
+
+  beforeEach(async () => {
+    owner = await createUser();
+    invitee = await createUser();
+    project = await createProject(owner, { name: 'Shared Project' });
+  });
+
+  //invite, list and accept case
+  it('should list a pending invitation until it is accepted', async () => {
+    const api = signInAs(app, invitee);
+
+    const invite = await signInAs(app, owner).post(`/api/projects/${project._id}/members`)
+      .send({ email: invitee.email, role: 'editor' });
+    expect(invite.status).toBe(201);
+    expect(invite.body.status).toBe('pending');
+
+    const pending = await api.get('/api/invitations');
+    expect(pending.status).toBe(200);
+    expect(pending.body).toHaveLength(1);
+    expect(pending.body[0].project).toMatchObject({ _id: String(project._id), name: 'Shared Project' });
+    expect(pending.body[0].project.owner.email).toBe(owner.email);
+    expect(pending.body[0].role).toBe('editor');
+    expect(pending.body[0].invitedBy.email).toBe(owner.email);
+
+    // Pending invitees can't see the project yet
+    expect((await api.get(`/api/projects/${project._id}`)).status).toBe(404);
+
+    const accepted = await api.post(`/api/projects/${project._id}/members/accept`);
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.status).toBe('active');
+
+    expect((await api.get('/api/invitations')).body).toEqual([]);
+    expect((await api.get(`/api/projects/${project._id}`)).status).toBe(200);
+  });
+
+  //other users' invitations case
+  it('should only list invitations for the logged-in user', async () => {
+    await signInAs(app, owner).post(`/api/projects/${project._id}/members`).send({ userId: String(invitee._id) });
+
+    const response = await signInAs(app, owner).get('/api/invitations');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual([]);
+  });
+
+  //duplicate invitation case
+  it('should not invite someone who is already on the project', async () => {
+    await addMember(project, invitee, 'viewer');
+
+    const response = await signInAs(app, owner).post(`/api/projects/${project._id}/members`)
+      .send({ email: invitee.email });
+
+    expect(response.status).toBe(409);
+  });
+
+  //invite permission case
+  it('should only let the owner invite members', async () => {
+    const editor = await createUser();
+    await addMember(project, editor, 'editor');
+
+    const response = await signInAs(app, editor).post(`/api/projects/${project._id}/members`)
+      .send({ email: invitee.email });
+
+    expect(response.status).toBe(403);
+  });
+
+  //role permissions case
+  it('should let viewers read tasks but only editors write them', async () => {
+    await addMember(project, invitee, 'viewer');
+    const api = signInAs(app, invitee);
+    const task = { project: String(project._id), name: 'Member task' };
+
+    expect((await api.get(`/api/projects/${project._id}`)).status).toBe(200);
+    expect((await api.get(`/api/tasks?project=${project._id}`)).status).toBe(200);
+    expect((await api.post('/api/tasks').send(task)).status).toBe(403);
+
+    const promoted = await signInAs(app, owner).put(`/api/projects/${project._id}/members/${invitee._id}`)
+      .send({ role: 'editor' });
+    expect(promoted.status).toBe(200);
+    expect(promoted.body.role).toBe('editor');
+
+    expect((await api.post('/api/tasks').send(task)).status).toBe(201);
+    expect((await api.delete(`/api/projects/${project._id}`)).status).toBe(403);
+  });
+
+  //invalid role case
+  it('should reject unknown roles and changes to the owner', async () => {
+    await addMember(project, invitee, 'viewer');
+    const api = signInAs(app, owner);
+
+    const unknown = await api.put(`/api/projects/${project._id}/members/${invitee._id}`).send({ role: 'admin' });
+    const ownRole = await api.put(`/api/projects/${project._id}/members/${owner._id}`).send({ role: 'viewer' });
+
+    expect(unknown.status).toBe(400);
+    expect(ownRole.status).toBe(400);
+    expect(ownRole.body.error).toBe("The project owner's role cannot be changed");
+  });
+
+  //remove and leave case
+  it('should let the owner remove a member and a member leave', async () => {
+    const other = await createUser();
+    await addMember(project, invitee, 'editor');
+    await addMember(project, other, 'viewer');
+
+    const removed = await signInAs(app, owner).delete(`/api/projects/${project._id}/members/${invitee._id}`);
+    const left = await signInAs(app, other).delete(`/api/projects/${project._id}/members/${other._id}`);
+
+    expect(removed.status).toBe(200);
+    expect(left.status).toBe(200);
+    expect((await signInAs(app, invitee).get(`/api/projects/${project._id}`)).status).toBe(404);
+
+    const members = await signInAs(app, owner).get(`/api/projects/${project._id}/members`);
+    expect(members.body.members).toEqual([]);
+  });
+
+  //remove owner case
+  it('should not remove the project owner', async () => {
+    const response = await signInAs(app, owner).delete(`/api/projects/${project._id}/members/${owner._id}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('The project owner cannot be removed');
+  });
+});
@@ -0,0 +1,97 @@
+const { createTestApp, signInAs } = require('./helpers/app');
+const { useTestDatabase } = require('./helpers/db');
+const { createUser, createProject, createTask } = require('./helpers/fixtures');
+const { createDueNotifications } = require('../notifications');
+
+const app = createTestApp();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Notification API Tests', () => {
+  useTestDatabase();
+
+  let user;
+  let api;
+  let project;
+
+  beforeEach(async () => {
+    user = await createUser();
+    api = signInAs(app, user);
+    project = await createProject(user);
+  });
+
+  //preferences case
+  it('should return default preferences and save changes', async () => {
+    const defaults = await api.get('/api/notifications/preferences');
+    expect(defaults.status).toBe(200);
+    expect(defaults.body).toMatchObject({ inApp: true, emailDigest: false, dueSoonHours: 24, timezone: 'UTC' });
+
+    const updated = await api.put('/api/notifications/preferences')
+      .send({ dueSoonHours: 48, quietHoursStart: '22:00', quietHoursEnd: '07:00' });
+    expect(updated.status).toBe(200);
+    expect(updated.body).toMatchObject({ dueSoonHours: 48, quietHoursStart: '22:00', quietHoursEnd: '07:00' });
+
+    expect((await api.get('/api/notifications/preferences')).body.dueSoonHours).toBe(48);
+  });
+
+  //half quiet hours case
+  it('should reject quiet hours with only one end', async () => {
+    const response = await api.put('/api/notifications/preferences').send({ quietHoursStart: '22:00' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.quietHoursEnd).toBe('Set both ends of the quiet hours or neither');
+  });
+
+  //list, read and dismiss case
+  it('should list notifications and let the user read and dismiss them', async () => {
+    const now = new Date();
+    await createTask(project, { name: 'Late', endDate: new Date(now.getTime() - HOUR_MS) });
+    await createTask(project, { name: 'Soon', endDate: new Date(now.getTime() + HOUR_MS) });
+    await createDueNotifications(now);
+
+    const list = await api.get('/api/notifications');
+    expect(list.status).toBe(200);
+    expect(list.body.data.map((n) => n.type).sort()).toEqual(['task_due_soon', 'task_overdue']);
+
+    const [first, second] = list.body.data;
+    const read = await api.post(`/api/notifications/${first._id}/read`);
+    expect(read.status).toBe(200);
+    expect(read.body.readAt).toBeTruthy();
+
+    const unread = await api.get('/api/notifications?unread=true');
+    expect(unread.body.data.map((n) => n._id)).toEqual([second._id]);
+
+    expect((await api.delete(`/api/notifications/${second._id}`)).status).toBe(200);
+    expect((await api.get('/api/notifications')).body.data.map((n) => n._id)).toEqual([first._id]);
+  });
+
+  //read all case
+  it('should mark every notification as read', async () => {
+    await createTask(project, { endDate: new Date(Date.now() - HOUR_MS) });
+    await createDueNotifications(new Date());
+
+    const response = await api.post('/api/notifications/read-all');
+
+    expect(response.body.updated).toBe(1);
+    expect((await api.get('/api/notifications?unread=true')).body.data).toEqual([]);
+  });
+
+  //other user's notification case
+  it("should not let users read or dismiss someone else's notifications", async () => {
+    await createTask(project, { endDate: new Date(Date.now() - HOUR_MS) });
+    await createDueNotifications(new Date());
+    const [notification] = (await api.get('/api/notifications')).body.data;
+    const other = signInAs(app, await createUser());
+
+    expect((await other.post(`/api/notifications/${notification._id}/read`)).status).toBe(404);
+    expect((await other.delete(`/api/notifications/${notification._id}`)).status).toBe(404);
+  });
+
+  //bad unread param case
+  it('should reject an invalid unread filter', async () => {
+    const response = await api.get('/api/notifications?unread=yes');
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.unread).toBe('Unread must be true or false');
+  });
+});
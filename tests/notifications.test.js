@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { preferencesOf, inQuietHours, dueNotifications, buildDigest } = require('../notifications');
+const { setTransport, mailEnabled, sendMail } = require('../mailer');
+
+const { ObjectId } = mongoose.Types;
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Notification Tests', () => {
+  const now = new Date('2025-03-10T12:00:00Z');
+  const owner = new ObjectId();
+
+  //defaults case
+  it('should fill in default preferences', () => {
+    expect(preferencesOf({ notificationPreferences: { emailDigest: true } })).toMatchObject({
+      inApp: true,
+      emailDigest: true,
+      dueSoonHours: 24,
+      timezone: 'UTC'
+    });
+  });
+
+  //quiet hours case
+  it('should honour quiet hours across midnight in the user\'s time zone', () => {
+    const preferences = preferencesOf({ notificationPreferences: { quietHoursStart: '22:00', quietHoursEnd: '07:00', timezone: 'America/New_York' } });
+    // 03:00 UTC is 23:00 the evening before in New York
+    expect(inQuietHours(preferences, new Date('2025-03-10T03:00:00Z'))).toBe(true);
+    expect(inQuietHours(preferences, new Date('2025-03-10T12:00:00Z'))).toBe(false);
+    expect(inQuietHours(preferencesOf({}), now)).toBe(false);
+  });
+
+  //due and overdue case
+  it('should notify owners of tasks due soon and overdue', () => {
+    const tasks = [
+      { _id: new ObjectId(), owner, name: 'Soon', endDate: new Date(now.getTime() + 2 * HOUR_MS), status: 'todo' },
+      { _id: new ObjectId(), owner, name: 'Late', endDate: new Date(now.getTime() - HOUR_MS), status: 'in_progress' },
+      { _id: new ObjectId(), owner, name: 'Later', endDate: new Date(now.getTime() + 48 * HOUR_MS), status: 'todo' },
+      { _id: new ObjectId(), owner, name: 'Finished', endDate: new Date(now.getTime() - HOUR_MS), status: 'done' }
+    ];
+    const preferences = new Map([[String(owner), preferencesOf({})]]);
+
+    expect(dueNotifications(tasks, preferences, now).map(({ type, title }) => [type, title])).toEqual([
+      ['task_due_soon', 'Soon'],
+      ['task_overdue', 'Late']
+    ]);
+    expect(dueNotifications(tasks, new Map([[String(owner), { ...preferencesOf({}), inApp: false }]]), now)).toEqual([]);
+  });
+
+  //digest case
+  it('should build a digest listing overdue and upcoming tasks', () => {
+    const digest = buildDigest({ name: 'Ann' }, [
+      { name: 'Late', endDate: new Date('2025-03-09T00:00:00Z') },
+      { name: 'Soon', endDate: new Date('2025-03-11T00:00:00Z') }
+    ], now);
+
+    expect(digest.subject).toBe('Task digest: 1 overdue, 1 due soon');
+    expect(digest.text).toContain('Overdue:\n- Late (due 2025-03-09)');
+    expect(digest.text).toContain('Due soon:\n- Soon (due 2025-03-11)');
+  });
+
+  //pluggable transport case
+  it('should send mail through a plugged-in transport', async () => {
+    const transport = { sendMail: jest.fn().mockResolvedValue({}) };
+    setTransport(transport);
+
+    expect(mailEnabled()).toBe(true);
+    await expect(sendMail({ to: 'ann@example.com', subject: 'Hi', text: 'Hello' })).resolves.toBe(true);
+    expect(transport.sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'ann@example.com', from: expect.any(String) }));
+
+    setTransport(null);
+    await expect(sendMail({ to: 'ann@example.com' })).resolves.toBe(false);
+    setTransport(undefined);
+  });
+});
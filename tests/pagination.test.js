@@ -0,0 +1,72 @@
+const { parseListQuery, encodeCursor, decodeCursor } = require('../pagination');
+
+const toId = (id) => id;
+
+describe('Pagination Tests', () => {
+  //defaults case
+  it('should default to ascending createdAt with the default limit', () => {
+    const options = parseListQuery({}, toId);
+
+    expect(options.sort).toEqual({ createdAt: 1, _id: 1 });
+    expect(options.limit).toBe(50);
+    expect(options.cursorCondition).toBeNull();
+  });
+
+  //descending sort case
+  it('should parse a descending sort on a whitelisted field', () => {
+    const options = parseListQuery({ sort: '-name' }, toId);
+    expect(options.sort).toEqual({ name: -1, _id: -1 });
+  });
+
+  //invalid params case
+  it('should return per-param errors for invalid input', () => {
+    const { errors } = parseListQuery({ sort: 'owner', limit: '500', startDateFrom: 'not-a-date', cursor: 'junk' }, toId);
+
+    expect(errors).toHaveProperty('sort');
+    expect(errors).toHaveProperty('limit');
+    expect(errors).toHaveProperty('startDateFrom');
+  });
+
+  //repeated params case
+  it('should reject params given more than once instead of throwing', () => {
+    const { errors } = parseListQuery({ sort: ['name', '-name'], limit: ['1', '2'], cursor: { a: 'b' }, q: 'ok' }, toId);
+
+    expect(errors).toEqual({
+      sort: 'sort must be given once, as a single value',
+      limit: 'limit must be given once, as a single value',
+      cursor: 'cursor must be given once, as a single value'
+    });
+  });
+
+  //date range and text search case
+  it('should build date-range and text search conditions', () => {
+    const options = parseListQuery({ startDateFrom: '2025-01-01', endDateTo: '2025-02-01', q: 'a.b' }, toId);
+
+    expect(options.conditions).toContainEqual({ startDate: { $gte: new Date('2025-01-01') } });
+    expect(options.conditions).toContainEqual({ endDate: { $lte: new Date('2025-02-01') } });
+    expect(options.conditions[2].$or[0].name.test('xa.bx')).toBe(true);
+    expect(options.conditions[2].$or[0].name.test('axb')).toBe(false);
+  });
+
+  //cursor round trip case
+  it('should round-trip a cursor and resume after it', () => {
+    const doc = { _id: '65a000000000000000000001', startDate: new Date('2025-03-01') };
+    const cursor = encodeCursor(doc, 'startDate');
+
+    expect(decodeCursor(cursor, 'startDate')).toEqual({ value: doc.startDate, id: doc._id });
+
+    const options = parseListQuery({ sort: 'startDate', cursor }, toId);
+    expect(options.cursorCondition).toEqual({
+      $or: [
+        { startDate: { $gt: doc.startDate } },
+        { startDate: doc.startDate, _id: { $gt: doc._id } }
+      ]
+    });
+  });
+
+  //bad cursor case
+  it('should reject a malformed cursor', () => {
+    const { errors } = parseListQuery({ cursor: 'not-a-cursor' }, toId);
+    expect(errors.cursor).toBe('Invalid cursor');
+  });
+});
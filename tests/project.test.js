@@ -1,56 +1,22 @@
-require('dotenv').config();
 const mongoose = require('mongoose');
 const { ObjectId } = mongoose.Types;
 
+const { createTestApp, signInAs } = require('./helpers/app');
+const { useTestDatabase } = require('./helpers/db');
+const { createUser, createProject, createTask } = require('./helpers/fixtures');
 
-const request = require('supertest');
-
-// Use environment variables for IDs
-const MOCK_USER_ID = new ObjectId(process.env.USER_ID || '67a61f1848cf44366dc1a5b6');
-const PROJECT_ID = process.env.PROJECT_ID;
-const TASK_ID = process.env.TASK_ID;
-
-// Mock passport before requiring app
-jest.mock('passport', () => ({
-  initialize: () => (req, res, next) => {
-    req.user = {
-      _id: MOCK_USER_ID,
-      name: process.env.MOCK_NAME,
-      email: process.env.MOCK_EMAIL,
-    };
-    req.isAuthenticated = () => true;
-    next();
-  },
-  session: () => (req, res, next) => next(),
-  authenticate: () => (req, res, next) => next(),
-  use: jest.fn(),
-  serializeUser: jest.fn(),
-  deserializeUser: jest.fn()
-}));
-
-// Import app after mock setup
-const app = require('../index.js');
+const app = createTestApp();
 
 describe('Project API Tests', () => {
-  // Connect to MongoDB before tests
-  beforeAll(async () => {
-    try {
-      await mongoose.connect(process.env.MONGODB_URI);
-      console.log('Test database connected');
-    } catch (error) {
-      console.error('Database connection error:', error);
-      throw error;
-    }
-  });
+  useTestDatabase();
 
-  // Clean up after all tests
-  afterAll(async () => {
-    if (mongoose.connection.readyState === 1) {
-      await mongoose.connection.close();
-    }
-  });
+  let user;
+  let api;
 
-    
+  beforeEach(async () => {
+    user = await createUser();
+    api = signInAs(app, user);
+  });
 
   describe('Project Tests', () => {
     // Basic Creation Tests
@@ -62,159 +28,209 @@ describe('Project API Tests', () => {
         startDate: new Date().toISOString(),
         endDate: new Date(Date.now() + 86400000).toISOString()
       };
- 
-      const response = await request(app)
-        .post('/api/projects')
-        .send(testProject)
-        .set('Accept', 'application/json')
-        .set('Content-Type', 'application/json');
- 
+
+      const response = await api.post('/api/projects').send(testProject);
+
       expect(response.status).toBe(201);
       expect(response.body).toHaveProperty('_id');
       expect(response.body.name).toBe(testProject.name);
       expect(response.body.description).toBe(testProject.description);
+      expect(response.body.owner).toBe(String(user._id));
     });
- //project creation with only req fileds
+    //project creation with only req fileds
     it('should handle project creation with only required fields', async () => {
-      const testProject = {
-        name: 'Minimal Project'
-      };
- 
-      const response = await request(app)
-        .post('/api/projects')
-        .send(testProject)
-        .set('Accept', 'application/json')
-        .set('Content-Type', 'application/json');
- 
+      const response = await api.post('/api/projects').send({ name: 'Minimal Project' });
+
       expect(response.status).toBe(201);
-      expect(response.body.name).toBe(testProject.name);
+      expect(response.body.name).toBe('Minimal Project');
     });
- //incomplete project data case
+    //incomplete project data case
     it('should handle missing project description', async () => {
       const testProject = {
         name: 'No Description Project',
         startDate: new Date().toISOString(),
         endDate: new Date(Date.now() + 86400000).toISOString()
       };
- 
-      const response = await request(app)
-        .post('/api/projects')
-        .send(testProject)
-        .set('Accept', 'application/json')
-        .set('Content-Type', 'application/json');
- 
+
+      const response = await api.post('/api/projects').send(testProject);
+
       expect(response.status).toBe(201);
       expect(response.body.description).toBeUndefined();
     });
- 
+
     //required field missing for project case
     it('should return error if project name is missing', async () => {
-      const response = await request(app)
-        .post('/api/projects')
-        .send({ description: 'Missing Name' })
-        .set('Accept', 'application/json')
-        .set('Content-Type', 'application/json');
- 
+      const response = await api.post('/api/projects').send({ description: 'Missing Name' });
+
       expect(response.status).toBe(400);
       expect(response.body.error).toBe('Project name is required');
     });
- //invalid data format case
+    //invalid data format case
     it('should handle invalid date formats for project creation', async () => {
-      const testProject = {
+      const response = await api.post('/api/projects').send({
         name: 'Invalid Date Project',
         description: 'Test Description',
         startDate: 'invalid-date',
         endDate: 'invalid-date'
-      };
- 
-      const response = await request(app)
-        .post('/api/projects')
-        .send(testProject)
-        .set('Accept', 'application/json')
-        .set('Content-Type', 'application/json');
- 
-      expect(response.status).toBe(500);
-      expect(response.body).toHaveProperty('error');
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toHaveProperty('startDate');
+      expect(response.body.details).toHaveProperty('endDate');
+    });
+
+    //end date before start date case
+    it('should reject a project that ends before it starts', async () => {
+      const response = await api.post('/api/projects').send({
+        name: 'Backwards Project',
+        startDate: new Date(Date.now() + 86400000).toISOString(),
+        endDate: new Date().toISOString()
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details.endDate).toBe('End date must be on or after the start date');
     });
- 
+
+    //owner overwrite attempt case
+    it('should not let a client set the project owner', async () => {
+      const response = await api.post('/api/projects').send({ name: 'Owned Project', owner: new ObjectId().toString() });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toHaveProperty('owner');
+    });
+
     // queries all projects case
     it('should return a list of projects', async () => {
-      const response = await request(app)
-        .get('/api/projects')
-        .set('Accept', 'application/json');
- 
+      await createProject(user);
+      await createProject(await createUser());
+
+      const response = await api.get('/api/projects');
+
       expect(response.status).toBe(200);
-      expect(Array.isArray(response.body)).toBe(true);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.pagination.total).toBe(1);
     });
- //query projects by project case
+
+    // paginated projects case
+    it('should return a page of projects with a next cursor', async () => {
+      await createProject(user, { name: 'First' });
+      await createProject(user, { name: 'Second' });
+
+      const response = await api.get('/api/projects?limit=1&sort=-createdAt');
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.pagination.hasMore).toBe(true);
+
+      const nextPage = await api.get(`/api/projects?limit=1&sort=-createdAt&cursor=${response.body.pagination.nextCursor}`);
+      expect(nextPage.status).toBe(200);
+      expect(nextPage.body.data).toHaveLength(1);
+      expect(nextPage.body.data[0]._id).not.toBe(response.body.data[0]._id);
+      expect(nextPage.body.pagination.hasMore).toBe(false);
+    });
+
+    // sort param outside the whitelist case
+    it('should reject an unknown sort field', async () => {
+      const response = await api.get('/api/projects?sort=owner');
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toHaveProperty('sort');
+    });
+    // repeated sort param case
+    it('should reject a repeated sort param with a 400', async () => {
+      const response = await api.get('/api/projects?sort=name&sort=-name');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('sort must be given once, as a single value');
+      expect(response.body.details).toHaveProperty('sort');
+    });
+    //query projects by project case
     it('should return a single project by ID', async () => {
-      console.log('Fetching project with ID:', PROJECT_ID);
-      console.log('Using user ID:', MOCK_USER_ID.toString());
-      
-      const response = await request(app)
-        .get(`/api/projects/${PROJECT_ID}`)
-        .set('Accept', 'application/json');
- 
-      console.log('Get project response:', response.body);
-      
+      const project = await createProject(user);
+
+      const response = await api.get(`/api/projects/${project._id}`);
+
       expect(response.status).toBe(200);
-      expect(response.body._id).toBe(PROJECT_ID);
+      expect(response.body._id).toBe(String(project._id));
     });
- //invalid project ID format case
+    //invalid project ID format case
     it('should handle invalid project ID format in URL', async () => {
-      const response = await request(app)
-        .get('/api/projects/invalid-id-format')
-        .set('Accept', 'application/json');
- 
-      expect(response.status).toBe(500);
-      expect(response.body).toHaveProperty('error');
+      const response = await api.get('/api/projects/invalid-id-format');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Project not found or you do not have access to this project');
     });
- 
+
     // Update a project case
     it('should update a project', async () => {
+      const project = await createProject(user);
       const updateData = {
         name: 'Updated Project',
         description: 'Updated Description'
       };
- 
-      console.log('Updating project with ID:', PROJECT_ID);
-      
-      const response = await request(app)
-        .put(`/api/projects/${PROJECT_ID}`)
-        .send(updateData)
-        .set('Accept', 'application/json')
-        .set('Content-Type', 'application/json');
- 
-      console.log('Update project response:', response.body);
-      
+
+      const response = await api.put(`/api/projects/${project._id}`).send(updateData);
+
       expect(response.status).toBe(200);
       expect(response.body.name).toBe(updateData.name);
       expect(response.body.description).toBe(updateData.description);
     });
- //parital data update case
+    //parital data update case
     it('should handle project update with partial data', async () => {
-      const updateData = {
-        name: 'Partially Updated Project'
-      };
- 
-      const response = await request(app)
-        .put(`/api/projects/${PROJECT_ID}`)
-        .send(updateData)
-        .set('Accept', 'application/json')
-        .set('Content-Type', 'application/json');
- 
+      const project = await createProject(user, { description: 'Kept' });
+
+      const response = await api.put(`/api/projects/${project._id}`).send({ name: 'Partially Updated Project' });
+
       expect(response.status).toBe(200);
-      expect(response.body.name).toBe(updateData.name);
-      expect(response.body).toHaveProperty('description');
+      expect(response.body.name).toBe('Partially Updated Project');
+      expect(response.body.description).toBe('Kept');
     });
-  });
 
+    // delete all projects and related tasks case
+    it('should delete a project and its tasks', async () => {
+      const project = await createProject(user);
+      const task = await createTask(project);
+
+      const response = await api.delete(`/api/projects/${project._id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Project and associated tasks deleted successfully');
+      expect((await api.get(`/api/projects/${project._id}`)).status).toBe(404);
+      expect((await api.get(`/api/tasks/${task._id}`)).status).toBe(404);
+    });
+
+    //malformed json body case
+    it('should return a 400 validation error for a malformed JSON body', async () => {
+      const response = await api.post('/api/projects').set('Content-Type', 'application/json').send('{"name":');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        error: 'Request body must be valid JSON',
+        details: { body: 'Request body must be valid JSON' }
+      });
+    });
+
+    //other client errors from the body parser case
+    it('should pass body parser client errors through with their status', async () => {
+      const response = await api.post('/api/projects')
+        .set('Content-Type', 'application/json; charset=latin-9')
+        .send('{"name":"Charset"}');
+
+      expect(response.status).toBe(415);
+      expect(response.body.error).toMatch(/charset/);
+    });
+  });
 
   describe('Task Tests', () => {
-// Create a new task case
+    let project;
+
+    beforeEach(async () => {
+      project = await createProject(user);
+    });
+
+    // Create a new task case
     it('should create a new task', async () => {
       const testTask = {
-        project: process.env.PROJECT_ID, 
+        project: String(project._id),
         name: 'Test Task',
         description: 'Task for testing',
         duration: 2,
@@ -222,63 +238,44 @@ describe('Project API Tests', () => {
         endDate: new Date(Date.now() + 86400000).toISOString()
       };
 
-      console.log('Creating task for project:', process.env.PROJECT_ID);
-
-      const response = await request(app)
-        .post('/api/tasks')
-        .send(testTask)
-        .set('Accept', 'application/json')
-        .set('Content-Type', 'application/json');
+      const response = await api.post('/api/tasks').send(testTask);
 
-      console.log('Task creation response:', response.body);
-      
       expect(response.status).toBe(201);
       expect(response.body).toHaveProperty('_id');
-      taskId = response.body._id;
+      expect(response.body.status).toBe('todo');
+      expect(response.body.owner).toBe(String(user._id));
     });
-//get all tasks case
+    //get all tasks case
     it('should get all tasks', async () => {
-      const response = await request(app)
-        .get('/api/tasks')
-        .set('Accept', 'application/json');
+      await createTask(project);
+      await createTask(await createProject(await createUser()));
 
-      console.log('Get all tasks response:', response.body);
+      const response = await api.get('/api/tasks');
 
       expect(response.status).toBe(200);
-      expect(Array.isArray(response.body)).toBe(true);
+      expect(response.body.data).toHaveLength(1);
     });
 
-
     // Get a single task case
     it('should get a single task', async () => {
-      console.log('Fetching task with ID:', taskId);
-
-      const response = await request(app)
-        .get(`/api/tasks/${taskId}`)
-        .set('Accept', 'application/json');
+      const task = await createTask(project);
 
-      console.log('Get single task response:', response.body);
+      const response = await api.get(`/api/tasks/${task._id}`);
 
       expect(response.status).toBe(200);
-      expect(response.body._id).toBe(taskId);
+      expect(response.body._id).toBe(String(task._id));
+      expect(response.body.project.name).toBe(project.name);
     });
 
     // Update a task case complete
     it('should update a task', async () => {
+      const task = await createTask(project);
       const updateData = {
         name: 'Updated Task',
         description: 'Updated Task Description'
       };
 
-      console.log('Updating task with ID:', taskId);
-
-      const response = await request(app)
-        .put(`/api/tasks/${taskId}`)
-        .send(updateData)
-        .set('Accept', 'application/json')
-        .set('Content-Type', 'application/json');
-
-      console.log('Update task response:', response.body);
+      const response = await api.put(`/api/tasks/${task._id}`).send(updateData);
 
       expect(response.status).toBe(200);
       expect(response.body.name).toBe(updateData.name);
@@ -287,108 +284,176 @@ describe('Project API Tests', () => {
 
     //task creation with only req fields
     it('should handle task creation with minimal fields', async () => {
-      const testTask = {
-        project: process.env.PROJECT_ID,
-        name: 'Minimal Task'
-      };
-    
-      const response = await request(app)
-        .post('/api/tasks')
-        .send(testTask)
-        .set('Accept', 'application/json')
-        .set('Content-Type', 'application/json');
-    
+      const response = await api.post('/api/tasks').send({ project: String(project._id), name: 'Minimal Task' });
+
       expect(response.status).toBe(201);
-      expect(response.body.name).toBe(testTask.name);
+      expect(response.body.name).toBe('Minimal Task');
     });
     //update task data partially case
     it('should handle task update with only name change', async () => {
-      const updateData = {
-        name: 'Simple Name Update'
-      };
-    
-      const response = await request(app)
-        .put(`/api/tasks/${TASK_ID}`)
-        .send(updateData)
-        .set('Accept', 'application/json')
-        .set('Content-Type', 'application/json');
-    
+      const task = await createTask(project, { duration: 3 });
+
+      const response = await api.put(`/api/tasks/${task._id}`).send({ name: 'Simple Name Update' });
+
       expect(response.status).toBe(200);
-      expect(response.body.name).toBe(updateData.name);
+      expect(response.body.name).toBe('Simple Name Update');
+      expect(response.body.duration).toBe(3);
     });
-    
+
     //empty description case
     it('should handle empty description in task creation', async () => {
-      const testTask = {
-        project: process.env.PROJECT_ID,
+      const response = await api.post('/api/tasks').send({
+        project: String(project._id),
         name: 'No Description Task',
         description: ''
-      };
-    
-      const response = await request(app)
-        .post('/api/tasks')
-        .send(testTask)
-        .set('Accept', 'application/json')
-        .set('Content-Type', 'application/json');
-    
+      });
+
       expect(response.status).toBe(201);
       expect(response.body.description).toBe('');
-    });    
+    });
 
     //update task data partially case
     it('should handle task update with only duration change', async () => {
-      const updateData = {
-        duration: 5
-      };
-    
-      const response = await request(app)
-        .put(`/api/tasks/${TASK_ID}`)
-        .send(updateData)
-        .set('Accept', 'application/json')
-        .set('Content-Type', 'application/json');
-    
+      const task = await createTask(project);
+
+      const response = await api.put(`/api/tasks/${task._id}`).send({ duration: 5 });
+
       expect(response.status).toBe(200);
-      expect(response.body.duration).toBe(updateData.duration);
+      expect(response.body.duration).toBe(5);
     });
     //aggregate count of tasks
     it('should return the correct count of tasks for a project', async () => {
-      const projectTasks = await request(app)
-        .get(`/api/tasks?project=${PROJECT_ID}`)
-        .set('Accept', 'application/json');
-    
-      const allTasks = await request(app)
-        .get('/api/tasks')
-        .set('Accept', 'application/json');
-    
+      const otherProject = await createProject(user, { name: 'Other Project' });
+      await createTask(project);
+      await createTask(project);
+      await createTask(otherProject);
+
+      const projectTasks = await api.get(`/api/tasks?project=${project._id}`);
+      const allTasks = await api.get('/api/tasks');
+
       expect(projectTasks.status).toBe(200);
-      expect(Array.isArray(projectTasks.body)).toBe(true);
-      expect(projectTasks.body.length).toBeLessThanOrEqual(allTasks.body.length);
+      expect(projectTasks.body.pagination.total).toBe(2);
+      expect(allTasks.body.pagination.total).toBe(3);
     });
 
     //delete a task case
     it('should delete a task', async () => {
-      console.log('Deleting task with ID:', taskId);
+      const task = await createTask(project);
 
-      const response = await request(app)
-        .delete(`/api/tasks/${taskId}`)
-        .set('Accept', 'application/json');
-
-      console.log('Delete task response:', response.body);
+      const response = await api.delete(`/api/tasks/${task._id}`);
 
       expect(response.status).toBe(200);
       expect(response.body.message).toBe('Task deleted successfully');
+      expect((await api.get(`/api/tasks/${task._id}`)).status).toBe(404);
+    });
+
+    //parent and subtasks stats case
+    it('should not count a parent and its subtasks twice in stats and the critical path', async () => {
+      const parent = await api.post('/api/tasks').send({ project: String(project._id), name: 'Parent', duration: 10 });
+      const first = await api.post('/api/tasks')
+        .send({ project: String(project._id), name: 'First', duration: 2, parent: parent.body._id });
+      await api.post('/api/tasks')
+        .send({ project: String(project._id), name: 'Second', duration: 3, parent: parent.body._id, dependsOn: [first.body._id] });
+
+      const stats = await api.get(`/api/projects/${project._id}/stats`);
+      const schedule = await api.get(`/api/projects/${project._id}/critical-path`);
+
+      expect(stats.status).toBe(200);
+      expect(stats.body.totalDuration).toBe(5);
+      expect(schedule.status).toBe(200);
+      expect(schedule.body.totalDuration).toBe(5);
+      const parentEntry = schedule.body.tasks.find((task) => task._id === parent.body._id);
+      expect(parentEntry.duration).toBe(5);
+    });
+
+    //invalid task ID format case
+    it('should return 404 for a malformed task ID', async () => {
+      const response = await api.get('/api/tasks/not-an-id');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Task not found or you do not have access to this task');
+    });
+  });
+
+  describe('Import Tests', () => {
+    const countDocuments = async () => ({
+      projects: await mongoose.model('Project').countDocuments(),
+      tasks: await mongoose.model('Task').countDocuments()
+    });
+
+    //valid import case
+    it('should import a project with its tasks and dependencies', async () => {
+      const response = await api.post('/api/projects/import').send({
+        project: { id: 'p1', name: 'Imported Project' },
+        tasks: [
+          { id: 't1', name: 'Design', duration: 2 },
+          { id: 't2', name: 'Build', duration: 5, dependsOn: ['t1'] }
+        ]
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ importedProjects: 1, importedTasks: 2 });
+
+      const projectId = response.body.projects[0]._id;
+      const tasks = await mongoose.model('Task').find({ project: projectId }).sort({ name: 1 });
+      expect(tasks.map((task) => task.name)).toEqual(['Build', 'Design']);
+      expect(tasks[0].dependsOn.map(String)).toEqual([String(tasks[1]._id)]);
+      expect(String(tasks[0].owner)).toBe(String(user._id));
     });
-});
 
-// delete all projects and related tasks case
-it('should delete a project and its tasks', async () => {
-    const response = await request(app)
-      .delete(`/api/projects/${process.env.PROJECT_ID}`)
-      .set('Accept', 'application/json');
+    //import larger than the default body limit case
+    it('should import a JSON body larger than 100kb', async () => {
+      const tasks = Array.from({ length: 600 }, (_, i) => ({
+        id: `t${i}`,
+        name: `Task ${i}`,
+        description: 'x'.repeat(150),
+        duration: 1
+      }));
+      const body = { project: { id: 'p1', name: 'Big Import' }, tasks };
+      expect(JSON.stringify(body).length).toBeGreaterThan(100 * 1024);
 
-    console.log('Delete project response:', response.body);
+      const response = await api.post('/api/projects/import').send(body);
 
-    expect(response.status).toBe(200);
-    expect(response.body.message).toBe('Project and associated tasks deleted successfully');
+      expect(response.status).toBe(201);
+      expect(response.body.importedTasks).toBe(600);
+    });
+
+    //oversized body elsewhere case
+    it('should answer 413 as JSON when a body is over the limit', async () => {
+      const response = await api.post('/api/projects').send({ name: 'Big', description: 'x'.repeat(200 * 1024) });
+
+      expect(response.status).toBe(413);
+      expect(response.body.error).toMatch(/^Request body must be at most \d+ bytes$/);
+    });
+
+    //invalid rows case
+    it('should reject an import with invalid rows and create nothing', async () => {
+      const response = await api.post('/api/projects/import').send({
+        project: { id: 'p1', name: 'Imported Project' },
+        tasks: [
+          { id: 't1', name: 'Design', duration: 2 },
+          { id: 't2', duration: 5, dependsOn: ['missing'] }
+        ]
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.rows).toEqual([expect.objectContaining({ row: 'tasks[1]' })]);
+      expect(await countDocuments()).toEqual({ projects: 0, tasks: 0 });
+    });
+
+    //failed write case
+    it('should roll back the projects when writing the tasks fails', async () => {
+      const insertTasks = jest.spyOn(mongoose.model('Task'), 'insertMany')
+        .mockRejectedValueOnce(new Error('Write failed'));
+
+      const response = await api.post('/api/projects/import').send({
+        project: { id: 'p1', name: 'Imported Project' },
+        tasks: [{ id: 't1', name: 'Design', duration: 2 }]
+      });
+      insertTasks.mockRestore();
+
+      expect(response.status).toBe(500);
+      expect(await countDocuments()).toEqual({ projects: 0, tasks: 0 });
+    });
+  });
 });
-});
\ No newline at end of file
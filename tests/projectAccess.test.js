@@ -0,0 +1,56 @@
+const { roleFor, can, authorizeProject } = require('../projectAccess');
+
+describe('Project Access Tests', () => {
+  const project = {
+    owner: 'owner-id',
+    members: [
+      { user: 'editor-id', role: 'editor', status: 'active' },
+      { user: 'viewer-id', role: 'viewer', status: 'active' },
+      { user: 'invited-id', role: 'editor', status: 'pending' }
+    ]
+  };
+
+  //role lookup case
+  it('should resolve the role of owners and active members', () => {
+    expect(roleFor(project, 'owner-id')).toBe('owner');
+    expect(roleFor(project, 'editor-id')).toBe('editor');
+    expect(roleFor(project, 'viewer-id')).toBe('viewer');
+  });
+
+  //pending or unknown user case
+  it('should give no role to pending invitees or strangers', () => {
+    expect(roleFor(project, 'invited-id')).toBeNull();
+    expect(roleFor(project, 'someone-else')).toBeNull();
+    expect(roleFor(null, 'owner-id')).toBeNull();
+  });
+
+  //viewer permissions case
+  it('should let viewers read but not change anything', () => {
+    expect(can('viewer', 'project:read')).toBe(true);
+    expect(can('viewer', 'task:read')).toBe(true);
+    expect(can('viewer', 'task:write')).toBe(false);
+    expect(can('viewer', 'project:delete')).toBe(false);
+  });
+
+  //editor permissions case
+  it('should let editors change tasks but not manage the project', () => {
+    expect(can('editor', 'task:write')).toBe(true);
+    expect(can('editor', 'members:manage')).toBe(false);
+    expect(can('editor', 'project:delete')).toBe(false);
+  });
+
+  //owner permissions case
+  it('should let owners delete the project and manage members', () => {
+    expect(can('owner', 'project:delete')).toBe(true);
+    expect(can('owner', 'members:manage')).toBe(true);
+    expect(can(null, 'project:read')).toBe(false);
+  });
+
+  //malformed project id case
+  it('should treat a malformed project id as a missing project', async () => {
+    await expect(authorizeProject('not-an-id', { _id: 'owner-id' }, 'project:read')).resolves.toEqual({
+      status: 404,
+      error: 'Project not found or you do not have access to this project'
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { parseDays, buildStatsPipeline, formatStats } = require('../projectStats');
+
+describe('Project Stats Tests', () => {
+  const now = new Date('2025-01-15T12:00:00Z');
+
+  //days param case
+  it('should parse the due-soon window', () => {
+    expect(parseDays(undefined)).toEqual({ days: 7 });
+    expect(parseDays('14')).toEqual({ days: 14 });
+    expect(parseDays('0')).toHaveProperty('error');
+    expect(parseDays('abc')).toHaveProperty('error');
+  });
+
+  //pipeline shape case
+  it('should run one faceted aggregation over the matched tasks', () => {
+    const pipeline = buildStatsPipeline({ project: 'p1' }, { now, days: 7, byProject: true });
+
+    expect(pipeline[0]).toEqual({ $match: { project: 'p1' } });
+    expect(Object.keys(pipeline[1].$facet)).toEqual(
+      expect.arrayContaining(['summary', 'overdue', 'dueSoon', 'completedByWeek', 'byProject'])
+    );
+  });
+
+  //parent and subtasks case
+  it('should only count the duration of tasks without subtasks', () => {
+    const pipeline = buildStatsPipeline({ project: 'p1' }, { now, days: 7 });
+    const { totalDuration } = pipeline[1].$facet.summary[0].$group;
+    const [hasSubtasks, parentDuration, ownDuration] = totalDuration.$sum.$cond;
+
+    expect(hasSubtasks).toEqual({ $gt: ['$rollup.subtasks', 0] });
+    expect(parentDuration).toBe(0);
+    expect(ownDuration).toEqual({ $max: [{ $ifNull: ['$duration', 0] }, 0] });
+  });
+
+  //summary and burndown case
+  it('should compute percent complete and a weekly burndown', () => {
+    const stats = formatStats([{
+      summary: [{
+        totalTasks: 3,
+        completedTasks: 1,
+        totalDuration: 10,
+        remainingDuration: 6,
+        firstStart: new Date('2025-01-01T00:00:00Z'),
+        lastEnd: new Date('2025-01-20T00:00:00Z')
+      }],
+      overdue: [{ _id: 't2', name: 'Late task' }],
+      overdueCount: [{ count: 1 }],
+      dueSoon: [],
+      dueSoonCount: [],
+      completedByWeek: [{ _id: new Date('2025-01-06T00:00:00Z'), duration: 4, tasks: 1 }]
+    }], { now, days: 7 });
+
+    expect(stats.percentComplete).toBe(40);
+    expect(stats.overdue.count).toBe(1);
+    expect(stats.dueSoon.count).toBe(0);
+    expect(stats.burndown.map((week) => week.remaining)).toEqual([10, 6, 6, null]);
+    expect(stats.burndown[0].weekStart).toEqual(new Date('2024-12-30T00:00:00Z'));
+  });
+
+  //no tasks case
+  it('should return zeroes for a project without tasks', () => {
+    const stats = formatStats([{
+      summary: [], overdue: [], overdueCount: [], dueSoon: [], dueSoonCount: [], completedByWeek: []
+    }], { now, days: 7 });
+
+    expect(stats.totalTasks).toBe(0);
+    expect(stats.percentComplete).toBe(0);
+    expect(stats.burndown).toEqual([]);
+  });
+});
@@ -0,0 +1,102 @@
+const csv = require('../csv');
+const { toJson, toCsv, parseImport, buildDocuments } = require('../projectTransfer');
+
+describe('Project Import/Export Tests', () => {
+  const project = {
+    _id: 'p1',
+    name: 'Launch',
+    description: 'Quotes "and", commas',
+    startDate: new Date('2025-01-01T00:00:00Z')
+  };
+  const tasks = [
+    { _id: 't1', project: 'p1', name: 'Design', duration: 2, status: 'done', dependsOn: [] },
+    { _id: 't2', project: 'p1', name: 'Build', duration: 5, status: 'todo', dependsOn: ['t1'] }
+  ];
+
+  describe('CSV', () => {
+    //round trip case
+    it('should round-trip quoted fields and line breaks', () => {
+      const rows = [['a', 'b "c"', 'd,e'], ['line\nbreak', '', 'x']];
+      expect(csv.parse(csv.stringify(rows))).toEqual(rows);
+    });
+
+    //unterminated quote case
+    it('should reject an unterminated quoted field', () => {
+      expect(() => csv.parse('a,"b\n')).toThrow('Unterminated');
+    });
+  });
+
+  describe('Export and Re-import', () => {
+    //json round trip case
+    it('should import its own JSON export', () => {
+      const exported = JSON.parse(JSON.stringify(toJson(project, tasks)));
+      const { plan, errors } = parseImport('json', exported);
+
+      expect(errors).toBeUndefined();
+      expect(plan.projects).toHaveLength(1);
+      expect(plan.tasks.map((task) => task.dependsOn)).toEqual([[], ['t1']]);
+    });
+
+    //csv round trip case
+    it('should import its own CSV export', () => {
+      const { plan, errors } = parseImport('csv', toCsv(project, tasks));
+
+      expect(errors).toBeUndefined();
+      expect(plan.projects[0].fields.description).toBe('Quotes "and", commas');
+      expect(plan.tasks[1].fields.duration).toBe(5);
+    });
+
+    //remapping case
+    it('should remap ids and set the owner on new documents', () => {
+      const { plan } = parseImport('json', JSON.parse(JSON.stringify(toJson(project, tasks))));
+      let next = 0;
+      const docs = buildDocuments(plan, 'user-1', () => `new-${next++}`);
+
+      expect(docs.projects[0]).toMatchObject({ _id: 'new-0', owner: 'user-1', name: 'Launch' });
+      expect(docs.tasks[0]).toMatchObject({ _id: 'new-1', project: 'new-0', owner: 'user-1' });
+      expect(docs.tasks[1].dependsOn).toEqual(['new-1']);
+    });
+  });
+
+  describe('Rejected Imports', () => {
+    //per-row error report case
+    it('should report every invalid row', () => {
+      const text = [
+        'type,id,project,name,duration,startDate,endDate,dependsOn',
+        'project,p1,,Launch,,,,',
+        'task,t1,p1,,-1,,,',
+        'task,t2,p9,Build,abc,,,',
+        'task,t3,p1,Test,1,2025-02-01,2025-01-01,t7'
+      ].join('\n');
+      const { errors } = parseImport('csv', text);
+
+      expect(errors.map((e) => e.row)).toEqual([3, 4, 5]);
+      expect(errors[0].errors).toHaveProperty('name');
+      expect(errors[0].errors).toHaveProperty('duration');
+      expect(errors[1].errors.project).toBe('Unknown project "p9"');
+      expect(errors[1].errors).toHaveProperty('duration');
+      expect(errors[2].errors).toHaveProperty('endDate');
+      expect(errors[2].errors).toHaveProperty('dependsOn');
+    });
+
+    //dependency cycle case
+    it('should reject dependency cycles', () => {
+      const { errors } = parseImport('json', {
+        project: { id: 'p1', name: 'Loop' },
+        tasks: [
+          { id: 'a', name: 'A', dependsOn: ['b'] },
+          { id: 'b', name: 'B', dependsOn: ['a'] }
+        ]
+      });
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].errors.dependsOn).toMatch('cycle');
+    });
+
+    //empty import case
+    it('should reject an import without projects', () => {
+      expect(parseImport('json', {}).errors[0].errors).toHaveProperty('body');
+      expect(parseImport('csv', 'name\nx').errors[0].errors).toHaveProperty('header');
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const express = require('express');
+const request = require('supertest');
+const { createTestApp } = require('./helpers/app');
+const { createMemoryStore, rateLimit, apiBudget } = require('../rateLimit');
+
+describe('Rate Limit Tests', () => {
+  const previous = { ...process.env };
+
+  beforeEach(() => {
+    process.env.RATE_LIMIT_AUTH_MAX = '2';
+    process.env.RATE_LIMIT_READ_MAX = '3';
+    process.env.RATE_LIMIT_WRITE_MAX = '2';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    ['RATE_LIMIT_AUTH_MAX', 'RATE_LIMIT_READ_MAX', 'RATE_LIMIT_WRITE_MAX'].forEach((name) => {
+      if (previous[name] === undefined) delete process.env[name];
+      else process.env[name] = previous[name];
+    });
+  });
+
+  // Requests signed in as whoever is named in the x-user header
+  const createApp = (store) => {
+    const app = express();
+    app.use((req, res, next) => {
+      if (req.get('x-user')) req.user = { _id: req.get('x-user') };
+      next();
+    });
+    app.use('/api', rateLimit(apiBudget, store));
+    app.all('/api/things', (req, res) => res.json({ ok: true }));
+    return app;
+  };
+
+  //headers on allowed requests case
+  it('should report the remaining budget on every response', async () => {
+    const response = await request(createApp(createMemoryStore())).get('/api/things');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['ratelimit-limit']).toBe('3');
+    expect(response.headers['ratelimit-remaining']).toBe('2');
+    expect(Number(response.headers['ratelimit-reset'])).toBeLessThanOrEqual(60);
+    expect(response.headers['ratelimit-policy']).toBe('3;w=60');
+  });
+
+  //over the budget case
+  it('should answer 429 with Retry-After once the budget is spent', async () => {
+    const app = createApp(createMemoryStore());
+    await request(app).post('/api/things');
+    await request(app).put('/api/things');
+
+    const response = await request(app).delete('/api/things');
+
+    expect(response.status).toBe(429);
+    expect(response.body.error).toBe('Too many requests, please try again later');
+    expect(response.body.details.limit).toBe(2);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    expect(response.headers['ratelimit-remaining']).toBe('0');
+    // Reads have a budget of their own
+    expect((await request(app).get('/api/things')).status).toBe(200);
+  });
+
+  //per user case
+  it('should count signed-in users separately from each other and from their IP', async () => {
+    const app = createApp(createMemoryStore());
+    await request(app).post('/api/things').set('x-user', 'ada');
+    await request(app).post('/api/things').set('x-user', 'ada');
+
+    expect((await request(app).post('/api/things').set('x-user', 'ada')).status).toBe(429);
+    expect((await request(app).post('/api/things').set('x-user', 'bob')).status).toBe(200);
+    expect((await request(app).post('/api/things')).status).toBe(200);
+  });
+
+  //window reset case
+  it('should start counting again in the next window', async () => {
+    const app = createApp(createMemoryStore());
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await request(app).post('/api/things');
+    await request(app).post('/api/things');
+    expect((await request(app).post('/api/things')).status).toBe(429);
+
+    Date.now.mockReturnValue(now + 60 * 1000);
+    expect((await request(app).post('/api/things')).status).toBe(200);
+  });
+
+  //disabled limit case
+  it('should not count requests when the maximum is 0', async () => {
+    process.env.RATE_LIMIT_WRITE_MAX = '0';
+    const app = createApp(createMemoryStore());
+    await request(app).post('/api/things');
+    await request(app).post('/api/things');
+
+    const response = await request(app).post('/api/things');
+    expect(response.status).toBe(200);
+    expect(response.headers['ratelimit-limit']).toBeUndefined();
+  });
+
+  //store unavailable case
+  it('should let requests through when the store fails', async () => {
+    const store = { increment: () => Promise.reject(new Error('store offline')) };
+
+    expect((await request(createApp(store)).post('/api/things')).status).toBe(200);
+  });
+
+  //auth routes case
+  it('should throttle sign-in routes by IP', async () => {
+    const app = createTestApp({ rateLimitStore: createMemoryStore() });
+    await request(app).get('/test-session');
+    await request(app).get('/auth/unknown');
+
+    const response = await request(app).get('/test-session');
+    expect(response.status).toBe(429);
+    expect(response.headers['set-cookie']).toBeUndefined();
+    expect(response.headers['ratelimit-policy']).toBe('2;w=900');
+  });
+
+  //api routes case
+  it('should throttle API calls in the app', async () => {
+    const app = createTestApp({ rateLimitStore: createMemoryStore() });
+    await request(app).post('/api/projects');
+    await request(app).post('/api/projects');
+
+    expect((await request(app).post('/api/projects')).status).toBe(429);
+    expect((await request(app).get('/health/live')).status).toBe(200);
+  });
+});
@@ -0,0 +1,64 @@
+const EventEmitter = require('events');
+const { subscribe, publish, connectedClients } = require('../realtime');
+
+// Fake request/response pair for an SSE connection
+const connect = (userId, query = {}) => {
+  const req = new EventEmitter();
+  req.user = { _id: userId };
+  req.query = query;
+  const res = { set: jest.fn(), flushHeaders: jest.fn(), write: jest.fn(), end: jest.fn() };
+  subscribe(req, res);
+  return { req, res, events: () => res.write.mock.calls.map(([chunk]) => chunk).filter((chunk) => chunk.startsWith('id:')) };
+};
+
+describe('Real-time Event Tests', () => {
+  const project = {
+    _id: 'p1',
+    owner: 'owner',
+    members: [
+      { user: 'viewer', role: 'viewer', status: 'active' },
+      { user: 'invited', role: 'editor', status: 'pending' }
+    ]
+  };
+
+  //stream setup case
+  it('should open an event stream and send a ready event', () => {
+    const client = connect('owner');
+
+    expect(client.res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(client.events()[0]).toMatch('event: ready');
+    client.req.emit('close');
+  });
+
+  //access filtering case
+  it('should only deliver events to users who can read the project', () => {
+    const owner = connect('owner');
+    const viewer = connect('viewer');
+    const invited = connect('invited');
+    const stranger = connect('stranger');
+
+    publish('task.created', project, { _id: 't1', name: 'Task' });
+
+    expect(owner.events()).toHaveLength(2);
+    expect(viewer.events()[1]).toMatch('event: task.created');
+    expect(JSON.parse(viewer.events()[1].split('data: ')[1])).toEqual({
+      type: 'task.created',
+      project: 'p1',
+      data: { _id: 't1', name: 'Task' }
+    });
+    expect(invited.events()).toHaveLength(1);
+    expect(stranger.events()).toHaveLength(1);
+
+    [owner, viewer, invited, stranger].forEach((client) => client.req.emit('close'));
+  });
+
+  //project scoped stream case
+  it('should honour the project filter and stop after disconnect', () => {
+    const scoped = connect('owner', { project: 'p2' });
+    publish('project.updated', project, project);
+    expect(scoped.events()).toHaveLength(1);
+
+    scoped.req.emit('close');
+    expect(connectedClients()).toBe(0);
+  });
+});
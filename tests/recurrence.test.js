@@ -0,0 +1,84 @@
+const { parseRule, completeRule, occurrences } = require('../recurrence');
+const { taskFields, validate } = require('../validation');
+
+const iso = (dates) => dates.map((date) => date.toISOString().slice(0, 10));
+
+describe('Recurring Task Tests', () => {
+  //rrule string case
+  it('should parse an RRULE string into a rule', () => {
+    expect(parseRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=mo,FR;UNTIL=20250131')).toEqual({
+      value: {
+        freq: 'weekly',
+        interval: 2,
+        byDay: ['MO', 'FR'],
+        until: new Date('2025-01-31T23:59:59Z')
+      }
+    });
+  });
+
+  //invalid rule case
+  it('should reject rules it cannot follow', () => {
+    expect(parseRule({ freq: 'yearly' }).error).toMatch('frequency must be one of');
+    expect(parseRule({ freq: 'daily', byDay: ['MO'] }).error).toBe('weekdays can only be set on weekly rules');
+    expect(parseRule({ freq: 'daily', count: 3, until: '2025-02-01' }).error).toMatch('not both');
+    expect(parseRule('FREQ=DAILY;BYHOUR=9').error).toBe('does not support BYHOUR');
+    expect(validate(taskFields, { project: '65a000000000000000000001', name: 'Report', recurrence: { freq: 'weekly', interval: 0 } }).errors)
+      .toEqual({ recurrence: 'Recurrence interval must be a positive whole number' });
+  });
+
+  //daily case
+  it('should repeat daily up to the count, starting with the first task', () => {
+    const start = new Date('2025-01-01T09:00:00Z');
+    const dates = occurrences({ freq: 'daily', interval: 2, count: 3 }, start);
+    expect(dates.map((date) => date.toISOString())).toEqual([
+      '2025-01-01T09:00:00.000Z',
+      '2025-01-03T09:00:00.000Z',
+      '2025-01-05T09:00:00.000Z'
+    ]);
+  });
+
+  //weekly case
+  it('should repeat weekly on the given weekdays until the end date', () => {
+    // 2025-01-06 is a Monday
+    const rule = { freq: 'weekly', interval: 1, byDay: ['WE', 'MO'], until: new Date('2025-01-20T23:59:59Z') };
+    expect(iso(occurrences(rule, new Date('2025-01-06T09:00:00Z'))))
+      .toEqual(['2025-01-06', '2025-01-08', '2025-01-13', '2025-01-15', '2025-01-20']);
+  });
+
+  //monthly case
+  it('should repeat monthly by day and skip months without that day', () => {
+    const start = new Date('2025-01-31T09:00:00Z');
+    const rule = completeRule({ freq: 'monthly', interval: 1, count: 4 }, start);
+    expect(rule.byMonthDay).toEqual([31]);
+    expect(iso(occurrences(rule, start))).toEqual(['2025-01-31', '2025-03-31', '2025-05-31', '2025-07-31']);
+  });
+
+  //horizon case
+  it('should stop at the generation horizon', () => {
+    const start = new Date('2025-01-06T09:00:00Z');
+    const rule = completeRule({ freq: 'weekly', interval: 1 }, start);
+    expect(rule.byDay).toEqual(['MO']);
+    expect(iso(occurrences(rule, start, { before: new Date('2025-01-21T00:00:00Z') })))
+      .toEqual(['2025-01-06', '2025-01-13', '2025-01-20']);
+  });
+
+  //past start date case
+  it('should pick a series that started in the past up from now instead of backfilling it', () => {
+    const now = new Date('2025-05-14T12:00:00Z');
+    const before = new Date('2025-07-13T12:00:00Z');
+
+    const daily = occurrences({ freq: 'daily' }, new Date('2024-01-01T09:00:00Z'), { after: now, before });
+    expect(daily).toHaveLength(60);
+    expect(iso([daily[0], daily[59]])).toEqual(['2025-05-15', '2025-07-13']);
+
+    // Every other Monday counted from the original start, not from now
+    const fortnightly = occurrences({ freq: 'weekly', interval: 2, byDay: ['MO'] }, new Date('2024-01-01T09:00:00Z'), { after: now, before });
+    expect(iso(fortnightly)).toEqual(['2025-05-19', '2025-06-02', '2025-06-16', '2025-06-30']);
+
+    const monthly = occurrences({ freq: 'monthly', byMonthDay: [31] }, new Date('2023-01-31T09:00:00Z'), { after: now, before });
+    expect(iso(monthly)).toEqual(['2025-05-31']);
+
+    // Past occurrences still use up the count
+    expect(occurrences({ freq: 'daily', count: 10 }, new Date('2024-01-01T09:00:00Z'), { after: now, before })).toEqual([]);
+  });
+});
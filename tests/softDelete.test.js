@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const softDelete = require('../softDelete');
+const { purgeDate } = require('../trashPurge');
+
+const schema = new mongoose.Schema({ name: String });
+schema.plugin(softDelete);
+const Item = mongoose.model('SoftDeleteItem', schema);
+
+// Runs the model's pre hooks for a query or aggregation without touching the database.
+// Queries are thenables, so the promise resolves empty rather than with the query itself.
+const runPreHooks = (name, context) => new Promise((resolve, reject) => {
+  Item.schema.s.hooks.execPre(name, context, [], (err) => (err ? reject(err) : resolve()));
+});
+
+describe('Soft Delete Tests', () => {
+  //default query case
+  it('should hide deleted documents from queries', async () => {
+    const query = Item.find({ name: 'a' });
+    await runPreHooks('find', query);
+    expect(query.getFilter()).toEqual({ name: 'a', deletedAt: null });
+  });
+
+  //explicit deletedAt filter case
+  it('should leave queries that ask about deletedAt alone', async () => {
+    const query = Item.find({ $and: [{ name: 'a' }, { deletedAt: { $ne: null } }] });
+    await runPreHooks('find', query);
+    expect(query.getFilter()).toEqual({ $and: [{ name: 'a' }, { deletedAt: { $ne: null } }] });
+  });
+
+  //withDeleted option case
+  it('should include deleted documents when asked to', async () => {
+    const query = Item.findById('65a000000000000000000001').setOptions({ withDeleted: true });
+    await runPreHooks('findOne', query);
+    expect(query.getFilter()).not.toHaveProperty('deletedAt');
+  });
+
+  //aggregation case
+  it('should exclude deleted documents from aggregations', async () => {
+    const aggregate = Item.aggregate([{ $match: { name: 'a' } }]);
+    await runPreHooks('aggregate', aggregate);
+    expect(aggregate.pipeline()[0]).toEqual({ $match: { deletedAt: null } });
+  });
+
+  //retention case
+  it('should purge items once the retention period has passed', () => {
+    const deletedAt = new Date('2025-01-01T00:00:00Z');
+    expect(purgeDate(deletedAt, 30)).toEqual(new Date('2025-01-31T00:00:00Z'));
+  });
+});
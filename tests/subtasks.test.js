@@ -0,0 +1,41 @@
+const { maxDepth, computeRollup, validateParent } = require('../subtasks');
+
+describe('Subtask Tests', () => {
+  //rollup case
+  it('should total duration and completion of subtasks', () => {
+    expect(computeRollup([
+      { duration: 2, status: 'done' },
+      { duration: 3, status: 'in_progress' },
+      { status: 'todo' }
+    ])).toEqual({ duration: 5, subtasks: 3, completed: 1, progress: 0.33 });
+  });
+
+  //nested rollup case
+  it('should count nested subtasks through their own rollup', () => {
+    const nested = { duration: 10, status: 'done', rollup: { duration: 4, subtasks: 2, completed: 2, progress: 1 } };
+    expect(computeRollup([nested, { duration: 1, status: 'todo' }]))
+      .toEqual({ duration: 5, subtasks: 4, completed: 3, progress: 0.75 });
+  });
+
+  //no subtasks case
+  it('should have no rollup without subtasks', () => {
+    expect(computeRollup([])).toBeNull();
+  });
+
+  //self parent case
+  it('should not let a task be its own parent', async () => {
+    const id = '65a000000000000000000001';
+    expect(await validateParent(id, '65a000000000000000000002', id)).toEqual({
+      error: 'A task cannot be its own subtask',
+      details: { parent: 'A task cannot be its own subtask' }
+    });
+  });
+
+  //depth setting case
+  it('should read the nesting limit from the environment', () => {
+    expect(maxDepth()).toBe(3);
+    process.env.SUBTASK_MAX_DEPTH = '5';
+    expect(maxDepth()).toBe(5);
+    delete process.env.SUBTASK_MAX_DEPTH;
+  });
+});
@@ -0,0 +1,106 @@
+const { createTestApp, signInAs } = require('./helpers/app');
+const { useTestDatabase } = require('./helpers/db');
+const { createUser, createProject, addMember, createTask } = require('./helpers/fixtures');
+
+const app = createTestApp();
+
+describe('Comment API Tests', () => {
+  useTestDatabase();
+
+  let owner;
+  let member;
+  let project;
+  let task;
+
+  beforeEach(async () => {
+    owner = await createUser();
+    member = await createUser();
+    project = await createProject(owner);
+    await addMember(project, member, 'viewer');
+    task = await createTask(project);
+  });
+
+  //comment and reply case
+  it('should let viewers comment and reply in one thread', async () => {
+    const api = signInAs(app, member);
+
+    const comment = await api.post(`/api/tasks/${task._id}/comments`).send({ body: 'First' });
+    const reply = await signInAs(app, owner).post(`/api/tasks/${task._id}/comments`)
+      .send({ body: 'Reply', parent: comment.body._id });
+    const nested = await api.post(`/api/tasks/${task._id}/comments`).send({ body: 'Nested', parent: reply.body._id });
+
+    expect(comment.status).toBe(201);
+    expect(comment.body.author.email).toBe(member.email);
+    expect(reply.body.parent).toBe(comment.body._id);
+    // Replies to a reply join the same thread
+    expect(nested.body.parent).toBe(comment.body._id);
+
+    const list = await api.get(`/api/tasks/${task._id}/comments`);
+    expect(list.status).toBe(200);
+    expect(list.body.data.map((c) => c.body)).toEqual(['First', 'Reply', 'Nested']);
+  });
+
+  //outsider case
+  it('should not let users outside the project comment', async () => {
+    const outsider = await createUser();
+
+    const response = await signInAs(app, outsider).post(`/api/tasks/${task._id}/comments`).send({ body: 'Hi' });
+
+    expect(response.status).toBe(404);
+  });
+
+  //edit and delete own comment case
+  it('should only let authors edit and delete their comments', async () => {
+    const comment = await signInAs(app, member).post(`/api/tasks/${task._id}/comments`).send({ body: 'Draft' });
+    const url = `/api/tasks/${task._id}/comments/${comment.body._id}`;
+
+    expect((await signInAs(app, owner).put(url).send({ body: 'Changed' })).status).toBe(403);
+
+    const edited = await signInAs(app, member).put(url).send({ body: 'Final' });
+    expect(edited.status).toBe(200);
+    expect(edited.body.body).toBe('Final');
+    expect(edited.body).toHaveProperty('editedAt');
+
+    expect((await signInAs(app, member).delete(url)).status).toBe(200);
+    expect((await signInAs(app, member).get(`/api/tasks/${task._id}/comments`)).body.data).toEqual([]);
+  });
+
+  //deleted parent placeholder case
+  it('should keep a deleted comment with replies as a placeholder', async () => {
+    const comment = await signInAs(app, member).post(`/api/tasks/${task._id}/comments`).send({ body: 'Question' });
+    await signInAs(app, owner).post(`/api/tasks/${task._id}/comments`).send({ body: 'Answer', parent: comment.body._id });
+
+    await signInAs(app, member).delete(`/api/tasks/${task._id}/comments/${comment.body._id}`);
+
+    const list = await signInAs(app, member).get(`/api/tasks/${task._id}/comments`);
+    expect(list.body.data.map((c) => c.body)).toEqual(['', 'Answer']);
+    expect(list.body.data[0].deletedAt).toBeTruthy();
+  });
+
+  //mentions case
+  it('should list unread mentions of project members until they are read', async () => {
+    const outsider = await createUser();
+    const body = `Ping @[Member](${member._id}) and @${outsider.email}`;
+    const comment = await signInAs(app, owner).post(`/api/tasks/${task._id}/comments`).send({ body });
+
+    expect(comment.body.mentions.map((mention) => mention.user.email)).toEqual([member.email]);
+
+    const api = signInAs(app, member);
+    const unread = await api.get('/api/mentions/unread');
+    expect(unread.status).toBe(200);
+    expect(unread.body.data.map((c) => c._id)).toEqual([comment.body._id]);
+    expect(unread.body.data[0].task.name).toBe(task.name);
+
+    const read = await api.post('/api/mentions/read').send({ comments: [comment.body._id] });
+    expect(read.body.updated).toBe(1);
+    expect((await api.get('/api/mentions/unread')).body.data).toEqual([]);
+  });
+
+  //mention by email case
+  it('should resolve mentions written as an email address', async () => {
+    const comment = await signInAs(app, owner).post(`/api/tasks/${task._id}/comments`)
+      .send({ body: `@${member.email.toUpperCase()} can you check?` });
+
+    expect(comment.body.mentions.map((mention) => mention.user._id)).toEqual([String(member._id)]);
+  });
+});
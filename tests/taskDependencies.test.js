@@ -0,0 +1,108 @@
+const { findCycle, criticalPath } = require('../taskDependencies');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Task Dependency Tests', () => {
+  // a -> b -> c chain, with d running alongside b
+  const tasks = [
+    { _id: 'a', name: 'Design', duration: 2, dependsOn: [] },
+    { _id: 'b', name: 'Build', duration: 5, dependsOn: ['a'] },
+    { _id: 'c', name: 'Release', duration: 1, dependsOn: ['b', 'd'] },
+    { _id: 'd', name: 'Docs', duration: 1, dependsOn: ['a'] }
+  ];
+
+  describe('Cycle Detection', () => {
+    //valid dependencies case
+    it('should return null when no cycle is formed', () => {
+      expect(findCycle(tasks, 'e', ['c'])).toBeNull();
+    });
+
+    //direct cycle case
+    it('should detect a cycle between two tasks', () => {
+      expect(findCycle(tasks, 'a', ['b'])).toEqual(['a', 'b', 'a']);
+    });
+
+    //indirect cycle case
+    it('should detect a cycle through several tasks', () => {
+      const cycle = findCycle(tasks, 'a', ['c']);
+      expect(cycle[0]).toBe('a');
+      expect(cycle[cycle.length - 1]).toBe('a');
+    });
+  });
+
+  describe('Critical Path', () => {
+    //longest chain case
+    it('should return the longest chain by duration', () => {
+      const result = criticalPath(tasks, new Date('2025-01-01'));
+
+      expect(result.totalDuration).toBe(8);
+      expect(result.path.map((task) => task._id)).toEqual(['a', 'b', 'c']);
+    });
+
+    //earliest and latest start case
+    it('should compute earliest and latest start dates for each task', () => {
+      const start = new Date('2025-01-01');
+      const result = criticalPath(tasks, start);
+      const docs = result.tasks.find((task) => task._id === 'd');
+
+      expect(docs.earliestStart).toEqual(new Date(start.getTime() + 2 * DAY_MS));
+      expect(docs.latestStart).toEqual(new Date(start.getTime() + 6 * DAY_MS));
+      expect(docs.slack).toBe(4);
+      expect(docs.critical).toBe(false);
+    });
+
+    //cycle in stored data case
+    it('should throw when stored dependencies contain a cycle', () => {
+      const cyclic = [
+        { _id: 'x', duration: 1, dependsOn: ['y'] },
+        { _id: 'y', duration: 1, dependsOn: ['x'] }
+      ];
+      expect(() => criticalPath(cyclic, new Date())).toThrow('cycle');
+    });
+
+    //subtasks case
+    it('should schedule subtasks inside their parent without counting the parent twice', () => {
+      const start = new Date('2025-01-01');
+      const nested = [
+        { _id: 'a', duration: 2, dependsOn: [] },
+        { _id: 'p', duration: 10, dependsOn: ['a'], rollup: { duration: 5, subtasks: 2 } },
+        { _id: 's1', duration: 2, dependsOn: [], parent: 'p' },
+        { _id: 's2', duration: 3, dependsOn: ['s1'], parent: 'p' },
+        { _id: 'after', duration: 1, dependsOn: ['p'] }
+      ];
+      const result = criticalPath(nested, start);
+      const byId = Object.fromEntries(result.tasks.map((task) => [task._id, task]));
+
+      expect(result.totalDuration).toBe(8);
+      expect(byId.s1.earliestStart).toEqual(new Date(start.getTime() + 2 * DAY_MS));
+      expect(byId.s2.earliestStart).toEqual(new Date(start.getTime() + 4 * DAY_MS));
+      expect(byId.p.earliestStart).toEqual(byId.s1.earliestStart);
+      expect(byId.p.earliestFinish).toEqual(byId.s2.earliestFinish);
+      expect(byId.p.duration).toBe(5);
+      expect(byId.p.dependsOn).toEqual(['a']);
+      expect(byId.after.earliestStart).toEqual(new Date(start.getTime() + 7 * DAY_MS));
+      expect(result.path.map((task) => task._id)).toEqual(['a', 's1', 's2', 'p', 'after']);
+    });
+
+    //trashed dependency case
+    it('should ignore dependencies on tasks that are not in the list', () => {
+      const live = tasks.filter((task) => task._id !== 'b');
+      const result = criticalPath(live, new Date('2025-01-01'));
+      const release = result.tasks.find((task) => task._id === 'c');
+
+      expect(result.totalDuration).toBe(4);
+      expect(release.dependsOn).toEqual(['d']);
+    });
+
+    //cycle through a parent case
+    it('should detect a cycle between a subtask and a task waiting on its parent', () => {
+      const nested = [
+        { _id: 'p', dependsOn: [] },
+        { _id: 's', dependsOn: [], parent: 'p' },
+        { _id: 'after', dependsOn: ['p'] }
+      ];
+      expect(findCycle(nested, 's', ['after'])).not.toBeNull();
+      expect(findCycle(nested, 'after', ['p'])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const { canTransition, loadTransitions, buildBoard, reorderColumn } = require('../taskWorkflow');
+
+describe('Task Workflow Tests', () => {
+  describe('Status Transitions', () => {
+    //default workflow case
+    it('should allow the default transitions and reject the rest', () => {
+      expect(canTransition('todo', 'in_progress')).toBe(true);
+      expect(canTransition('done', 'in_progress')).toBe(true);
+      expect(canTransition('blocked', 'done')).toBe(false);
+      expect(canTransition('done', 'todo')).toBe(false);
+    });
+
+    //same status case
+    it('should always allow staying in the same status', () => {
+      expect(canTransition('blocked', 'blocked')).toBe(true);
+    });
+
+    //custom workflow case
+    it('should load a custom transition map', () => {
+      const transitions = loadTransitions('{"todo":["done"]}');
+
+      expect(canTransition('todo', 'done', transitions)).toBe(true);
+      expect(canTransition('todo', 'in_progress', transitions)).toBe(false);
+    });
+
+    //invalid config case
+    it('should reject a transition map with unknown statuses', () => {
+      expect(() => loadTransitions('{"todo":["archived"]}')).toThrow('TASK_STATUS_TRANSITIONS');
+    });
+
+    //malformed config case
+    it('should reject a transition map that is not a JSON object', () => {
+      expect(() => loadTransitions('todo=done')).toThrow('TASK_STATUS_TRANSITIONS must be valid JSON');
+      expect(() => loadTransitions('null')).toThrow('TASK_STATUS_TRANSITIONS must be a JSON object');
+      expect(() => loadTransitions('["todo"]')).toThrow('TASK_STATUS_TRANSITIONS must be a JSON object');
+    });
+  });
+
+  describe('Board', () => {
+    const tasks = [
+      { _id: 'b', status: 'todo', position: 1, createdAt: new Date('2025-01-02') },
+      { _id: 'a', status: 'todo', position: 0, createdAt: new Date('2025-01-03') },
+      { _id: 'c', status: 'done', position: 0, createdAt: new Date('2025-01-01') },
+      { _id: 'd', createdAt: new Date('2025-01-01') }
+    ];
+
+    //grouping case
+    it('should group tasks into status columns in a stable order', () => {
+      const board = buildBoard(tasks);
+
+      expect(board.map((column) => column.status)).toEqual(['todo', 'in_progress', 'blocked', 'done']);
+      expect(board[0].tasks.map((task) => task._id)).toEqual(['a', 'b', 'd']);
+      expect(board[3].tasks.map((task) => task._id)).toEqual(['c']);
+    });
+
+    //reorder case
+    it('should insert a card at the requested index', () => {
+      expect(reorderColumn(tasks.slice(0, 2), 'x', 1)).toEqual(['a', 'x', 'b']);
+      expect(reorderColumn(tasks.slice(0, 2), 'x', 99)).toEqual(['a', 'b', 'x']);
+      expect(reorderColumn(tasks.slice(0, 2), 'a', 1)).toEqual(['b', 'a']);
+    });
+  });
+});
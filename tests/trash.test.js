@@ -0,0 +1,106 @@
+const { createTestApp, signInAs } = require('./helpers/app');
+const { useTestDatabase } = require('./helpers/db');
+const { createUser, createProject, addMember, createTask } = require('./helpers/fixtures');
+const { purgeTrash } = require('../trashPurge');
+
+const app = createTestApp();
+
+describe('Trash API Tests', () => {
+  useTestDatabase();
+
+  let user;
+  let api;
+  let project;
+
+  beforeEach(async () => {
+    user = await createUser();
+    api = signInAs(app, user);
+    project = await createProject(user);
+  });
+
+  //project delete and restore case
+  it('should move a project and its tasks to the trash and bring them back', async () => {
+    const task = await createTask(project);
+
+    expect((await api.delete(`/api/projects/${project._id}`)).status).toBe(200);
+    expect((await api.get(`/api/projects/${project._id}`)).status).toBe(404);
+    expect((await api.get(`/api/tasks/${task._id}`)).status).toBe(404);
+
+    const trash = await api.get('/api/trash');
+    expect(trash.status).toBe(200);
+    expect(trash.body.projects.map((item) => item._id)).toEqual([String(project._id)]);
+    expect(trash.body.projects[0]).toHaveProperty('purgeAt');
+    // Tasks deleted with their project come back with it, so they aren't listed on their own
+    expect(trash.body.tasks).toEqual([]);
+
+    const restored = await api.post(`/api/projects/${project._id}/restore`);
+    expect(restored.status).toBe(200);
+    expect(restored.body.restoredTasks).toBe(1);
+    expect((await api.get(`/api/tasks/${task._id}`)).status).toBe(200);
+    expect((await api.get('/api/trash')).body.projects).toEqual([]);
+  });
+
+  //restore live project case
+  it('should not restore a project that is not in the trash', async () => {
+    const response = await api.post(`/api/projects/${project._id}/restore`);
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe('Project is not in the trash');
+  });
+
+  //task delete and restore case
+  it('should restore a deleted task with its subtasks', async () => {
+    const parent = await createTask(project, { name: 'Parent' });
+    const subtask = await createTask(project, { name: 'Subtask', parent: parent._id });
+
+    expect((await api.delete(`/api/tasks/${parent._id}`)).status).toBe(200);
+    expect((await api.get(`/api/tasks/${subtask._id}`)).status).toBe(404);
+
+    const trash = await api.get('/api/trash');
+    expect(trash.body.tasks.map((item) => item._id)).toEqual([String(parent._id)]);
+
+    const restored = await api.post(`/api/tasks/${parent._id}/restore`);
+    expect(restored.status).toBe(200);
+    expect((await api.get(`/api/tasks/${subtask._id}`)).status).toBe(200);
+  });
+
+  //task in deleted project case
+  it('should ask for the project to be restored before its tasks', async () => {
+    const task = await createTask(project);
+    await api.delete(`/api/projects/${project._id}`);
+
+    const response = await api.post(`/api/tasks/${task._id}/restore`);
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe("Restore the task's project first");
+  });
+
+  //trash permissions case
+  it('should only let the owner restore a project', async () => {
+    const editor = await createUser();
+    await addMember(project, editor, 'editor');
+    await api.delete(`/api/projects/${project._id}`);
+
+    const editorApi = signInAs(app, editor);
+    expect((await editorApi.get('/api/trash')).body.projects).toEqual([]);
+    expect((await editorApi.post(`/api/projects/${project._id}/restore`)).status).toBe(403);
+  });
+
+  //purged dependency case
+  it('should remove a purged task from the tasks that depended on it', async () => {
+    const design = await createTask(project, { name: 'Design' });
+    const build = await createTask(project, { name: 'Build', dependsOn: [design._id] });
+    await api.delete(`/api/tasks/${design._id}`);
+    expect((await api.get(`/api/tasks/${build._id}`)).body.dependsOn).toEqual([String(design._id)]);
+
+    const { purgedTasks } = await purgeTrash(new Date(), 0);
+
+    expect(purgedTasks).toBe(1);
+    expect((await api.get(`/api/tasks/${build._id}`)).body.dependsOn).toEqual([]);
+
+    const [removal] = (await api.get(`/api/projects/${project._id}/activity`)).body.data;
+    expect(removal.task).toBe(String(build._id));
+    expect(removal.actor._id).toBe(String(user._id));
+    expect(removal.changes).toEqual([{ field: 'dependsOn', before: [String(design._id)], after: [] }]);
+  });
+});
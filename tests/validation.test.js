@@ -0,0 +1,51 @@
+const { projectFields, taskFields, validate } = require('../validation');
+
+describe('Payload Validation Tests', () => {
+  //valid create case
+  it('should accept a valid project and convert dates', () => {
+    const { value, errors } = validate(projectFields, {
+      name: 'Project',
+      startDate: '2025-01-01',
+      endDate: '2025-01-31'
+    });
+
+    expect(errors).toBeNull();
+    expect(value.startDate).toEqual(new Date('2025-01-01'));
+  });
+
+  //required field case
+  it('should require the name on create but not on update', () => {
+    expect(validate(projectFields, {}).errors).toEqual({ name: 'Project name is required' });
+    expect(validate(projectFields, {}, { partial: true }).errors).toBeNull();
+  });
+
+  //whitelist case
+  it('should reject fields outside the whitelist and drop server-managed ones', () => {
+    const { value, errors } = validate(projectFields, { name: 'Project', owner: 'someone', _id: 'abc' });
+
+    expect(errors).toEqual({ owner: 'Field is not allowed' });
+    expect(value).not.toHaveProperty('_id');
+  });
+
+  //date order case
+  it('should compare date order against stored values on update', () => {
+    const existing = { startDate: new Date('2025-02-01'), endDate: new Date('2025-03-01') };
+    const { errors } = validate(taskFields, { endDate: '2025-01-15' }, { partial: true, existing });
+
+    expect(errors).toEqual({ endDate: 'End date must be on or after the start date' });
+  });
+
+  //duration and id checks case
+  it('should reject a negative duration and malformed ids', () => {
+    const { errors } = validate(taskFields, {
+      project: 'not-an-id',
+      name: 'Task',
+      duration: -1,
+      dependsOn: ['also-not-an-id']
+    });
+
+    expect(errors).toHaveProperty('project');
+    expect(errors.duration).toBe('Duration must be at least 0');
+    expect(errors).toHaveProperty('dependsOn');
+  });
+});
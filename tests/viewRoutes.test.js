@@ -0,0 +1,78 @@
+const { createTestApp, signInAs } = require('./helpers/app');
+const { useTestDatabase } = require('./helpers/db');
+const { createUser, createProject, createTask } = require('./helpers/fixtures');
+
+const app = createTestApp();
+
+describe('Saved View API Tests', () => {
+  useTestDatabase();
+
+  let user;
+  let api;
+  let project;
+
+  beforeEach(async () => {
+    user = await createUser();
+    api = signInAs(app, user);
+    project = await createProject(user);
+  });
+
+  //save and run case
+  it('should save a view and run it against the task list', async () => {
+    const label = await api.post('/api/labels').send({ name: 'Bug', color: '#ff0000', project: String(project._id) });
+    await createTask(project, { name: 'Crash', labels: [label.body._id] });
+    await createTask(project, { name: 'Broken', labels: [label.body._id] });
+    await createTask(project, { name: 'Feature' });
+
+    const view = await api.post('/api/views').send({
+      name: 'Bugs',
+      filters: { project: String(project._id), labels: [label.body._id] },
+      sort: 'name'
+    });
+    expect(view.status).toBe(201);
+
+    const tasks = await api.get(`/api/views/${view.body._id}/tasks`);
+    expect(tasks.status).toBe(200);
+    expect(tasks.body.data.map((task) => task.name)).toEqual(['Broken', 'Crash']);
+
+    const firstPage = await api.get(`/api/views/${view.body._id}/tasks?limit=1`);
+    expect(firstPage.body.data.map((task) => task.name)).toEqual(['Broken']);
+    expect(firstPage.body.pagination.hasMore).toBe(true);
+  });
+
+  //update filters case
+  it('should replace the filters of a view as a whole', async () => {
+    await createTask(project, { name: 'Alpha' });
+    await createTask(project, { name: 'Beta' });
+    const view = await api.post('/api/views').send({ name: 'Search', filters: { q: 'Alpha' } });
+
+    const updated = await api.put(`/api/views/${view.body._id}`).send({ name: 'Everything', filters: null, sort: '-name' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.name).toBe('Everything');
+
+    const tasks = await api.get(`/api/views/${view.body._id}/tasks`);
+    expect(tasks.body.data.map((task) => task.name)).toEqual(['Beta', 'Alpha']);
+  });
+
+  //invalid view case
+  it('should reject a view with an unknown sort', async () => {
+    const response = await api.post('/api/views').send({ name: 'Bad', sort: 'priority' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toHaveProperty('sort');
+  });
+
+  //other user's view case
+  it('should keep views private to their owner', async () => {
+    const view = await api.post('/api/views').send({ name: 'Mine' });
+    const other = signInAs(app, await createUser());
+
+    expect((await other.get('/api/views')).body.data).toEqual([]);
+    expect((await other.get(`/api/views/${view.body._id}`)).status).toBe(404);
+    expect((await other.get(`/api/views/${view.body._id}/tasks`)).status).toBe(404);
+    expect((await other.delete(`/api/views/${view.body._id}`)).status).toBe(404);
+
+    expect((await api.delete(`/api/views/${view.body._id}`)).status).toBe(200);
+    expect((await api.get('/api/views')).body.data).toEqual([]);
+  });
+});
@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const requireAuth = require('./requireAuth');
+const { ApiToken, createToken, requireSession, formatToken } = require('./apiTokens');
+const { tokenFields, validate, sendValidationError } = require('./validation');
+const { logger } = require('./logger');
+
+// Personal access token management for the logged-in user
+
+router.use('/tokens', requireAuth, requireSession);
+
+// CREATE - Issue a token; the raw token is only returned here
+router.post('/tokens', async (req, res) => {
+  try {
+    const { value, errors } = validate(tokenFields, req.body);
+    if (errors) return sendValidationError(res, errors);
+
+    const { apiToken, token } = await createToken(req.user._id, value);
+    res.status(201).json({ ...formatToken(apiToken), token });
+  } catch (err) {
+    logger.error('Error creating API token', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// READ - List the user's tokens, newest first
+router.get('/tokens', async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.json(tokens.map(formatToken));
+  } catch (err) {
+    logger.error('Error fetching API tokens', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE - Revoke a token
+router.delete('/tokens/:id', async (req, res) => {
+  try {
+    const apiToken = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ApiToken.findOneAndDelete({ _id: req.params.id, user: req.user._id })
+      : null;
+    if (!apiToken) return res.status(404).json({ error: 'Token not found' });
+
+    res.json({ message: 'Token revoked successfully' });
+  } catch (err) {
+    logger.error('Error revoking API token', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
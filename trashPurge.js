@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { removeAttachments } = require('./attachments');
+const { recordActivity } = require('./activityLog');
+const { logger } = require('./logger');
+
+// Background job that permanently removes projects and tasks that have been in the trash
+// longer than the retention period.
+// TRASH_RETENTION_DAYS sets the retention (default 30), TRASH_PURGE_INTERVAL_MINUTES how often it runs (default 60).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const retentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+};
+
+// Date after which a trashed item is purged
+const purgeDate = (deletedAt, days = retentionDays()) => new Date(new Date(deletedAt).getTime() + days * DAY_MS);
+
+// Takes the purged tasks off the dependency lists of the tasks that remain
+const removeDependencies = async (purged) => {
+  const Task = mongoose.model('Task');
+  const deletedBy = new Map(purged.map((task) => [String(task._id), task.deletedBy]));
+  const ids = purged.map((task) => task._id);
+  const dependents = await Task.find({ dependsOn: { $in: ids }, _id: { $nin: ids } }, 'project dependsOn')
+    .setOptions({ withDeleted: true });
+  await Task.updateMany({ dependsOn: { $in: ids } }, { $pull: { dependsOn: { $in: ids } } }, { withDeleted: true });
+
+  await recordActivity(dependents.map((task) => {
+    const removed = task.dependsOn.filter((id) => deletedBy.has(String(id)));
+    return {
+      entityType: 'task',
+      action: 'update',
+      before: task,
+      after: { _id: task._id, project: task.project, dependsOn: task.dependsOn.filter((id) => !deletedBy.has(String(id))) },
+      actor: deletedBy.get(String(removed[0])),
+      meta: { purgedDependencies: removed }
+    };
+  }).filter((entry) => entry.actor));
+};
+
+// Removes everything deleted before the cutoff. Tasks of a purged project, and the comments
+// and attachments on purged projects and tasks and the labels of purged projects, go with it.
+// Other tasks' dependencies on purged tasks are kept while in the trash and removed here, in the
+// activity log under the user who trashed the dependency.
+const purgeTrash = async (now = new Date(), days = retentionDays()) => {
+  const Project = mongoose.model('Project');
+  const Task = mongoose.model('Task');
+  const Comment = mongoose.model('Comment');
+  const Label = mongoose.model('Label');
+  const cutoff = new Date(now.getTime() - days * DAY_MS);
+
+  const projects = await Project.find({ deletedAt: { $ne: null, $lte: cutoff } }, '_id');
+  const projectIds = projects.map((project) => project._id);
+
+  const taskFilter = { $or: [{ project: { $in: projectIds } }, { deletedAt: { $ne: null, $lte: cutoff } }] };
+  const tasks = await Task.find(taskFilter, '_id deletedBy').setOptions({ withDeleted: true });
+  const taskIds = tasks.map((task) => task._id);
+  await Comment.deleteMany({ task: { $in: taskIds } });
+  await removeDependencies(tasks);
+  await removeAttachments({ $or: [{ project: { $in: projectIds } }, { task: { $in: taskIds } }] });
+  const { deletedCount: purgedTasks } = await Task.deleteMany(taskFilter, { withDeleted: true });
+  await Label.deleteMany({ project: { $in: projectIds } });
+  const { deletedCount: purgedProjects } = await Project.deleteMany({ _id: { $in: projectIds } }, { withDeleted: true });
+
+  return { purgedProjects, purgedTasks };
+};
+
+// Starts the purge on an interval; returns a function that stops it
+const startTrashPurge = () => {
+  const minutes = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+  const run = async () => {
+    try {
+      const { purgedProjects, purgedTasks } = await purgeTrash();
+      if (purgedProjects || purgedTasks) {
+        logger.info('Trash purged', { purgedProjects, purgedTasks });
+      }
+    } catch (err) {
+      logger.error('Trash purge failed', { err });
+    }
+  };
+
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = { retentionDays, purgeDate, purgeTrash, startTrashPurge };
@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const { STATUSES } = require('./taskWorkflow');
+const { TOKEN_SCOPES, MAX_TOKEN_DAYS } = require('./apiTokens');
+const { parseRule } = require('./recurrence');
+const { SORT_FIELDS } = require('./pagination');
+
+// Schema-driven validation for project and task payloads.
+// Only whitelisted fields are accepted; everything else is reported back as a field error.
+
+// Server-managed fields that clients often echo back - silently dropped rather than rejected
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const projectFields = {
+  name: { type: 'string', required: true, label: 'Project name' },
+  description: { type: 'string' },
+  startDate: { type: 'date' },
+  endDate: { type: 'date' }
+};
+
+const taskFields = {
+  project: { type: 'objectId', required: true, label: 'Project' },
+  name: { type: 'string', required: true, label: 'Task name' },
+  description: { type: 'string' },
+  duration: { type: 'number', min: 0, label: 'Duration' },
+  startDate: { type: 'date' },
+  endDate: { type: 'date' },
+  dependsOn: { type: 'objectIdArray', label: 'Dependencies' },
+  status: { type: 'enum', values: STATUSES, nullable: false, label: 'Status' },
+  recurrence: { type: 'recurrence', label: 'Recurrence' },
+  parent: { type: 'objectId', label: 'Parent task' },
+  labels: { type: 'objectIdArray', label: 'Labels' }
+};
+
+// Moving a card on the board - target column and index within it
+const moveFields = {
+  status: { type: 'enum', values: STATUSES, nullable: false, label: 'Status' },
+  position: { type: 'number', integer: true, min: 0, nullable: false, label: 'Position' }
+};
+
+// Personal access tokens - scope defaults to read-only, expiry to the longest allowed
+const tokenFields = {
+  name: { type: 'string', required: true, label: 'Token name' },
+  scope: { type: 'enum', values: TOKEN_SCOPES, nullable: false, label: 'Scope' },
+  expiresInDays: { type: 'number', integer: true, min: 1, max: MAX_TOKEN_DAYS, label: 'Expiry' }
+};
+
+// Task comments - parent is the top-level comment a reply belongs to
+const commentFields = {
+  body: { type: 'string', required: true, maxLength: 10000, label: 'Comment' },
+  parent: { type: 'objectId', label: 'Parent comment' }
+};
+
+// Marking mentions as read - every unread mention when comments is left out
+const mentionReadFields = {
+  comments: { type: 'objectIdArray', label: 'Comments' }
+};
+
+// Notification preferences of the logged-in user
+const notificationPreferenceFields = {
+  inApp: { type: 'boolean', nullable: false, label: 'In-app notifications' },
+  emailDigest: { type: 'boolean', nullable: false, label: 'Email digest' },
+  dueSoonHours: { type: 'number', integer: true, min: 1, max: 168, nullable: false, label: 'Due soon window' },
+  digestHour: { type: 'number', integer: true, min: 0, max: 23, nullable: false, label: 'Digest hour' },
+  quietHoursStart: { type: 'time', label: 'Quiet hours start' },
+  quietHoursEnd: { type: 'time', label: 'Quiet hours end' },
+  timezone: { type: 'timezone', nullable: false, label: 'Time zone' }
+};
+
+// Labels - a label with a project belongs to that project, otherwise to the user who created it
+const labelFields = {
+  name: { type: 'string', required: true, maxLength: 50, label: 'Label name' },
+  color: { type: 'color', required: true, label: 'Color' },
+  project: { type: 'objectId', label: 'Project' }
+};
+
+// Filters a saved view applies to the task list, named like the GET /tasks query params
+const viewFilterFields = {
+  project: { type: 'objectId', label: 'Project' },
+  labels: { type: 'objectIdArray', label: 'Labels' },
+  anyLabels: { type: 'objectIdArray', label: 'Any labels' },
+  notLabels: { type: 'objectIdArray', label: 'Excluded labels' },
+  startDateFrom: { type: 'date', label: 'Start date from' },
+  startDateTo: { type: 'date', label: 'Start date to' },
+  endDateFrom: { type: 'date', label: 'End date from' },
+  endDateTo: { type: 'date', label: 'End date to' },
+  q: { type: 'string', maxLength: 200, label: 'Search text' }
+};
+
+// Saved task list views of the logged-in user
+const viewFields = {
+  name: { type: 'string', required: true, maxLength: 100, label: 'View name' },
+  filters: { type: 'object', fields: viewFilterFields, label: 'Filters' },
+  sort: { type: 'enum', values: SORT_FIELDS.flatMap((field) => [field, `-${field}`]), nullable: false, label: 'Sort' }
+};
+
+const isObjectId = (value) => typeof value === 'string' && mongoose.Types.ObjectId.isValid(value) && /^[a-f\d]{24}$/i.test(value);
+
+// Checks and converts a single value, returning { value } or { error }
+const checkField = (spec, value) => {
+  const label = spec.label || 'Value';
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') return { error: `${label} must be a string` };
+      if (spec.required && !value.trim()) return { error: `${label} cannot be empty` };
+      if (spec.maxLength && value.length > spec.maxLength) return { error: `${label} must be at most ${spec.maxLength} characters` };
+      return { value };
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: `${label} must be a number` };
+      if (spec.integer && !Number.isInteger(value)) return { error: `${label} must be a whole number` };
+      if (spec.min !== undefined && value < spec.min) return { error: `${label} must be at least ${spec.min}` };
+      if (spec.max !== undefined && value > spec.max) return { error: `${label} must be at most ${spec.max}` };
+      return { value };
+    case 'boolean':
+      if (typeof value !== 'boolean') return { error: `${label} must be true or false` };
+      return { value };
+    case 'time':
+      if (typeof value !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) return { error: `${label} must be a time as HH:MM` };
+      return { value };
+    case 'timezone':
+      try {
+        if (typeof value !== 'string') throw new RangeError();
+        new Intl.DateTimeFormat('en-US', { timeZone: value }).format();
+        return { value };
+      } catch (err) {
+        return { error: `${label} must be an IANA time zone such as Europe/London` };
+      }
+    case 'color':
+      if (typeof value !== 'string' || !/^#[\da-f]{6}$/i.test(value)) return { error: `${label} must be a hex color such as #1e90ff` };
+      return { value: value.toLowerCase() };
+    case 'object': {
+      // Nested field map, validated like a payload of its own
+      const result = validate(spec.fields, value);
+      if (result.errors) {
+        const [key, message] = Object.entries(result.errors)[0];
+        return { error: key === 'body' ? `${label} must be an object` : `${label}: ${message}` };
+      }
+      return { value: result.value };
+    }
+    case 'date': {
+      const date = new Date(value);
+      if ((typeof value !== 'string' && typeof value !== 'number') || isNaN(date)) {
+        return { error: `${label} must be a valid date` };
+      }
+      return { value: date };
+    }
+    case 'enum':
+      if (!spec.values.includes(value)) return { error: `${label} must be one of: ${spec.values.join(', ')}` };
+      return { value };
+    case 'objectId':
+      if (!isObjectId(value)) return { error: `${label} must be a valid id` };
+      return { value };
+    case 'objectIdArray':
+      if (!Array.isArray(value) || !value.every(isObjectId)) return { error: `${label} must be an array of valid ids` };
+      return { value };
+    case 'recurrence': {
+      // RRULE string or { freq, interval, byDay, byMonthDay, until, count }
+      const result = parseRule(value);
+      return result.error ? { error: `${label} ${result.error}` } : result;
+    }
+    default:
+      return { error: `${label} has an unknown type` };
+  }
+};
+
+// Validates a create (partial: false) or update (partial: true) payload against a field map.
+// existing is the stored document on updates, so date order can be checked against unchanged values.
+// Returns { value, errors } where errors is null when the payload is valid.
+const validate = (fields, body, { partial = false, existing = null } = {}) => {
+  const errors = {};
+  const value = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value, errors: { body: 'Request body must be a JSON object' } };
+  }
+
+  Object.keys(body).forEach((key) => {
+    if (IGNORED_FIELDS.includes(key)) return;
+    const spec = fields[key];
+    if (!spec) {
+      errors[key] = 'Field is not allowed';
+      return;
+    }
+
+    const raw = body[key];
+    if (raw === null || raw === undefined) {
+      if (spec.required) {
+        errors[key] = `${spec.label} is required`;
+      } else if (spec.nullable === false) {
+        errors[key] = `${spec.label} cannot be empty`;
+      } else {
+        value[key] = spec.type === 'objectIdArray' ? [] : null;
+      }
+      return;
+    }
+
+    const result = checkField({ label: key, ...spec }, raw);
+    if (result.error) {
+      errors[key] = result.error;
+    } else {
+      value[key] = result.value;
+    }
+  });
+
+  if (!partial) {
+    Object.entries(fields).forEach(([key, spec]) => {
+      if (spec.required && body[key] === undefined && !errors[key]) {
+        errors[key] = `${spec.label} is required`;
+      }
+    });
+  }
+
+  // Date order - compare against stored values for fields the update leaves alone
+  const pick = (key) => (value[key] !== undefined ? value[key] : existing && existing[key]);
+  const startDate = pick('startDate');
+  const endDate = pick('endDate');
+  if (startDate && endDate && !errors.startDate && !errors.endDate && new Date(endDate) < new Date(startDate)) {
+    errors.endDate = 'End date must be on or after the start date';
+  }
+
+  return { value, errors: Object.keys(errors).length ? errors : null };
+};
+
+// Sends a 400 with per-field details; the first message doubles as the summary
+const sendValidationError = (res, errors) => res.status(400).json({
+  error: Object.values(errors)[0],
+  details: errors
+});
+
+module.exports = {
+  projectFields,
+  taskFields,
+  moveFields,
+  tokenFields,
+  commentFields,
+  mentionReadFields,
+  notificationPreferenceFields,
+  labelFields,
+  viewFilterFields,
+  viewFields,
+  validate,
+  sendValidationError
+};
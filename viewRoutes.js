@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const requireAuth = require('./requireAuth');
+const { parseListQuery, paginate } = require('./pagination');
+const { viewFields, validate, sendValidationError } = require('./validation');
+const { View, viewQuery } = require('./views');
+const { searchTasks } = require('./taskSearch');
+const { logger } = require('./logger');
+
+// Saved task list views of the logged-in user
+
+router.use('/views', requireAuth);
+
+const findView = (req) => (mongoose.Types.ObjectId.isValid(req.params.id)
+  ? View.findOne({ _id: req.params.id, owner: req.user._id })
+  : null);
+
+// READ - Saved views by name (?limit, ?cursor)
+router.get('/views', async (req, res) => {
+  try {
+    const options = parseListQuery(
+      { limit: req.query.limit, cursor: req.query.cursor, sort: 'name' },
+      (id) => new mongoose.Types.ObjectId(id)
+    );
+    if (options.errors) return sendValidationError(res, options.errors);
+
+    const page = await paginate(View, { owner: req.user._id }, options);
+    res.json(page);
+  } catch (err) {
+    logger.error('Error fetching views', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// CREATE - Save a view: { name, filters, sort }
+router.post('/views', async (req, res) => {
+  try {
+    const { value, errors } = validate(viewFields, req.body);
+    if (errors) return sendValidationError(res, errors);
+
+    const view = await View.create({ ...value, name: value.name.trim(), owner: req.user._id });
+    res.status(201).json(view);
+  } catch (err) {
+    logger.error('Error creating view', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// READ - A single view
+router.get('/views/:id', async (req, res) => {
+  try {
+    const view = await findView(req);
+    if (!view) return res.status(404).json({ error: 'View not found' });
+    res.json(view);
+  } catch (err) {
+    logger.error('Error fetching view', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// READ - Run a view: the matching tasks page by page (?limit, ?cursor)
+router.get('/views/:id/tasks', async (req, res) => {
+  try {
+    const view = await findView(req);
+    if (!view) return res.status(404).json({ error: 'View not found' });
+
+    const page = await searchTasks(req.user, viewQuery(view, req.query));
+    if (page.errors) return sendValidationError(res, page.errors);
+    res.json(page);
+  } catch (err) {
+    logger.error('Error running view', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// UPDATE - Rename a view or replace its filters or sort; filters are replaced as a whole
+router.put('/views/:id', async (req, res) => {
+  try {
+    const view = await findView(req);
+    if (!view) return res.status(404).json({ error: 'View not found' });
+
+    const { value, errors } = validate(viewFields, req.body, { partial: true });
+    if (errors) return sendValidationError(res, errors);
+
+    if (value.name !== undefined) view.name = value.name.trim();
+    if (value.filters !== undefined) view.filters = value.filters || {};
+    if (value.sort !== undefined) view.sort = value.sort;
+    await view.save();
+    res.json(view);
+  } catch (err) {
+    logger.error('Error updating view', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE - Delete a view
+router.delete('/views/:id', async (req, res) => {
+  try {
+    const view = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await View.findOneAndDelete({ _id: req.params.id, owner: req.user._id })
+      : null;
+    if (!view) return res.status(404).json({ error: 'View not found' });
+    res.json({ message: 'View deleted successfully' });
+  } catch (err) {
+    logger.error('Error deleting view', { err });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// Saved task list views: a named set of GET /tasks filters and a sort order that a user can
+// run again by id. Filters are stored as given; a view whose project or labels are no longer
+// accessible simply matches fewer tasks.
+
+const filtersSchema = new Schema({
+  project: { type: Schema.Types.ObjectId, ref: 'Project' },
+  labels: [{ type: Schema.Types.ObjectId, ref: 'Label' }],
+  anyLabels: [{ type: Schema.Types.ObjectId, ref: 'Label' }],
+  notLabels: [{ type: Schema.Types.ObjectId, ref: 'Label' }],
+  startDateFrom: Date,
+  startDateTo: Date,
+  endDateFrom: Date,
+  endDateTo: Date,
+  q: String
+}, { _id: false });
+
+const viewSchema = new Schema({
+  owner: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true },
+  filters: { type: filtersSchema, default: () => ({}) },
+  sort: { type: String, default: 'createdAt' }
+}, { timestamps: true });
+
+viewSchema.index({ owner: 1, name: 1 });
+
+const View = mongoose.model('View', viewSchema);
+
+// Task list query params for a view; paging params (limit, cursor) come from the request
+const viewQuery = (view, { limit, cursor } = {}) => {
+  const stored = view.filters && typeof view.filters.toObject === 'function' ? view.filters.toObject() : view.filters || {};
+  const query = { sort: view.sort, limit, cursor };
+  Object.entries(stored).forEach(([key, value]) => {
+    if (value === null || value === undefined || (Array.isArray(value) && !value.length)) return;
+    if (Array.isArray(value)) query[key] = value.map(String);
+    else if (value instanceof Date) query[key] = value.toISOString();
+    else query[key] = String(value);
+  });
+  return query;
+};
+
+module.exports = { View, viewQuery };